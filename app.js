@@ -59,6 +59,8 @@ document.addEventListener('DOMContentLoaded', () => {
     const personModalBody = document.getElementById('person-modal-body');
     const personHomeBtn = document.getElementById('person-home-btn');
     const personShareBtn = document.getElementById('person-share-btn');
+    const personQrBtn = document.getElementById('person-qr-btn');
+    const qrOverlay = document.getElementById('qr-overlay');
     const quickEditWrap = document.getElementById('person-modal-quick-edit');
     const quickCurrentParents = document.getElementById('quick-current-parents');
     const quickCurrentSpouses = document.getElementById('quick-current-spouses');
@@ -191,6 +193,8 @@ document.addEventListener('DOMContentLoaded', () => {
     const dashDateEl = document.getElementById('dash-date');
     const statTotalMembersEl = document.getElementById('stat-total-members');
     const statUpcomingBirthdaysEl = document.getElementById('stat-upcoming-birthdays');
+    const statUpcomingAnniversariesEl = document.getElementById('stat-upcoming-anniversaries');
+    const statGenerationsEl = document.getElementById('stat-generations');
     const dashDynamicMsgEl = document.getElementById('dash-dynamic-msg');
     const navDashboard = document.getElementById('nav-dashboard');
     const navTree = document.getElementById('nav-tree');
@@ -476,20 +480,58 @@ document.addEventListener('DOMContentLoaded', () => {
     // SECTION 3: CORE LAZY-LOADING LOGIC
     // =================================================================================
 
+    // Tree neighbourhood settings, stored per device
+    const TREE_DEPTH_KEY = 'familyTreeViewDepth';
+    const TREE_DEPTH_MAX = 4;
+    const PEDIGREE_MAX = 8;
+    const TREE_MODES = ['neighbourhood', 'pedigree', 'descendants'];
+
+    /**
+     * Returns { mode, up, down, siblings, spousesParents, siblingsFamilies, pedigreeGenerations }.
+     * `mode` is 'neighbourhood' (the centred view), 'pedigree' (direct ancestors only) or
+     * 'descendants' (the full line down). The defaults match the original tree view.
+     */
+    function getTreeDepthSettings() {
+        let stored = {};
+        try {
+            stored = JSON.parse(localStorage.getItem(TREE_DEPTH_KEY) || '{}') || {};
+        } catch (e) {
+            stored = {};
+        }
+        const generations = (value) => {
+            const n = parseInt(value, 10);
+            return Number.isFinite(n) ? Math.max(0, Math.min(TREE_DEPTH_MAX, n)) : 1;
+        };
+        const pedigree = parseInt(stored.pedigreeGenerations, 10);
+        return {
+            mode: TREE_MODES.includes(stored.mode) ? stored.mode : 'neighbourhood',
+            up: generations(stored.up),
+            down: generations(stored.down),
+            siblings: stored.siblings === true,
+            spousesParents: stored.spousesParents === true,
+            siblingsFamilies: stored.siblingsFamilies === true,
+            pedigreeGenerations: Number.isFinite(pedigree) ? Math.max(1, Math.min(PEDIGREE_MAX, pedigree)) : 4
+        };
+    }
+
+    function saveTreeDepthSettings(settings) {
+        localStorage.setItem(TREE_DEPTH_KEY, JSON.stringify(settings));
+    }
+
     /**
      * Gets a localized subset of the family around a central person.
      * This is the core of the lazy-loading mechanism.
      * @param {string} centerId - The ID of the person to be the focus.
+     * @param {Object} [settings] - From getTreeDepthSettings(); read from storage when omitted.
      * @returns {Array} An array of person objects to be rendered in the tree.
      */
-    function getFamilySet(centerId) {
+    function getFamilySet(centerId, settings) {
         if (!peopleMap.has(centerId)) {
             console.error(`Person with ID ${centerId} not found.`);
             return [];
         }
 
         const familySet = new Map();
-        const centerNode = peopleMap.get(centerId);
         
         // Helper to safely add a clone of the person
         // Cloning is CRITICAL: FamilyTree.js mutates data objects. 
@@ -500,21 +542,73 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         };
         
+        const depth = settings || getTreeDepthSettings();
+        const parentsOf = (id) => {
+            const p = peopleMap.get(id);
+            return p ? [p.fid, p.mid].filter(Boolean) : [];
+        };
+        const spousesOf = (id) => {
+            const p = peopleMap.get(id);
+            return p && Array.isArray(p.pids) ? p.pids : [];
+        };
+        const childrenOf = (id) => childrenMap.get(id) || [];
+
         // Add the central person
         addNode(centerId);
-        
-        // Add parents
-        if (centerNode.fid) addNode(centerNode.fid);
-        if (centerNode.mid) addNode(centerNode.mid);
-        
-        // Add spouses
-        if (centerNode.pids) {
-            centerNode.pids.forEach(pid => addNode(pid));
-        }
-        
-        // Add children
-        if (childrenMap.has(centerId)) {
-            childrenMap.get(centerId).forEach(childId => addNode(childId));
+
+        if (depth.mode === 'pedigree') {
+            // Direct ancestors only
+            let generation = [centerId];
+            for (let i = 0; i < depth.pedigreeGenerations && generation.length > 0; i++) {
+                generation = generation.flatMap(parentsOf).filter(id => peopleMap.has(id) && !familySet.has(id));
+                generation.forEach(addNode);
+            }
+        } else if (depth.mode === 'descendants') {
+            // Every descendant, with spouses so children hang off both parents
+            let generation = [centerId];
+            while (generation.length > 0) {
+                generation.forEach(id => spousesOf(id).forEach(addNode));
+                generation = generation.flatMap(childrenOf).filter(id => peopleMap.has(id) && !familySet.has(id));
+                generation.forEach(addNode);
+            }
+        } else {
+            // Add spouses
+            spousesOf(centerId).forEach(addNode);
+
+            // Add ancestors, `depth.up` generations
+            let generation = [centerId];
+            for (let i = 0; i < depth.up; i++) {
+                generation = generation.flatMap(parentsOf);
+                generation.forEach(addNode);
+            }
+
+            // Add descendants, `depth.down` generations, with the spouses of those whose children are shown
+            generation = [centerId];
+            for (let i = 0; i < depth.down; i++) {
+                if (i > 0) generation.forEach(id => spousesOf(id).forEach(addNode));
+                generation = generation.flatMap(childrenOf);
+                generation.forEach(addNode);
+            }
+
+            // Add siblings (and their spouses and children). Parents are needed to connect them.
+            if (depth.siblings || depth.siblingsFamilies) {
+                const parents = parentsOf(centerId);
+                parents.forEach(addNode);
+                const siblings = new Set(parents.flatMap(childrenOf));
+                siblings.delete(centerId);
+                siblings.forEach(sid => {
+                    addNode(sid);
+                    if (depth.siblingsFamilies) {
+                        spousesOf(sid).forEach(addNode);
+                        childrenOf(sid).forEach(addNode);
+                    }
+                });
+            }
+
+            // Add parents-in-law
+            if (depth.spousesParents) {
+                spousesOf(centerId).forEach(sid => parentsOf(sid).forEach(addNode));
+            }
         }
         
         // --- CRITICAL FIX: Sanitize Relationships ---
@@ -661,6 +755,187 @@ document.addEventListener('DOMContentLoaded', () => {
         return result;
     }
 
+    /**
+     * Get Nakshatra birthdays in the next `daysAhead` days: the day, in the lunar month
+     * of birth, on which the Moon is in the person's janma nakshatra at sunrise. If the
+     * nakshatra starts and ends between two sunrises, the day on which it began is used.
+     * Adhika months are skipped. Same shape as getUpcomingBirthdays(), with each person
+     * also carrying { nakshatra, lunarMonth }.
+     */
+    function getUpcomingNakshatraBirthdays(daysAhead) {
+        const result = [];
+        if (!window.Jyotisha || !window.Panchanga || !window.DateUtils) return result;
+
+        const candidates = [];
+        PEOPLE.forEach(p => {
+            if (p.deceased) return;
+            if (p.birth_date_type !== 'exact') return;
+            const j = p.jyotisha || {};
+            const nakshatra = window.Jyotisha.normalizeNakshatra(j.nakshatra);
+            const birth = window.DateUtils.parse(p.Birth || '');
+            if (!nakshatra || !birth) return;
+            candidates.push({ p, nakshatra, birth, monthIndex: window.Panchanga.getDay(birth).month.index });
+        });
+        if (candidates.length === 0) return result;
+
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        const seen = new Set(); // person + lunar month, so a nakshatra spanning two sunrises counts once
+
+        let next = window.Jyotisha.getMoonNakshatra(today);
+        for (let i = 0; i < daysAhead; i++) {
+            const d = new Date(today.getFullYear(), today.getMonth(), today.getDate() + i);
+            const tomorrow = new Date(d.getFullYear(), d.getMonth(), d.getDate() + 1);
+            const current = next;
+            next = window.Jyotisha.getMoonNakshatra(tomorrow);
+            const month = window.Panchanga.getDay(d).month;
+            if (!current || month.adhika) continue;
+
+            // Nakshatras reached by the Moon between this sunrise and the next
+            const span = next ? (next - current + 27) % 27 : 0;
+
+            const dayEntry = {
+                date: d,
+                dateStr: window.DateUtils.formatDisplay(d),
+                weekday: WEEKDAYS[d.getDay()],
+                persons: []
+            };
+
+            candidates.forEach(c => {
+                if (c.monthIndex !== month.index) return;
+                const ahead = (c.nakshatra - current + 27) % 27;
+                if (ahead !== 0 && ahead >= span) return;
+                const key = c.p.id + '|' + month.start.getTime();
+                if (seen.has(key)) return;
+                seen.add(key);
+
+                const age = Math.round((d - c.birth) / (365.2425 * 86400000));
+                dayEntry.persons.push({
+                    id: c.p.id,
+                    name: (c.p.name || '').trim() || 'Unknown',
+                    phone: (c.p.phone || '').trim(),
+                    ageAtDisplay: age >= 0 && age <= 150 ? age : null,
+                    jyotisha: c.p.jyotisha,
+                    nakshatra: window.Jyotisha.NAKSHATRA_NAMES[c.nakshatra],
+                    lunarMonth: month.name
+                });
+            });
+
+            if (dayEntry.persons.length > 0) {
+                result.push(dayEntry);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Get wedding anniversaries occurring in the next `daysAhead` days, from the
+     * marriage dates in families.json. Only couples who are both living and not
+     * divorced are included. Returns array of
+     * { date, dateStr, weekday, couples: [{ familyId, spouseIds: [husbandId, wifeId], years }] }.
+     */
+    function getUpcomingAnniversaries(daysAhead) {
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+
+        // One entry per couple (marriages are stored on both spouses).
+        const couples = [];
+        const seenFamilies = new Set();
+        PEOPLE.forEach(p => {
+            (p.marriages || []).forEach(m => {
+                if (!m.date || seenFamilies.has(m.family_id)) return;
+                const spouse = peopleMap.get(m.spouse_id);
+                if (!spouse || p.deceased || spouse.deceased) return;
+                if ((p.divorces || []).some(d => d && d.spouse_id === m.spouse_id)) return;
+                const md = window.DateUtils ? window.DateUtils.getMonthDay(m.date) : null;
+                const year = window.DateUtils ? window.DateUtils.getYear(m.date) : null;
+                if (!md || year == null) return;
+                seenFamilies.add(m.family_id);
+                const husbandFirst = genderMap.get(p.id) !== 'F';
+                couples.push({
+                    familyId: m.family_id,
+                    spouseIds: husbandFirst ? [p.id, spouse.id] : [spouse.id, p.id],
+                    month: md.month,
+                    day: md.day,
+                    year
+                });
+            });
+        });
+
+        const result = [];
+        for (let i = 0; i < daysAhead; i++) {
+            const d = new Date(today);
+            d.setDate(d.getDate() + i);
+            const dateStr = window.DateUtils ? window.DateUtils.formatDisplay(d) : d.toDateString();
+            const weekday = WEEKDAYS[d.getDay()];
+
+            const matches = couples
+                .filter(c => c.month === d.getMonth() && c.day === d.getDate() && d.getFullYear() > c.year)
+                .map(c => ({ familyId: c.familyId, spouseIds: c.spouseIds, years: d.getFullYear() - c.year }));
+
+            if (matches.length > 0) {
+                result.push({ date: d, dateStr, weekday, couples: matches });
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Get the next tithi-based death anniversary (Shraddha) of every deceased person
+     * with an exact death_date, using the offline lunar calendar in panchanga.js.
+     * Returns { entries: [{ date, dateStr, weekday, daysUntil, persons: [...] }], undated }
+     * where `undated` counts deceased persons whose death date is missing or only a year.
+     */
+    function getUpcomingShraddhas() {
+        const result = { entries: [], undated: 0 };
+        if (!window.Panchanga || !window.DateUtils) return result;
+
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+
+        const byDate = new Map();
+        PEOPLE.forEach(p => {
+            if (!p.deceased) return;
+            const raw = String(p.death_date || '').trim();
+            const deathDate = /^\d{4}$/.test(raw) ? null : window.DateUtils.parse(raw);
+            if (!deathDate) {
+                result.undated++;
+                return;
+            }
+
+            const next = window.Panchanga.findNextShraddha(deathDate, today);
+            if (!next) return;
+            const key = next.date.getTime();
+            if (!byDate.has(key)) {
+                byDate.set(key, {
+                    date: next.date,
+                    dateStr: window.DateUtils.formatDisplay(next.date),
+                    weekday: WEEKDAYS[next.date.getDay()],
+                    daysUntil: Math.round((next.date - today) / 86400000),
+                    persons: []
+                });
+            }
+            byDate.get(key).persons.push({
+                id: p.id,
+                name: (p.name || '').trim() || 'Unknown',
+                deathDateStr: window.DateUtils.formatDisplay(deathDate),
+                deathTithi: window.Panchanga.formatDay(next.deathTithi),
+                tithi: next.label
+            });
+        });
+
+        result.entries = Array.from(byDate.values()).sort((a, b) => a.date - b.date);
+        return result;
+    }
+
+    function formatOrdinal(n) {
+        const s = ["th", "st", "nd", "rd"];
+        const v = n % 100;
+        return n + (s[(v - 20) % 10] || s[v] || s[0]);
+    }
+
     function getInitials(name) {
         const parts = (name || "").trim().split(/\s+/).filter(Boolean);
         if (parts.length === 0) return "?";
@@ -830,6 +1105,13 @@ document.addEventListener('DOMContentLoaded', () => {
         if (isDeceased) {
             idHtml += ` <span style="background-color: #6b7280; color: white; padding: 2px 8px; border-radius: 12px; font-size: 10px; margin-left: 8px; vertical-align: middle; font-weight: bold;">✓ Deceased</span>`;
         }
+        const gothraFlags = getGothraFlags(p.id);
+        if (gothraFlags.conflict) {
+            idHtml += ` <span style="background-color: #c62828; color: white; padding: 2px 8px; border-radius: 12px; font-size: 10px; margin-left: 8px; vertical-align: middle; font-weight: bold;" title="Gothra differs between father and child">⚠ Gothra conflict</span>`;
+        }
+        if (gothraFlags.sameGothraCouple) {
+            idHtml += ` <span style="background-color: #f57f17; color: white; padding: 2px 8px; border-radius: 12px; font-size: 10px; margin-left: 8px; vertical-align: middle; font-weight: bold;" title="Husband and wife share a gothra">⚠ Same gothra couple</span>`;
+        }
         personModalId.innerHTML = idHtml;
 
         // Update "Set as Home" Button Visibility
@@ -865,15 +1147,13 @@ document.addEventListener('DOMContentLoaded', () => {
 
         const parents = [p.fid, p.mid].filter(Boolean);
 
-        const siblingSet = new Set();
-        if (p.fid && childrenMap.has(p.fid)) {
-            childrenMap.get(p.fid).forEach(id => siblingSet.add(id));
-        }
-        if (p.mid && childrenMap.has(p.mid)) {
-            childrenMap.get(p.mid).forEach(id => siblingSet.add(id));
-        }
-        siblingSet.delete(p.id);
-        const siblings = Array.from(siblingSet);
+        // Full, half and step relations (relationship.js)
+        const siblingGroups = getSiblingGroups(p.id);
+        const siblings = siblingGroups.full;
+        const halfSiblings = siblingGroups.paternalHalf.concat(siblingGroups.maternalHalf);
+        const stepParents = getStepParents(p.id).map(sp => sp.id);
+        const stepSiblings = getStepSiblings(p.id);
+        const stepChildren = getStepChildren(p.id);
 
         const spouses = Array.isArray(p.pids) ? p.pids : [];
         const children = childrenMap.get(p.id) || [];
@@ -893,10 +1173,17 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         }
 
+        const gothraInfo = gothraFlags.info;
+        if (gothraInfo && gothraInfo.effective) {
+            let gothraText = escapeHtml(gothraInfo.effective);
+            if (gothraInfo.source === 'paternal') gothraText += ' <span style="color: #888; font-weight: normal;">(inferred from paternal line)</span>';
+            else if (gothraInfo.source === 'husband') gothraText += ' <span style="color: #888; font-weight: normal;">(inferred from husband)</span>';
+            rows.push(rowHtml("Gothra", gothraText));
+        } else if (p.jyotisha && p.jyotisha.gothra) {
+            rows.push(rowHtml("Gothra", escapeHtml(p.jyotisha.gothra)));
+        }
+
         if (p.jyotisha) {
-            if (p.jyotisha.gothra) {
-                rows.push(rowHtml("Gothra", p.jyotisha.gothra));
-            }
             if (p.jyotisha.nakshatra || p.jyotisha.rashi) {
                 const parts = [];
                 if (p.jyotisha.nakshatra) parts.push(p.jyotisha.nakshatra);
@@ -908,8 +1195,15 @@ document.addEventListener('DOMContentLoaded', () => {
         }
 
         rows.push(rowHtml("Parents", collectNames(parents)));
+        if (stepParents.length > 0) rows.push(rowHtml("Step-parents", collectNames(stepParents)));
         rows.push(rowHtml("Spouse(s)", collectNames(spouses)));
 
+        const marriageLines = spouses.map(sid => {
+            const text = formatMarriage(p.id, getMarriage(p.id, sid));
+            return text ? `<div style="margin-bottom: 4px;">${escapeHtml(personName(sid))}: ${escapeHtml(text)}</div>` : "";
+        }).filter(Boolean);
+        if (marriageLines.length > 0) rows.push(rowHtml("Marriage", marriageLines.join("")));
+
         if (p.divorces && Array.isArray(p.divorces) && p.divorces.length > 0) {
             const divIds = p.divorces.map(d => d.spouse_id).filter(id => id);
             if (divIds.length > 0) {
@@ -917,10 +1211,16 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         }
 
+        rows.push(rowHtml("Children", collectNames(children)));
+        if (stepChildren.length > 0) rows.push(rowHtml("Step-children", collectNames(stepChildren)));
+        rows.push(rowHtml("Siblings", collectNames(siblings)));
+        if (halfSiblings.length > 0) rows.push(rowHtml("Half-siblings", collectNames(halfSiblings)));
+        if (stepSiblings.length > 0) rows.push(rowHtml("Step-siblings", collectNames(stepSiblings)));
+
         rows.push(
-            rowHtml("Children", collectNames(children)),
-            rowHtml("Siblings", collectNames(siblings)),
-            rowHtml("Birth Place", escapeHtml(p.Address || "")),
+            rowHtml("Birth Place", p.Address && p.birth_place_id && getPlaceGazetteer()
+                ? `<a href="#" class="modal-place-link" data-place-id="${escapeHtml(p.birth_place_id)}" style="color: #039BE5; text-decoration: none;">${escapeHtml(p.Address)}</a>`
+                : escapeHtml(p.Address || "")),
             rowHtml("Email", p.email ? `<a href=\"mailto:${escapeHtml(p.email)}\" style=\"color: #039BE5; text-decoration: none;\">${escapeHtml(p.email)}</a>` : ""),
             rowHtml("Phone", p.phone ? `<a href=\"tel:${escapeHtml(p.phone)}\" style=\"color: #039BE5; text-decoration: none;\">${escapeHtml(p.phone)}</a>` : ""),
             rowHtml("Note", escapeHtml(p.note || ""))
@@ -931,6 +1231,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
         personModalOverlay.classList.add("show");
         personModalOverlay.setAttribute("aria-hidden", "false");
+        scheduleRouteSync();
     }
 
     // Handle clicks on relatives inside the modal
@@ -942,6 +1243,13 @@ document.addEventListener('DOMContentLoaded', () => {
             drawTree(id);
             // Keep modal open and switch to the new person's details
             openPersonModal(id);
+            return;
+        }
+        const placeLink = e.target.closest('.modal-place-link');
+        if (placeLink && placeLink.dataset.placeId) {
+            e.preventDefault();
+            closePersonModal();
+            if (!personModalOverlay.classList.contains('show')) window.showPlaces(placeLink.dataset.placeId);
         }
     });
 
@@ -956,6 +1264,7 @@ document.addEventListener('DOMContentLoaded', () => {
         quickRelDraft = null;
         quickRelUndoStack = [];
         markQuickDraftDirty(false);
+        scheduleRouteSync();
     }
 
     // --- Modal Actions ---
@@ -993,15 +1302,13 @@ document.addEventListener('DOMContentLoaded', () => {
         
         const parents = [p.fid, p.mid].filter(Boolean);
 
-        const siblingSet = new Set();
-        if (p.fid && childrenMap.has(p.fid)) {
-            childrenMap.get(p.fid).forEach(id => siblingSet.add(id));
-        }
-        if (p.mid && childrenMap.has(p.mid)) {
-            childrenMap.get(p.mid).forEach(id => siblingSet.add(id));
-        }
-        siblingSet.delete(p.id);
-        const siblings = Array.from(siblingSet);
+        // Full, half and step relations (relationship.js)
+        const siblingGroups = getSiblingGroups(p.id);
+        const siblings = siblingGroups.full;
+        const halfSiblings = siblingGroups.paternalHalf.concat(siblingGroups.maternalHalf);
+        const stepParents = getStepParents(p.id).map(sp => sp.id);
+        const stepSiblings = getStepSiblings(p.id);
+        const stepChildren = getStepChildren(p.id);
 
         const spouses = Array.isArray(p.pids) ? p.pids : [];
         const children = childrenMap.get(p.id) || [];
@@ -1010,15 +1317,26 @@ document.addEventListener('DOMContentLoaded', () => {
         const age = window.DateUtils ? window.DateUtils.getAge(p.Birth || "") : null;
         const birthWithAge = birthFormatted ? (birthFormatted + (age != null ? ` (Age: ${age})` : "")) : "Not available";
 
+        // Link that opens this profile (SECTION 5.17)
+        const url = getRouteUrl('person/' + encodeURIComponent(p.id));
+
         // --- Construct the text to share ---
         let shareText = `*Vamsha Vruksha Profile*\n\n`;
         shareText += `*Name:* ${fullName}\n`;
         shareText += `*ID:* ${p.id}\n`;
         shareText += `*Date of Birth:* ${birthWithAge}\n`;
         shareText += `*Parents:* ${collectNamesAsText(parents)}\n`;
+        if (stepParents.length > 0) shareText += `*Step-parents:* ${collectNamesAsText(stepParents)}\n`;
         shareText += `*Spouse(s):* ${collectNamesAsText(spouses)}\n`;
+        spouses.forEach(sid => {
+            const text = formatMarriage(p.id, getMarriage(p.id, sid));
+            if (text) shareText += `*Marriage:* ${collectNamesAsText([sid])} — ${text}\n`;
+        });
         shareText += `*Children:* ${collectNamesAsText(children)}\n`;
+        if (stepChildren.length > 0) shareText += `*Step-children:* ${collectNamesAsText(stepChildren)}\n`;
         shareText += `*Siblings:* ${collectNamesAsText(siblings)}\n`;
+        if (halfSiblings.length > 0) shareText += `*Half-siblings:* ${collectNamesAsText(halfSiblings)}\n`;
+        if (stepSiblings.length > 0) shareText += `*Step-siblings:* ${collectNamesAsText(stepSiblings)}\n`;
         if (p.Address && p.Address.trim()) shareText += `*Address:* ${p.Address.trim()}\n`;
         if (p.email && p.email.trim()) shareText += `*Email:* ${p.email.trim()}\n`;
         if (p.phone && p.phone.trim()) shareText += `*Phone:* ${p.phone.trim()}\n`;
@@ -1028,17 +1346,64 @@ document.addEventListener('DOMContentLoaded', () => {
 
         const shareData = {
             title: `Profile of ${fullName}`,
-            text: shareText
+            text: shareText,
+            url
         };
 
         if (navigator.share) {
             navigator.share(shareData).catch(console.error);
-        } else {
+        } else if (navigator.clipboard && navigator.clipboard.writeText) {
             // Fallback for browsers that don't support navigator.share
-            alert(`Share functionality is not supported on this browser. Details:\n\n${shareText}`);
+            navigator.clipboard.writeText(`${shareText}\n${url}`)
+                .then(() => window.showToast("Profile link copied to clipboard."))
+                .catch(() => window.prompt("Copy this link:", url));
+        } else {
+            window.prompt("Copy this link:", url);
         }
     });
 
+    // 4. QR Code Button: the profile link as a QR code (qrcode.js), for scanning in person
+    let qrPersonId = null;
+
+    function closeQrOverlay() {
+        if (qrOverlay) qrOverlay.style.display = 'none';
+        qrPersonId = null;
+    }
+
+    if (personQrBtn && qrOverlay) {
+        personQrBtn.addEventListener('click', () => {
+            if (!activeModalPersonId || !window.QRCode) return;
+            const p = peopleMap.get(activeModalPersonId);
+            if (!p) return;
+            const url = getRouteUrl('person/' + encodeURIComponent(p.id));
+            qrPersonId = p.id;
+            document.getElementById('qr-code').innerHTML = window.QRCode.toSvg(url, { moduleSize: 6 });
+            document.getElementById('qr-name').textContent = p.name;
+            document.getElementById('qr-url').textContent = url;
+            qrOverlay.style.display = 'flex';
+        });
+
+        document.getElementById('qr-download').addEventListener('click', () => {
+            if (!qrPersonId || !peopleMap.has(qrPersonId)) return;
+            const p = peopleMap.get(qrPersonId);
+            const safeName = p.name.trim().replace(/[^A-Za-z0-9]+/g, '_');
+            const svg = window.QRCode.toSvg(getRouteUrl('person/' + encodeURIComponent(p.id)), { moduleSize: 10 });
+            downloadTextFile(`qr_${safeName}.svg`, svg, 'image/svg+xml;charset=utf-8');
+        });
+
+        document.getElementById('qr-branch-cards').addEventListener('click', () => {
+            const id = qrPersonId;
+            closeQrOverlay();
+            closePersonModal();
+            if (id && !personModalOverlay.classList.contains('show')) window.showQrCards(id);
+        });
+
+        document.getElementById('qr-close').addEventListener('click', closeQrOverlay);
+        qrOverlay.addEventListener('click', (e) => {
+            if (e.target === qrOverlay) closeQrOverlay();
+        });
+    }
+
     const quickSetParentsBtn = document.getElementById('quick-set-parents');
     const quickClearFatherBtn = document.getElementById('quick-clear-father');
     const quickClearMotherBtn = document.getElementById('quick-clear-mother');
@@ -1288,6 +1653,7 @@ document.addEventListener('DOMContentLoaded', () => {
         window.HOME_PERSON_ID = centerId;
         const familyData = getFamilySet(centerId);
         updateLineageBar(centerId); // Update lineage bar whenever tree is drawn
+        scheduleRouteSync();
         console.log(`Drawing tree for ${centerId}. Nodes count: ${familyData.length}`);
         const mobile = isMobileViewport();
 
@@ -1330,6 +1696,11 @@ document.addEventListener('DOMContentLoaded', () => {
             template: 'circle', // Use our new custom circle template
         });
 
+        // Show marriage details as a tooltip on partner links.
+        tree.on('redraw', () => {
+            addPartnerLinkTooltips();
+        });
+
         // --- Custom Click Event for Lazy Loading ---
         tree.on('click', (sender, args) => {
             // When a node is clicked, redraw the tree centered on that node.
@@ -1338,10 +1709,57 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    /**
+     * FamilyTree.js tags each rendered link with data-l-id="[fromId][toId]".
+     * For links between spouses, attach an SVG <title> with the marriage details.
+     */
+    function addPartnerLinkTooltips() {
+        const container = document.getElementById('tree');
+        if (!container) return;
+        container.querySelectorAll('[data-l-id]').forEach(linkEl => {
+            const match = String(linkEl.getAttribute('data-l-id') || '').match(/^\[([^\]]+)\]\[([^\]]+)\]$/);
+            if (!match) return;
+            const [, id1, id2] = match;
+            const p1 = peopleMap.get(id1);
+            if (!p1 || !Array.isArray(p1.pids) || !p1.pids.includes(id2)) return;
+
+            const text = formatMarriage(id1, getMarriage(id1, id2));
+            if (!text) return;
+            let title = linkEl.querySelector('title');
+            if (!title) {
+                title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+                linkEl.insertBefore(title, linkEl.firstChild);
+            }
+            title.textContent = `Married: ${text}`;
+        });
+    }
+
     // =================================================================================
     // SECTION 5: SEARCH FUNCTIONALITY
     // =================================================================================
 
+    let searchIndex = null;
+    let searchIndexPeople = null;
+
+    /**
+     * Finds people by name for every search box: spelling variants and small typos
+     * are tolerated, and the home person's closest relatives are listed first (search.js).
+     * @param {string} query - Text typed by the user.
+     * @param {number} limit - Maximum number of results.
+     * @returns {Array} Person objects, best match first.
+     */
+    function searchPeople(query, limit) {
+        if (!window.FamilySearch) {
+            const q = query.toLowerCase();
+            return PEOPLE.filter(p => p.name.toLowerCase().includes(q)).slice(0, limit);
+        }
+        if (!searchIndex || searchIndexPeople !== PEOPLE) {
+            searchIndex = window.FamilySearch.createIndex({ people: PEOPLE, peopleMap, childrenMap, getHomeId: getHomePersonId });
+            searchIndexPeople = PEOPLE;
+        }
+        return searchIndex.search(query, { limit });
+    }
+
     /**
      * Handles the 'input' event on the search box.
      */
@@ -1352,14 +1770,7 @@ document.addEventListener('DOMContentLoaded', () => {
             return;
         }
 
-        const matches = [];
-        for (const person of PEOPLE) {
-            if (person.name.toLowerCase().includes(query)) {
-                matches.push(person);
-                if (matches.length >= 20) break; // Limit to 20 suggestions
-            }
-        }
-        displaySuggestions(matches);
+        displaySuggestions(searchPeople(query, 20)); // Limit to 20 suggestions
     }
 
     /**
@@ -1453,11 +1864,27 @@ document.addEventListener('DOMContentLoaded', () => {
         verticalAlign: 'middle'
     });
 
-    // Insert Home, Profile, and Relationship buttons before the search input field
+    // Tree view settings button: how much of the family is loaded around the centre
+    const treeSettingsBtn = document.createElement('button');
+    treeSettingsBtn.innerHTML = '⚙️';
+    treeSettingsBtn.title = "Tree view settings";
+    Object.assign(treeSettingsBtn.style, {
+        marginRight: '8px',
+        padding: '6px 10px',
+        fontSize: '18px',
+        cursor: 'pointer',
+        backgroundColor: '#fff',
+        border: '1px solid #ccc',
+        borderRadius: '4px',
+        verticalAlign: 'middle'
+    });
+
+    // Insert Home, Profile, Relationship and Settings buttons before the search input field
     if (searchInput && searchInput.parentNode) {
         searchInput.parentNode.insertBefore(mainHomeBtn, searchInput);
         searchInput.parentNode.insertBefore(profileBtn, searchInput);
         searchInput.parentNode.insertBefore(headerRelationshipBtn, searchInput);
+        searchInput.parentNode.insertBefore(treeSettingsBtn, searchInput);
     }
 
     // Add click listener to reset tree to Home Person
@@ -1471,6 +1898,64 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
+    const treeSettingsOverlay = document.getElementById('tree-settings-overlay');
+
+    function updateTreeSettingsOptions() {
+        const mode = document.getElementById('tree-view-mode').value;
+        document.getElementById('tree-pedigree-options').style.display = mode === 'pedigree' ? '' : 'none';
+        document.getElementById('tree-neighbourhood-options').style.display = mode === 'neighbourhood' ? '' : 'none';
+    }
+
+    function fillTreeSettingsForm(settings) {
+        document.getElementById('tree-view-mode').value = settings.mode;
+        document.getElementById('tree-pedigree-generations').value = String(settings.pedigreeGenerations);
+        document.getElementById('tree-depth-up').value = String(settings.up);
+        document.getElementById('tree-depth-down').value = String(settings.down);
+        document.getElementById('tree-depth-siblings').checked = settings.siblings;
+        document.getElementById('tree-depth-siblings-families').checked = settings.siblingsFamilies;
+        document.getElementById('tree-depth-spouses-parents').checked = settings.spousesParents;
+        updateTreeSettingsOptions();
+    }
+
+    treeSettingsBtn.addEventListener('click', () => {
+        if (!treeSettingsOverlay) return;
+        fillTreeSettingsForm(getTreeDepthSettings());
+        treeSettingsOverlay.style.display = 'flex';
+    });
+
+    window.applyTreeSettings = function() {
+        saveTreeDepthSettings({
+            mode: document.getElementById('tree-view-mode').value,
+            pedigreeGenerations: parseInt(document.getElementById('tree-pedigree-generations').value, 10),
+            up: parseInt(document.getElementById('tree-depth-up').value, 10),
+            down: parseInt(document.getElementById('tree-depth-down').value, 10),
+            siblings: document.getElementById('tree-depth-siblings').checked,
+            siblingsFamilies: document.getElementById('tree-depth-siblings-families').checked,
+            spousesParents: document.getElementById('tree-depth-spouses-parents').checked
+        });
+        if (treeSettingsOverlay) treeSettingsOverlay.style.display = 'none';
+        const centerId = activePersonId || getHomePersonId();
+        if (centerId) {
+            window.showTreePage();
+            drawTree(centerId);
+        }
+    };
+
+    window.resetTreeSettings = function() {
+        localStorage.removeItem(TREE_DEPTH_KEY);
+        fillTreeSettingsForm(getTreeDepthSettings());
+    };
+
+    if (treeSettingsOverlay) {
+        document.getElementById('tree-view-mode').addEventListener('change', updateTreeSettingsOptions);
+        document.getElementById('tree-settings-close').addEventListener('click', () => {
+            treeSettingsOverlay.style.display = 'none';
+        });
+        treeSettingsOverlay.addEventListener('click', (e) => {
+            if (e.target === treeSettingsOverlay) treeSettingsOverlay.style.display = 'none';
+        });
+    }
+
     profileBtn.addEventListener('click', () => {
         if (activePersonId && peopleMap.has(activePersonId)) {
             openPersonModal(activePersonId);
@@ -1632,15 +2117,39 @@ document.addEventListener('DOMContentLoaded', () => {
     // SECTION 5.6: BIRTHDAYS PAGE (next 20 days)
     // =================================================================================
 
+    let birthdaysMode = 'gregorian'; // 'gregorian' | 'nakshatra'
+
     window.showBirthdays = function() {
         const page = document.getElementById('birthdays-page');
         const content = document.getElementById('birthdays-content');
         if (!page || !content) return;
 
+        const canShowNakshatra = !!(window.Jyotisha && window.Panchanga);
+        const toggle = document.getElementById('birthdays-mode-toggle');
+        if (toggle) toggle.style.display = canShowNakshatra ? 'flex' : 'none';
+        if (!canShowNakshatra) birthdaysMode = 'gregorian';
+        document.querySelectorAll('#birthdays-mode-toggle button').forEach(btn => {
+            btn.classList.toggle('active', btn.getAttribute('data-mode') === birthdaysMode);
+        });
+
+        if (birthdaysMode === 'nakshatra') {
+            content.innerHTML = '<p style="color:#666; text-align:center; padding: 20px;">Loading...</p>';
+            page.style.display = 'flex';
+            initJyotishaData(() => renderBirthdays(page, content, getUpcomingNakshatraBirthdays(30)));
+            return;
+        }
+
+        renderBirthdays(page, content, getUpcomingBirthdays(30));
+        page.style.display = 'flex';
+    };
+
+    function renderBirthdays(page, content, list) {
         const homeId = getHomePersonId();
-        const list = getUpcomingBirthdays(30);
+        const isNakshatra = birthdaysMode === 'nakshatra';
         if (list.length === 0) {
-            content.innerHTML = '<p style="color:#666; text-align:center; padding: 20px;">No upcoming birthdays found.</p>';
+            content.innerHTML = isNakshatra
+                ? '<p style="color:#666; text-align:center; padding: 20px;">No upcoming Nakshatra birthdays found.</p>'
+                : '<p style="color:#666; text-align:center; padding: 20px;">No upcoming birthdays found.</p>';
         } else {
             content.innerHTML = list.map(entry => {
                 const namesHtml = entry.persons.map(p => {
@@ -1669,12 +2178,17 @@ document.addEventListener('DOMContentLoaded', () => {
                         }
                     }
 
+                    const nakshatraHtml = p.nakshatra
+                        ? `<div class="shraddha-death">${escapeHtml(p.lunarMonth)} month, Moon in ${escapeHtml(p.nakshatra)}</div>`
+                        : '';
+
                     const phoneHtml = p.phone
                         ? `<div class="birthday-phone"><a href="${getWhatsAppUrl(p.phone)}" target="_blank" rel="noopener" class="birthday-whatsapp-link" title="Open WhatsApp">${escapeHtml(p.phone)}</a></div>`
                         : '';
                     return `<div class="birthday-person-block">
                         <div class="birthday-name"><a href="#" data-person-id="${p.id}">${escapeHtml(p.name)}${ageStr}</a></div>
                         ${jyotishaHtml}
+                        ${nakshatraHtml}
                         ${relationHtml}
                         ${phoneHtml}
                     </div>`;
@@ -1698,64 +2212,658 @@ document.addEventListener('DOMContentLoaded', () => {
             });
         });
 
-        page.style.display = 'flex';
-    };
-
-    // =================================================================================
-    // SECTION 5.8: HELP PAGE
-    // =================================================================================
-
-    window.showHelp = function() {
-        console.log("Opening Help Page...");
-        const helpPage = document.getElementById('help-page');
-        if (helpPage) {
-            helpPage.style.display = 'flex';
+        if (isNakshatra) {
+            content.insertAdjacentHTML('beforeend', '<div class="shraddha-note">Nakshatra birthdays fall in the lunar month of birth, on the day the Moon is in the janma nakshatra at sunrise. Only people with a Janma Nakshatra and an exact birth date are listed.</div>');
         }
-    };
+    }
 
-    const helpPageClose = document.getElementById('help-page-close');
-    if (helpPageClose) {
-        helpPageClose.addEventListener('click', () => {
-            document.getElementById('help-page').style.display = 'none';
+    document.querySelectorAll('#birthdays-mode-toggle button').forEach(btn => {
+        btn.addEventListener('click', () => {
+            birthdaysMode = btn.getAttribute('data-mode');
+            window.showBirthdays();
         });
-    }
+    });
 
     // =================================================================================
-    // SECTION 5.6.5: FORM PAGE
+    // SECTION 5.6.1: ANNIVERSARIES PAGE (next 30 days)
     // =================================================================================
 
-    window.showFormPage = function() {
-        const formPage = document.getElementById('form-page');
-        if (formPage) formPage.style.display = 'flex';
-    };
-
-    const formPageClose = document.getElementById('form-page-close');
-    if (formPageClose) {
-        formPageClose.addEventListener('click', () => {
-            document.getElementById('form-page').style.display = 'none';
-        });
-    }
+    const ANNIVERSARY_MILESTONES = { 25: 'Silver Jubilee', 40: 'Ruby', 50: 'Golden Jubilee', 60: 'Diamond Jubilee' };
 
-    // =================================================================================
-    // SECTION 5.8.5: ABOUT PAGE
-    // =================================================================================
+    window.showAnniversaries = function() {
+        const page = document.getElementById('anniversaries-page');
+        const content = document.getElementById('anniversaries-content');
+        if (!page || !content) return;
 
-    window.showAboutPage = function() {
-        const aboutPage = document.getElementById('about-page');
-        if (aboutPage) {
-            aboutPage.style.display = 'flex';
+        const homeId = getHomePersonId();
+        const list = getUpcomingAnniversaries(30);
+        if (list.length === 0) {
+            content.innerHTML = '<p style="color:#666; text-align:center; padding: 20px;">No upcoming anniversaries found.</p>';
+        } else {
+            content.innerHTML = list.map(entry => {
+                const couplesHtml = entry.couples.map(c => {
+                    const milestone = ANNIVERSARY_MILESTONES[c.years] ? ` · ${ANNIVERSARY_MILESTONES[c.years]}` : '';
+                    const spousesHtml = c.spouseIds.map(id => {
+                        const p = peopleMap.get(id);
+                        let relationHtml = '';
+                        if (homeId && typeof findRelationship === 'function') {
+                            if (id === homeId) {
+                                relationHtml = ` <span style="font-size: 13px; color: #E91E63;">You (Home)</span>`;
+                            } else {
+                                const rel = findRelationship(homeId, id);
+                                if (rel && rel !== "Unknown") {
+                                    relationHtml = ` <span style="font-size: 13px; color: #E91E63;">${rel}</span>`;
+                                }
+                            }
+                        }
+                        const phone = (p.phone || '').trim();
+                        const phoneHtml = phone
+                            ? `<div class="birthday-phone"><a href="${getWhatsAppUrl(phone)}" target="_blank" rel="noopener" class="birthday-whatsapp-link" title="Open WhatsApp">${escapeHtml(phone)}</a></div>`
+                            : '';
+                        return `<div class="birthday-name"><a href="#" data-person-id="${id}">${escapeHtml(p.name)}</a>${relationHtml}</div>${phoneHtml}`;
+                    }).join('');
+                    return `<div class="birthday-person-block">
+                        <div style="font-size: 13px; color: #666; margin-bottom: 2px;">${formatOrdinal(c.years)} anniversary${milestone}</div>
+                        ${spousesHtml}
+                    </div>`;
+                }).join('');
+                return `<div class="birthday-date-block">
+                    <div class="birthday-date-line">${entry.dateStr} ${entry.weekday}</div>
+                    ${couplesHtml}
+                </div>`;
+            }).join('');
         }
+
+        content.querySelectorAll('.birthday-name a[data-person-id]').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                const id = link.getAttribute('data-person-id');
+                if (id && peopleMap.has(id)) {
+                    page.style.display = 'none';
+                    drawTree(id);
+                    openPersonModal(id);
+                }
+            });
+        });
+
+        page.style.display = 'flex';
     };
 
-    const aboutPageClose = document.getElementById('about-page-close');
-    if (aboutPageClose) {
-        aboutPageClose.addEventListener('click', () => {
-            document.getElementById('about-page').style.display = 'none';
+    const anniversariesPageClose = document.getElementById('anniversaries-page-close');
+    if (anniversariesPageClose) {
+        anniversariesPageClose.addEventListener('click', () => {
+            document.getElementById('anniversaries-page').style.display = 'none';
         });
     }
 
     // =================================================================================
-    // SECTION 5.8.6: FEEDBACK PAGE
+    // SECTION 5.6.2: SHRADDHA PAGE (tithi-based death anniversaries)
+    // =================================================================================
+
+    window.showShraddha = function() {
+        const page = document.getElementById('shraddha-page');
+        const content = document.getElementById('shraddha-content');
+        if (!page || !content) return;
+
+        if (!window.Panchanga) {
+            content.innerHTML = '<p style="color:#666; text-align:center; padding: 20px;">Lunar calendar is not available.</p>';
+            page.style.display = 'flex';
+            return;
+        }
+
+        const homeId = getHomePersonId();
+        const today = window.Panchanga.getDay(new Date());
+        const { entries, undated } = getUpcomingShraddhas();
+
+        let html = `<div class="shraddha-today">Today: <strong>${window.Panchanga.formatDay(today)}</strong></div>`;
+        if (entries.length === 0) {
+            html += '<p style="color:#666; text-align:center; padding: 20px;">No death dates recorded for deceased members.</p>';
+        } else {
+            html += entries.map(entry => {
+                const when = entry.daysUntil === 0 ? 'Today' : (entry.daysUntil === 1 ? 'Tomorrow' : `in ${entry.daysUntil} days`);
+                const personsHtml = entry.persons.map(person => {
+                    let relationHtml = '';
+                    if (homeId && person.id !== homeId && typeof findRelationship === 'function') {
+                        const rel = findRelationship(homeId, person.id);
+                        if (rel && rel !== "Unknown") {
+                            relationHtml = ` <span style="font-size: 13px; color: #E91E63;">${rel}</span>`;
+                        }
+                    }
+                    return `<div class="birthday-person-block">
+                        <div style="font-size: 13px; color: #666; margin-bottom: 2px;">${escapeHtml(person.tithi)}</div>
+                        <div class="birthday-name"><a href="#" data-person-id="${person.id}">${escapeHtml(person.name)}</a>${relationHtml}</div>
+                        <div class="shraddha-death">Died ${escapeHtml(person.deathDateStr)} (${escapeHtml(person.deathTithi)})</div>
+                    </div>`;
+                }).join('');
+                return `<div class="birthday-date-block">
+                    <div class="birthday-date-line">${entry.dateStr} ${entry.weekday} · ${when}</div>
+                    ${personsHtml}
+                </div>`;
+            }).join('');
+        }
+        if (undated > 0) {
+            html += `<p class="shraddha-note">${undated} deceased member${undated === 1 ? '' : 's'} without an exact date of death ${undated === 1 ? 'is' : 'are'} not listed.</p>`;
+        }
+        html += '<p class="shraddha-note">Tithi of death is taken at sunrise; the Shraddha falls on the day its tithi prevails during aparahna (afternoon). Please confirm with your family purohit.</p>';
+        content.innerHTML = html;
+
+        content.querySelectorAll('.birthday-name a[data-person-id]').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                const id = link.getAttribute('data-person-id');
+                if (id && peopleMap.has(id)) {
+                    page.style.display = 'none';
+                    drawTree(id);
+                    openPersonModal(id);
+                }
+            });
+        });
+
+        page.style.display = 'flex';
+    };
+
+    const shraddhaPageClose = document.getElementById('shraddha-page-close');
+    if (shraddhaPageClose) {
+        shraddhaPageClose.addEventListener('click', () => {
+            document.getElementById('shraddha-page').style.display = 'none';
+        });
+    }
+
+    // =================================================================================
+    // SECTION 5.6.3: TIMELINE PAGE (births, marriages and deaths by decade)
+    // =================================================================================
+
+    const TIMELINE_ICONS = { birth: '🎂', marriage: '💍', death: '🪔' };
+    let timelinePersonId = null;
+
+    function parseTimelineDate(raw) {
+        const text = String(raw || '').trim();
+        if (!text || !window.DateUtils) return null;
+        const date = window.DateUtils.parse(text);
+        if (!date || isNaN(date.getTime())) return null;
+        return { date, yearOnly: /^\d{4}$/.test(text) };
+    }
+
+    /**
+     * Births, marriages and deaths of the given people, oldest first. Returns
+     * [{ type, date, year, yearOnly, approximate, personIds, age }]. A marriage is
+     * included when either spouse is in `ids`; undated events are left out.
+     */
+    function getTimelineEvents(ids) {
+        const events = [];
+        const seenFamilies = new Set();
+        const add = (type, parsed, personIds, extra) => {
+            if (!parsed) return;
+            events.push(Object.assign({
+                type,
+                date: parsed.date,
+                year: parsed.date.getFullYear(),
+                yearOnly: parsed.yearOnly,
+                approximate: false,
+                personIds
+            }, extra || {}));
+        };
+
+        ids.forEach(id => {
+            const p = peopleMap.get(id);
+            if (!p) return;
+            const birth = parseTimelineDate(p.Birth);
+            add('birth', birth, [id], { approximate: p.birth_date_type === 'approximate' });
+
+            const death = parseTimelineDate(p.death_date || p.Death);
+            if (death) {
+                const age = birth ? Math.floor((death.date - birth.date) / (365.2425 * 86400000)) : null;
+                add('death', death, [id], { age: age != null && age >= 0 && !birth.yearOnly && !death.yearOnly ? age : null });
+            }
+
+            (p.marriages || []).forEach(m => {
+                if (!m.date || seenFamilies.has(m.family_id)) return;
+                seenFamilies.add(m.family_id);
+                const husbandFirst = genderMap.get(id) !== 'F';
+                add('marriage', parseTimelineDate(m.date), husbandFirst ? [id, m.spouse_id] : [m.spouse_id, id]);
+            });
+        });
+
+        return events.sort((a, b) => a.date - b.date);
+    }
+
+    function getTimelineScopeIds(scope) {
+        if (scope === 'person' && timelinePersonId && peopleMap.has(timelinePersonId)) {
+            const p = peopleMap.get(timelinePersonId);
+            return new Set([timelinePersonId].concat(p.pids || [], childrenMap.get(timelinePersonId) || []));
+        }
+        if (scope === 'branch' && timelinePersonId && peopleMap.has(timelinePersonId)) {
+            return getBranchMembers(timelinePersonId);
+        }
+        return new Set(PEOPLE.map(p => p.id));
+    }
+
+    window.showTimeline = function(personId, scope) {
+        const page = document.getElementById('timeline-page');
+        if (!page) return;
+        if (personId && peopleMap.has(personId)) {
+            timelinePersonId = personId;
+            document.getElementById('tl-scope').value = scope === 'branch' ? 'branch' : 'person';
+        }
+        page.style.display = 'flex';
+        renderTimeline();
+    };
+
+    function renderTimeline() {
+        const container = document.getElementById('timeline-results');
+        if (!container) return;
+
+        const scope = document.getElementById('tl-scope').value;
+        const type = document.getElementById('tl-type').value;
+        const needsPerson = scope !== 'all';
+        document.getElementById('tl-person-box').style.display = needsPerson && !timelinePersonId ? 'block' : 'none';
+        document.getElementById('tl-person-selected').style.display = needsPerson && timelinePersonId ? 'flex' : 'none';
+        if (timelinePersonId && peopleMap.has(timelinePersonId)) {
+            document.getElementById('tl-person-selected-name').textContent = peopleMap.get(timelinePersonId).name;
+        }
+        if (needsPerson && !timelinePersonId) {
+            container.innerHTML = '<p style="color:#666; text-align:center;">Search and select a person.</p>';
+            return;
+        }
+
+        const ids = getTimelineScopeIds(scope);
+        const events = getTimelineEvents(ids).filter(e => type === 'all' || e.type === type);
+        const undated = Array.from(ids).filter(id => {
+            const p = peopleMap.get(id);
+            return p && !parseTimelineDate(p.Birth);
+        }).length;
+
+        const name = (id) => peopleMap.has(id) ? peopleMap.get(id).name : id;
+        const link = (id) => peopleMap.has(id)
+            ? `<a href="#" data-person-id="${escapeHtml(id)}">${escapeHtml(name(id))}</a>`
+            : escapeHtml(id);
+
+        const decades = new Map();
+        events.forEach(e => {
+            const decade = Math.floor(e.year / 10) * 10;
+            if (!decades.has(decade)) decades.set(decade, []);
+            decades.get(decade).push(e);
+        });
+
+        const approximateCount = events.filter(e => e.approximate || e.yearOnly).length;
+        let html = `<div class="jo-summary">${events.length} events${approximateCount ? `, ${approximateCount} with approximate dates` : ''}. ${undated} people without a birth date are not placed on the timeline.</div>`;
+
+        if (events.length === 0) {
+            html += '<p style="color:#666; text-align:center;">No dated events found.</p>';
+        }
+
+        decades.forEach((list, decade) => {
+            html += `<div class="jo-group"><div class="jo-group-title">${decade}s <span style="color:#888; font-weight:normal; font-size:13px;">(${list.length})</span></div>`;
+            html += list.map(e => {
+                // Approximate dates are stored as 1 January of the estimated year
+                const dateText = e.approximate || e.yearOnly ? `c. ${e.year}` : window.DateUtils.formatDisplay(e.date);
+                let text;
+                if (e.type === 'birth') text = `Birth of ${link(e.personIds[0])}`;
+                else if (e.type === 'death') text = `Death of ${link(e.personIds[0])}${e.age != null ? ` (aged ${e.age})` : ''}`;
+                else text = `Marriage of ${link(e.personIds[0])} and ${link(e.personIds[1])}`;
+                return `<div class="timeline-event ${e.type}${e.approximate || e.yearOnly ? ' approximate' : ''}">
+                    <span class="timeline-date">${escapeHtml(dateText)}</span>
+                    <span class="timeline-icon">${TIMELINE_ICONS[e.type]}</span>
+                    <span class="timeline-text">${text}</span>
+                </div>`;
+            }).join('');
+            html += '</div>';
+        });
+
+        container.innerHTML = html;
+
+        container.querySelectorAll('a[data-person-id]').forEach(a => {
+            a.addEventListener('click', (ev) => {
+                ev.preventDefault();
+                const id = a.getAttribute('data-person-id');
+                if (id && peopleMap.has(id)) {
+                    document.getElementById('timeline-page').style.display = 'none';
+                    drawTree(id);
+                    openPersonModal(id);
+                }
+            });
+        });
+    }
+
+    window.clearTimelinePerson = function() {
+        timelinePersonId = null;
+        renderTimeline();
+    };
+
+    ['tl-scope', 'tl-type'].forEach(id => {
+        const el = document.getElementById(id);
+        if (el) el.addEventListener('change', renderTimeline);
+    });
+
+    const tlPersonInput = document.getElementById('tl-person-input');
+    const tlPersonSuggestions = document.getElementById('tl-person-suggestions');
+
+    if (tlPersonInput && tlPersonSuggestions) {
+        tlPersonInput.addEventListener('input', () => {
+            const query = tlPersonInput.value.toLowerCase().trim();
+            if (query.length < 2) {
+                tlPersonSuggestions.style.display = 'none';
+                return;
+            }
+            const matches = searchPeople(query, 10);
+            tlPersonSuggestions.innerHTML = matches.map(p => `
+                <div class="suggestion-item" data-id="${p.id}">
+                    <strong>${escapeHtml(p.name)}</strong> <span style="font-size: 0.85em; color: #888; float: right;">${p.id}</span>
+                </div>
+            `).join('');
+            tlPersonSuggestions.style.display = matches.length > 0 ? 'block' : 'none';
+        });
+
+        tlPersonSuggestions.addEventListener('click', (e) => {
+            const item = e.target.closest('.suggestion-item');
+            if (item) {
+                timelinePersonId = item.dataset.id;
+                tlPersonInput.value = '';
+                tlPersonSuggestions.style.display = 'none';
+                renderTimeline();
+            }
+        });
+    }
+
+    const timelinePageClose = document.getElementById('timeline-page-close');
+    if (timelinePageClose) {
+        timelinePageClose.addEventListener('click', () => {
+            document.getElementById('timeline-page').style.display = 'none';
+        });
+    }
+
+    // =================================================================================
+    // SECTION 5.6.4: STATISTICS PAGE (demographics with SVG charts from stats.js)
+    // =================================================================================
+
+    function getFamilyStatistics() {
+        if (!window.FamilyStats) return null;
+        return window.FamilyStats.compute({
+            peopleMap,
+            genderMap,
+            getGothra: (id) => {
+                const analysis = getGothraAnalysis();
+                const info = analysis ? analysis.people.get(id) : null;
+                if (info) return info.effective;
+                const p = peopleMap.get(id);
+                return p && p.jyotisha ? p.jyotisha.gothra : null;
+            }
+        });
+    }
+
+    window.showStatistics = function() {
+        const page = document.getElementById('statistics-page');
+        const container = document.getElementById('statistics-results');
+        if (!page || !container) return;
+        page.style.display = 'flex';
+
+        const stats = getFamilyStatistics();
+        if (!stats || stats.total === 0) {
+            container.innerHTML = '<p style="color:#666; text-align:center;">No family data loaded.</p>';
+            return;
+        }
+
+        const charts = window.FamilyStats;
+        const colors = charts.COLORS;
+        const years = (avg) => avg.count === 0
+            ? '<span style="color:#999;">No data</span>'
+            : `${avg.average.toFixed(1)} yrs <span class="stats-note">(from ${avg.count} ${avg.count === 1 ? 'person' : 'people'})</span>`;
+        const tile = (value, label) => `<div class="stats-tile"><div class="stats-tile-value">${value}</div><div class="stats-tile-label">${label}</div></div>`;
+        const group = (title, body) => `<div class="jo-group"><div class="jo-group-title">${title}</div>${body}</div>`;
+        const chart = (svg) => `<div class="stats-chart">${svg}</div>`;
+        const topChart = (items, color) => items.length === 0
+            ? '<p style="color:#999;">No data recorded.</p>'
+            : chart(charts.barChart(items, { color }));
+
+        let html = `<div class="stats-tiles">
+            ${tile(stats.total, 'Members')}
+            ${tile(stats.generations, 'Generations')}
+            ${tile(stats.living, 'Living')}
+            ${tile(stats.deceased, 'Deceased')}
+        </div>`;
+
+        html += group('Living and Deceased', chart(charts.splitBar([
+            { label: 'Living', count: stats.living, color: colors.living },
+            { label: 'Deceased', count: stats.deceased, color: colors.deceased }
+        ])));
+
+        const genderSegments = [
+            { label: 'Men', count: stats.gender.M, color: colors.M },
+            { label: 'Women', count: stats.gender.F, color: colors.F }
+        ];
+        if (stats.gender.U) genderSegments.push({ label: 'Unknown', count: stats.gender.U, color: colors.U });
+        html += group('Gender', chart(charts.splitBar(genderSegments)));
+
+        html += group('Lifespan and Marriage', `<table class="jo-table">
+            <tr><td>Average lifespan</td><td>${years(stats.lifespan)}</td></tr>
+            <tr><td>Average age at marriage (men)</td><td>${years(stats.marriageAge.men)}</td></tr>
+            <tr><td>Average age at marriage (women)</td><td>${years(stats.marriageAge.women)}</td></tr>
+        </table>
+        <div class="stats-note" style="margin-top:6px;">Averages use only people whose birth, death or marriage dates are recorded.</div>`);
+
+        const missingAge = stats.living - stats.pyramid.count;
+        html += group('Age Pyramid (Living Members)',
+            chart(charts.pyramidChart(stats.pyramid.bands)) +
+            `<div class="stats-note">${stats.pyramid.count} living members with a birth date${missingAge > 0 ? `; ${missingAge} without one are not shown` : ''}.</div>`);
+
+        html += group('Most Common Given Names', topChart(stats.top.givenNames, '#4A90E2'));
+        html += group('Birth Places', topChart(stats.top.birthPlaces, '#43A047'));
+        html += group('Gothras', topChart(stats.top.gothras, '#FB8C00') +
+            '<div class="stats-note">Includes gothras inferred from the paternal line.</div>');
+        html += group('Nakshatras', topChart(stats.top.nakshatras, '#8E24AA'));
+
+        container.innerHTML = html;
+    };
+
+    const statisticsPageClose = document.getElementById('statistics-page-close');
+    if (statisticsPageClose) {
+        statisticsPageClose.addEventListener('click', () => {
+            document.getElementById('statistics-page').style.display = 'none';
+        });
+    }
+
+    // =================================================================================
+    // SECTION 5.6.6: PLACES PAGE (gazetteer from places.js)
+    // =================================================================================
+
+    let placeGazetteer = null;
+    let placeGazetteerSource = null; // window.familyData the gazetteer was built from
+
+    /**
+     * Merged places.json (places.js), rebuilt when new data is loaded.
+     */
+    function getPlaceGazetteer() {
+        if (!window.Places || !window.familyData) return null;
+        if (placeGazetteer && placeGazetteerSource === window.familyData) return placeGazetteer;
+        placeGazetteer = window.Places.build(window.familyData.places);
+        placeGazetteerSource = window.familyData;
+        return placeGazetteer;
+    }
+
+    window.showPlaces = function(placeId) {
+        const page = document.getElementById('places-page');
+        if (!page) return;
+        page.style.display = 'flex';
+        const filter = document.getElementById('places-filter');
+        const gazetteer = getPlaceGazetteer();
+        if (filter && placeId && gazetteer && gazetteer.get(placeId)) {
+            filter.value = gazetteer.name(placeId);
+        }
+        renderPlaces();
+    };
+
+    function renderPlaces() {
+        const container = document.getElementById('places-results');
+        if (!container) return;
+        const gazetteer = getPlaceGazetteer();
+        if (!gazetteer) {
+            container.innerHTML = '<p style="color:#666; text-align:center;">Place data is not available.</p>';
+            return;
+        }
+
+        const query = (document.getElementById('places-filter').value || '').trim();
+        const queryKey = window.Places.placeKey(query);
+        const sortBy = document.getElementById('places-sort').value;
+
+        const bornIn = new Map();
+        const marriedIn = new Map();
+        let unplaced = 0;
+        PEOPLE.forEach(p => {
+            const placeId = gazetteer.resolve(p.birth_place_id);
+            if (!placeId) { unplaced++; return; }
+            if (!bornIn.has(placeId)) bornIn.set(placeId, []);
+            bornIn.get(placeId).push(p.id);
+        });
+        const seenFamilies = new Set();
+        PEOPLE.forEach(p => (p.marriages || []).forEach(m => {
+            const placeId = gazetteer.resolve(m.place_id);
+            if (!placeId || seenFamilies.has(m.family_id)) return;
+            seenFamilies.add(m.family_id);
+            if (!marriedIn.has(placeId)) marriedIn.set(placeId, []);
+            marriedIn.get(placeId).push(genderMap.get(p.id) === 'F' ? [m.spouse_id, p.id] : [p.id, m.spouse_id]);
+        }));
+
+        // Births in a place and every place inside it
+        const totals = new Map();
+        const totalOf = (place) => {
+            if (totals.has(place.id)) return totals.get(place.id);
+            totals.set(place.id, 0); // Guards against parent loops
+            const total = (bornIn.get(place.id) || []).length + (marriedIn.get(place.id) || []).length +
+                gazetteer.children(place.id).reduce((sum, child) => sum + totalOf(child), 0);
+            totals.set(place.id, total);
+            return total;
+        };
+        const matches = (place) => !queryKey || gazetteer.path(place.id).some(p => window.Places.placeKey(p.name).includes(queryKey));
+        const visible = (place, seen) => {
+            if (seen.has(place.id)) return false;
+            seen.add(place.id);
+            return totalOf(place) > 0 && (matches(place) || gazetteer.children(place.id).some(child => visible(child, seen)));
+        };
+        const sortPlaces = (list) => list.sort((a, b) =>
+            sortBy === 'name' ? a.name.localeCompare(b.name) : (totalOf(b) - totalOf(a)) || a.name.localeCompare(b.name)
+        );
+
+        const link = (id) => peopleMap.has(id)
+            ? `<a href="#" data-person-id="${escapeHtml(id)}">${escapeHtml(peopleMap.get(id).name)}</a>`
+            : escapeHtml(id);
+
+        const renderPlace = (place, depth, seen) => {
+            if (seen.has(place.id)) return '';
+            seen.add(place.id);
+            const born = (bornIn.get(place.id) || []).slice().sort((a, b) => peopleMap.get(a).name.localeCompare(peopleMap.get(b).name));
+            const married = marriedIn.get(place.id) || [];
+            const children = sortPlaces(gazetteer.children(place.id).filter(child => visible(child, new Set())));
+            const spellings = place.ids.map(id => String(window.familyData.places[id].place).split(',')[0].trim())
+                .filter((name, i, list) => name !== place.name && list.indexOf(name) === i);
+
+            let html = `<div class="place-entry" data-place-id="${escapeHtml(place.id)}" style="margin-left: ${depth * 16}px;">`;
+            html += `<div class="jo-group-title">📍 ${escapeHtml(place.name)}`;
+            if (place.type) html += ` <span class="place-type">${escapeHtml(place.type)}</span>`;
+            html += ` <span style="color:#888; font-weight:normal; font-size:13px;">(${totalOf(place)})</span></div>`;
+
+            const details = [];
+            if (depth === 0 && place.parentId) details.push(escapeHtml(gazetteer.label(place.id)));
+            if (place.lat != null && place.lng != null) {
+                const coords = `${place.lat.toFixed(4)}, ${place.lng.toFixed(4)}`;
+                details.push(`<a href="https://www.openstreetmap.org/?mlat=${place.lat}&mlon=${place.lng}#map=12/${place.lat}/${place.lng}" target="_blank" rel="noopener">${coords}</a>`);
+            }
+            if (spellings.length > 0) details.push(`Also recorded as ${spellings.map(escapeHtml).join(', ')}`);
+            if (details.length > 0) html += `<div class="jo-summary">${details.join(' · ')}</div>`;
+
+            if (born.length > 0) html += `<div class="place-people"><strong>Born here:</strong> ${born.map(link).join(', ')}</div>`;
+            if (married.length > 0) html += `<div class="place-people"><strong>Married here:</strong> ${married.map(pair => `${link(pair[0])} &amp; ${link(pair[1])}`).join('; ')}</div>`;
+            html += '</div>';
+            return html + children.map(child => renderPlace(child, depth + 1, seen)).join('');
+        };
+
+        const top = sortPlaces(gazetteer.children().filter(place => visible(place, new Set())));
+        const merged = Array.from(gazetteer.places.values()).reduce((sum, place) => sum + Math.max(0, place.ids.length - 1), 0);
+        let html = `<div class="jo-summary">${gazetteer.places.size} places${merged ? ` (${merged} duplicate spellings merged)` : ''}. ${unplaced} people have no birth place recorded.</div>`;
+        if (top.length === 0) html += '<p style="color:#666; text-align:center;">No matching places.</p>';
+        const seen = new Set();
+        html += top.map(place => renderPlace(place, 0, seen)).join('');
+        container.innerHTML = html;
+
+        container.querySelectorAll('a[data-person-id]').forEach(a => {
+            a.addEventListener('click', (ev) => {
+                ev.preventDefault();
+                const id = a.getAttribute('data-person-id');
+                if (id && peopleMap.has(id)) {
+                    document.getElementById('places-page').style.display = 'none';
+                    drawTree(id);
+                    openPersonModal(id);
+                }
+            });
+        });
+    }
+
+    const placesFilter = document.getElementById('places-filter');
+    if (placesFilter) placesFilter.addEventListener('input', renderPlaces);
+    const placesSort = document.getElementById('places-sort');
+    if (placesSort) placesSort.addEventListener('change', renderPlaces);
+
+    const placesPageClose = document.getElementById('places-page-close');
+    if (placesPageClose) {
+        placesPageClose.addEventListener('click', () => {
+            document.getElementById('places-page').style.display = 'none';
+        });
+    }
+
+    // =================================================================================
+    // SECTION 5.8: HELP PAGE
+    // =================================================================================
+
+    window.showHelp = function() {
+        console.log("Opening Help Page...");
+        const helpPage = document.getElementById('help-page');
+        if (helpPage) {
+            helpPage.style.display = 'flex';
+        }
+    };
+
+    const helpPageClose = document.getElementById('help-page-close');
+    if (helpPageClose) {
+        helpPageClose.addEventListener('click', () => {
+            document.getElementById('help-page').style.display = 'none';
+        });
+    }
+
+    // =================================================================================
+    // SECTION 5.6.5: FORM PAGE
+    // =================================================================================
+
+    window.showFormPage = function() {
+        const formPage = document.getElementById('form-page');
+        if (formPage) formPage.style.display = 'flex';
+    };
+
+    const formPageClose = document.getElementById('form-page-close');
+    if (formPageClose) {
+        formPageClose.addEventListener('click', () => {
+            document.getElementById('form-page').style.display = 'none';
+        });
+    }
+
+    // =================================================================================
+    // SECTION 5.8.5: ABOUT PAGE
+    // =================================================================================
+
+    window.showAboutPage = function() {
+        const aboutPage = document.getElementById('about-page');
+        if (aboutPage) {
+            aboutPage.style.display = 'flex';
+        }
+    };
+
+    const aboutPageClose = document.getElementById('about-page-close');
+    if (aboutPageClose) {
+        aboutPageClose.addEventListener('click', () => {
+            document.getElementById('about-page').style.display = 'none';
+        });
+    }
+
+    // =================================================================================
+    // SECTION 5.8.6: FEEDBACK PAGE
     // =================================================================================
 
     window.showFeedbackPage = function() {
@@ -1779,6 +2887,59 @@ document.addEventListener('DOMContentLoaded', () => {
     // State for the reports page
     let reportSelectedPersonId = null;
     let reportSecondPersonId = null; // For Relationship Diagram
+    let currentReportRoute = ''; // Hash route of the report on screen (SECTION 5.17)
+
+    // Reports with a model in relationship.js can also be saved as CSV, copied as Markdown or shared as WhatsApp text (reports.js)
+    const reportExport = document.getElementById('report-export');
+
+    // [kind, id, id2] of the report on screen, or null when it has no report model
+    function getCurrentReportModelArgs() {
+        if (typeof buildReportModel !== 'function' || !window.ReportRenderers) return null;
+        const parts = currentReportRoute.split('/');
+        const args = parts[0] === 'relation' ? parts : parts.slice(1);
+        return REPORT_MODEL_KINDS.includes(args[0]) ? args : null;
+    }
+
+    function getCurrentReportModel() {
+        const args = getCurrentReportModelArgs();
+        return args ? buildReportModel(args[0], args[1], args[2], { getGothra: getFamilyBookGothra }) : null;
+    }
+
+    function setReportRoute(route) {
+        currentReportRoute = route;
+        if (reportExport) reportExport.hidden = !getCurrentReportModelArgs();
+    }
+
+    function copyReportText(text, successMessage) {
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            return navigator.clipboard.writeText(text)
+                .then(() => window.showToast(successMessage))
+                .catch(() => window.prompt("Copy this report:", text));
+        }
+        window.prompt("Copy this report:", text);
+        return Promise.resolve();
+    }
+
+    if (reportExport) {
+        reportExport.addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-format]');
+            const model = btn ? getCurrentReportModel() : null;
+            if (!model) return;
+            const format = btn.dataset.format;
+            const text = window.ReportRenderers.render(model, format);
+
+            if (format === 'csv') {
+                const safeName = String(model.subject.name).trim().replace(/[^A-Za-z0-9]+/g, '_').slice(0, 60);
+                downloadTextFile(`${model.kind}_${safeName}.csv`, text, 'text/csv;charset=utf-8');
+            } else if (format === 'markdown') {
+                copyReportText(text, "Report copied as Markdown.");
+            } else if (navigator.share) {
+                navigator.share({ title: model.title, text }).catch(console.error);
+            } else {
+                copyReportText(text, "Report copied. Paste it into WhatsApp.");
+            }
+        });
+    }
 
     window.showReportsPage = function() {
         const page = document.getElementById('reports-page');
@@ -1812,13 +2973,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 reportSuggestions.style.display = 'none';
                 return;
             }
-            const matches = [];
-            for (const person of PEOPLE) {
-                if (person.name.toLowerCase().includes(query)) {
-                    matches.push(person);
-                    if (matches.length >= 10) break;
-                }
-            }
+            const matches = searchPeople(query, 10);
             reportSuggestions.innerHTML = matches.map(p => `
                 <div class="suggestion-item" data-id="${p.id}">
                     <strong>${escapeHtml(p.name)}</strong> <span style="font-size: 0.85em; color: #888; float: right;">${p.id}</span>
@@ -1859,7 +3014,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 relSuggestions.style.display = 'none';
                 return;
             }
-            const matches = PEOPLE.filter(p => p.name.toLowerCase().includes(query)).slice(0, 10);
+            const matches = searchPeople(query, 10);
             relSuggestions.innerHTML = matches.map(p => `
                 <div class="suggestion-item" data-id="${p.id}">
                     <strong>${escapeHtml(p.name)}</strong> <span style="font-size: 0.85em; color: #888; float: right;">${p.id}</span>
@@ -1902,14 +3057,203 @@ document.addEventListener('DOMContentLoaded', () => {
         }
 
         content.innerHTML = generateDiagramHTML(reportSelectedPersonId, reportSecondPersonId);
+        setReportRoute(`relation/${reportSelectedPersonId}/${reportSecondPersonId}`);
+        page.style.display = 'flex';
+    };
+
+    // --- Marriage Compatibility Logic ---
+    let compatPartnerId = null;
+
+    window.toggleCompatibilityInputs = function() {
+        const div = document.getElementById('compat-inputs');
+        if (div) {
+            div.style.display = div.style.display === 'none' ? 'block' : 'none';
+            if (div.style.display === 'block') {
+                document.getElementById('compat-search-input').focus();
+            }
+        }
+    };
+
+    const compatSearchInput = document.getElementById('compat-search-input');
+    const compatSuggestions = document.getElementById('compat-suggestions');
+
+    if (compatSearchInput && compatSuggestions) {
+        compatSearchInput.addEventListener('input', () => {
+            const query = compatSearchInput.value.toLowerCase().trim();
+            if (query.length < 2) {
+                compatSuggestions.style.display = 'none';
+                return;
+            }
+            const matches = searchPeople(query, 10);
+            compatSuggestions.innerHTML = matches.map(p => `
+                <div class="suggestion-item" data-id="${p.id}">
+                    <strong>${escapeHtml(p.name)}</strong> <span style="font-size: 0.85em; color: #888; float: right;">${p.id}</span>
+                </div>
+            `).join('');
+            compatSuggestions.style.display = matches.length > 0 ? 'block' : 'none';
+        });
+
+        compatSuggestions.addEventListener('click', (e) => {
+            const item = e.target.closest('.suggestion-item');
+            if (item) {
+                compatPartnerId = item.dataset.id;
+                const p = peopleMap.get(compatPartnerId);
+
+                document.getElementById('compat-selected').style.display = 'block';
+                document.getElementById('compat-selected-name').textContent = p.name;
+
+                compatSearchInput.value = '';
+                compatSuggestions.style.display = 'none';
+            }
+        });
+    }
+
+    window.generateCompatibility = function() {
+        if (!reportSelectedPersonId) {
+            alert("Please select the First Person (top search box) first.");
+            return;
+        }
+        if (!compatPartnerId) {
+            alert("Please select the Second Person.");
+            return;
+        }
+        if (!window.Compatibility) {
+            alert("compatibility.js is not loaded.");
+            return;
+        }
+
+        const page = document.getElementById('relationship-report-page');
+        const content = document.getElementById('report-content');
+        content.innerHTML = window.Compatibility.generateReport(reportSelectedPersonId, compatPartnerId);
+        setReportRoute(`report/compatibility/${reportSelectedPersonId}/${compatPartnerId}`);
         page.style.display = 'flex';
+
+        const p1 = peopleMap.get(reportSelectedPersonId);
+        const p2 = peopleMap.get(compatPartnerId);
+        if (p1 && p2) document.title = `${p1.name.toUpperCase()} - ${p2.name.toUpperCase()} COMPATIBILITY`;
+    };
+
+    const fanChartOptions = { generations: 5, colorBy: 'side' };
+
+    window.showFanChart = function(targetId) {
+        const page = document.getElementById('relationship-report-page');
+        const content = document.getElementById('report-content');
+        if (!page || !content) return;
+
+        if (!window.FanChart) {
+            alert("fanchart.js is not loaded.");
+            return;
+        }
+
+        const chart = window.FanChart.build(targetId, {
+            generations: fanChartOptions.generations,
+            colorBy: fanChartOptions.colorBy,
+            getGothra: (id) => {
+                const info = getGothraFlags(id).info;
+                return info ? info.effective : null;
+            }
+        });
+        if (!chart) return;
+
+        const p = peopleMap.get(targetId);
+        const generationOptions = [];
+        for (let g = 2; g <= window.FanChart.MAX_GENERATIONS; g++) {
+            generationOptions.push(`<option value="${g}"${g === chart.generations ? ' selected' : ''}>${g}</option>`);
+        }
+        const legendHtml = chart.legend.map(item =>
+            `<span class="fan-chart-legend-item"><span class="fan-chart-swatch" style="background:${item.color};"></span>${escapeHtml(item.label)}</span>`
+        ).join('');
+
+        content.innerHTML = `
+            <h2 style="text-align:center; margin: 10px 0 5px;">Ancestors of ${escapeHtml(p.name)}</h2>
+            <div class="fan-chart-controls">
+                <label>Generations <select id="fan-chart-generations">${generationOptions.join('')}</select></label>
+                <label>Colour by
+                    <select id="fan-chart-color">
+                        <option value="side"${fanChartOptions.colorBy === 'side' ? ' selected' : ''}>Father's / mother's side</option>
+                        <option value="gothra"${fanChartOptions.colorBy === 'gothra' ? ' selected' : ''}>Gothra</option>
+                    </select>
+                </label>
+                <button class="btn btn-outline" id="fan-chart-download">Download SVG</button>
+            </div>
+            <div class="fan-chart-legend">${legendHtml}</div>
+            <div class="fan-chart">${chart.svg}</div>
+            <p class="fan-chart-hint">${chart.count} ancestors shown. Tap a name to open them in the tree.</p>`;
+
+        document.getElementById('fan-chart-generations').addEventListener('change', (e) => {
+            fanChartOptions.generations = parseInt(e.target.value, 10);
+            window.showFanChart(targetId);
+        });
+        document.getElementById('fan-chart-color').addEventListener('change', (e) => {
+            fanChartOptions.colorBy = e.target.value;
+            window.showFanChart(targetId);
+        });
+        document.getElementById('fan-chart-download').addEventListener('click', () => {
+            const safeName = p.name.trim().replace(/[^A-Za-z0-9]+/g, '_');
+            downloadTextFile(`fan_chart_${safeName}.svg`, chart.svg, 'image/svg+xml;charset=utf-8');
+        });
+
+        content.querySelectorAll('.fan-chart [data-person-id]').forEach(seg => {
+            seg.addEventListener('click', () => {
+                const id = seg.getAttribute('data-person-id');
+                if (!id || !peopleMap.has(id)) return;
+                page.style.display = 'none';
+                const reportsPage = document.getElementById('reports-page');
+                if (reportsPage) reportsPage.style.display = 'none';
+                window.showTreePage();
+                drawTree(id);
+            });
+        });
+
+        setReportRoute(`report/fan-chart/${targetId}`);
+        page.style.display = 'flex';
+        document.title = `${p.name.toUpperCase()} FAN CHART`;
+    };
+
+    /**
+     * Printable sheet of QR name cards, one per member of the branch (descendants and spouses).
+     */
+    window.showQrCards = function(targetId) {
+        const page = document.getElementById('relationship-report-page');
+        const content = document.getElementById('report-content');
+        if (!page || !content || !peopleMap.has(targetId)) return;
+
+        if (!window.QRCode) {
+            alert("qrcode.js is not loaded.");
+            return;
+        }
+
+        const root = peopleMap.get(targetId);
+        const members = Array.from(getBranchMembers(targetId));
+        const cards = members.map(id => {
+            const p = peopleMap.get(id);
+            const year = window.DateUtils ? window.DateUtils.getYear(p.Birth || '') : null;
+            const qr = window.QRCode.toSvg(getRouteUrl('person/' + encodeURIComponent(id)), { moduleSize: 3, margin: 2 });
+            return `<div class="qr-card">
+                <div class="qr-card-code">${qr}</div>
+                <div class="qr-card-name">${escapeHtml(p.name)}</div>
+                <div class="qr-card-meta">${escapeHtml(id)}${year ? ` · b. ${year}` : ''}</div>
+            </div>`;
+        }).join('');
+
+        content.innerHTML = `
+            <h2 style="text-align:center; margin: 10px 0 5px;">QR Name Cards: Family of ${escapeHtml(root.name)}</h2>
+            <p class="fan-chart-hint">${members.length} cards. Scanning a card opens that person's profile in the app. Use Save PDF to print.</p>
+            <div class="qr-cards">${cards}</div>`;
+
+        setReportRoute(`report/qr-cards/${targetId}`);
+        page.style.display = 'flex';
+        document.title = `${root.name.toUpperCase()} QR CARDS`;
     };
 
     window.clearReportSelection = function() {
         reportSelectedPersonId = null;
         reportSecondPersonId = null;
+        compatPartnerId = null;
         document.getElementById('rel-diagram-selected').style.display = 'none';
         document.getElementById('rel-diagram-inputs').style.display = 'none';
+        document.getElementById('compat-selected').style.display = 'none';
+        document.getElementById('compat-inputs').style.display = 'none';
         updateReportUI();
     };
 
@@ -1946,6 +3290,12 @@ document.addEventListener('DOMContentLoaded', () => {
             showFullDescendantsReport(reportSelectedPersonId);
         } else if (reportType === 'full-descendants-diagram') {
             showFullDescendantsDiagram(reportSelectedPersonId);
+        } else if (reportType === 'fan-chart') {
+            showFanChart(reportSelectedPersonId);
+        } else if (reportType === 'qr-cards') {
+            showQrCards(reportSelectedPersonId);
+        } else if (reportType === 'family-book') {
+            showFamilyBook(reportSelectedPersonId);
         } else if (reportType === 'full-descendants') {
             showFullDescendantsReport(reportSelectedPersonId);
         } else if (reportType === 'full-descendants-diagram') {
@@ -1969,6 +3319,7 @@ document.addEventListener('DOMContentLoaded', () => {
             // Use targetId if provided, otherwise fallback to home (though new UI enforces selection)
             const idToUse = targetId || getHomePersonId();
             content.innerHTML = generateRelationshipReport(idToUse);
+            setReportRoute(`report/close-family/${idToUse}`);
             page.style.display = 'flex';
 
             // Set document title for printing filename
@@ -1995,6 +3346,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
         try {
             content.innerHTML = generateAncestorsReport(targetId);
+            setReportRoute(`report/ancestors/${targetId}`);
             page.style.display = 'flex';
             if (targetId && peopleMap.has(targetId)) {
                 const p = peopleMap.get(targetId);
@@ -2018,6 +3370,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
         try {
             content.innerHTML = generateDescendantsReport(targetId);
+            setReportRoute(`report/descendants/${targetId}`);
             page.style.display = 'flex';
             if (targetId && peopleMap.has(targetId)) {
                 const p = peopleMap.get(targetId);
@@ -2029,6 +3382,36 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     };
 
+    // Recorded or inferred gothra for the family book (SECTION 5.12.2)
+    function getFamilyBookGothra(id) {
+        const info = getGothraFlags(id).info;
+        return info ? info.effective : null;
+    }
+
+    window.showFamilyBook = function(targetId) {
+        const page = document.getElementById('relationship-report-page');
+        const content = document.getElementById('report-content');
+        if (!page || !content) return;
+
+        if (typeof generateFamilyBook !== 'function') {
+            alert("Error: relationship.js is not updated.");
+            return;
+        }
+
+        try {
+            content.innerHTML = generateFamilyBook(targetId, { getGothra: getFamilyBookGothra });
+            setReportRoute(`report/family-book/${targetId}`);
+            page.style.display = 'flex';
+            if (targetId && peopleMap.has(targetId)) {
+                const p = peopleMap.get(targetId);
+                document.title = `${p.name.toUpperCase()} FAMILY BOOK`;
+            }
+        } catch (e) {
+            console.error("Report Generation Error:", e);
+            alert("An error occurred while generating the report.");
+        }
+    };
+
     window.showFullDescendantsReport = function(targetId) {
         const page = document.getElementById('relationship-report-page');
         const content = document.getElementById('report-content');
@@ -2041,6 +3424,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
         try {
             content.innerHTML = generateFullDescendantsReport(targetId);
+            setReportRoute(`report/full-descendants/${targetId}`);
             page.style.display = 'flex';
             if (targetId && peopleMap.has(targetId)) {
                 const p = peopleMap.get(targetId);
@@ -2064,6 +3448,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
         try {
             content.innerHTML = generateFullDescendantsDiagram(targetId);
+            setReportRoute(`report/full-descendants-diagram/${targetId}`);
             page.style.display = 'flex';
             if (targetId && peopleMap.has(targetId)) {
                 const p = peopleMap.get(targetId);
@@ -2087,6 +3472,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
         try {
             content.innerHTML = generateFullDescendantsReport(targetId);
+            setReportRoute(`report/full-descendants/${targetId}`);
             page.style.display = 'flex';
             if (targetId && peopleMap.has(targetId)) {
                 const p = peopleMap.get(targetId);
@@ -2110,6 +3496,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
         try {
             content.innerHTML = generateFullDescendantsDiagram(targetId);
+            setReportRoute(`report/full-descendants-diagram/${targetId}`);
             page.style.display = 'flex';
             if (targetId && peopleMap.has(targetId)) {
                 const p = peopleMap.get(targetId);
@@ -2141,21 +3528,12 @@ document.addEventListener('DOMContentLoaded', () => {
             // Default to Home Person
             const homeId = getHomePersonId();
 
-            if (window.Jyotisha && typeof window.Jyotisha.init === 'function') {
-                const transitUrl = (APP_CONFIG && APP_CONFIG.data_files && APP_CONFIG.data_files.transit) 
-                                   ? toAppPath(APP_CONFIG.data_files.transit) 
-                                   : 'json_data/transit.json';
-                const moonUrl = (APP_CONFIG && APP_CONFIG.data_files && APP_CONFIG.data_files.transit_moon) 
-                                   ? toAppPath(APP_CONFIG.data_files.transit_moon) 
-                                   : 'json_data/transit_moon.json';
-                
-                window.Jyotisha.init(transitUrl, moonUrl, () => {
-                    // Data loaded: refresh the current view if we are still on this page
-                    if (currentJyotishaId && document.getElementById('jyotisha-page').style.display !== 'none') {
-                        loadJyotishaDetails(currentJyotishaId);
-                    }
-                });
-            }
+            initJyotishaData(() => {
+                // Data loaded: refresh the current view if we are still on this page
+                if (currentJyotishaId && document.getElementById('jyotisha-page').style.display !== 'none') {
+                    loadJyotishaDetails(currentJyotishaId);
+                }
+            });
 
             if (homeId) {
                 loadJyotishaDetails(homeId);
@@ -2168,15 +3546,93 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     };
 
-    const jyotishaPageClose = document.getElementById('jyotisha-page-close');
-    if (jyotishaPageClose) {
-        jyotishaPageClose.addEventListener('click', () => {
-            document.getElementById('jyotisha-page').style.display = 'none';
+    // Loads the optional transit.json / transit_moon.json overrides.
+    function initJyotishaData(callback) {
+        if (!window.Jyotisha || typeof window.Jyotisha.init !== 'function') return;
+        const transitUrl = (APP_CONFIG && APP_CONFIG.data_files && APP_CONFIG.data_files.transit) 
+                           ? toAppPath(APP_CONFIG.data_files.transit) 
+                           : 'json_data/transit.json';
+        const moonUrl = (APP_CONFIG && APP_CONFIG.data_files && APP_CONFIG.data_files.transit_moon) 
+                           ? toAppPath(APP_CONFIG.data_files.transit_moon) 
+                           : 'json_data/transit_moon.json';
+        window.Jyotisha.init(transitUrl, moonUrl, callback);
+    }
+
+    const jyotishaPageClose = document.getElementById('jyotisha-page-close');
+    if (jyotishaPageClose) {
+        jyotishaPageClose.addEventListener('click', () => {
+            document.getElementById('jyotisha-page').style.display = 'none';
+        });
+    }
+
+    let currentJyotishaId = null;
+    let jyotishaDate = null; // Selected day (local midnight); null means today
+
+    function getJyotishaDate() {
+        if (jyotishaDate) return jyotishaDate;
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        return today;
+    }
+
+    function setJyotishaDate(date) {
+        jyotishaDate = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        if (currentJyotishaId) loadJyotishaDetails(currentJyotishaId);
+        else updateJyotishaDateBar();
+    }
+
+    function updateJyotishaDateBar() {
+        const date = getJyotishaDate();
+        const input = document.getElementById('jyotisha-date-input');
+        const info = document.getElementById('jyotisha-date-info');
+        if (input) {
+            const m = String(date.getMonth() + 1).padStart(2, '0');
+            const d = String(date.getDate()).padStart(2, '0');
+            input.value = `${date.getFullYear()}-${m}-${d}`;
+        }
+        if (info) {
+            let text = `${window.DateUtils ? window.DateUtils.formatDisplay(date) : date.toDateString()} ${WEEKDAYS[date.getDay()]}`;
+            if (window.Panchanga) text += ` · ${window.Panchanga.formatDay(window.Panchanga.getDay(date))}`;
+            info.textContent = text;
+        }
+    }
+
+    function renderJyotishaStrip(p) {
+        const section = document.getElementById('jyotisha-strip-section');
+        const strip = document.getElementById('jyotisha-day-strip');
+        if (!section || !strip) return;
+
+        const j = p.jyotisha || {};
+        if (p.deceased || !window.Jyotisha || typeof window.Jyotisha.getDayScore !== 'function' || (!j.rashi && !j.nakshatra)) {
+            section.style.display = 'none';
+            return;
+        }
+        section.style.display = 'block';
+
+        const start = getJyotishaDate();
+        const cells = [];
+        for (let i = 0; i < 30; i++) {
+            const d = new Date(start.getFullYear(), start.getMonth(), start.getDate() + i);
+            const score = window.Jyotisha.getDayScore(j.rashi, j.nakshatra, d);
+            const title = [
+                window.DateUtils ? window.DateUtils.formatDisplay(d) : d.toDateString(),
+                score.transitNakshatra ? `Moon in ${score.transitNakshatra}` : '',
+                score.tara ? `Tara: ${score.tara.name}` : '',
+                score.chandra ? `Chandra: ${score.chandra.good ? 'good' : 'not good'}` : ''
+            ].filter(Boolean).join(' · ');
+            cells.push(`<div class="jyotisha-strip-day ${score.level}${i === 0 ? ' selected' : ''}" data-offset="${i}" title="${escapeHtml(title)}">
+                ${WEEKDAYS[d.getDay()].slice(0, 2)}<strong>${d.getDate()}</strong>
+            </div>`);
+        }
+        strip.innerHTML = cells.join('');
+        strip.querySelectorAll('.jyotisha-strip-day').forEach(cell => {
+            cell.addEventListener('click', () => {
+                const offset = parseInt(cell.getAttribute('data-offset'), 10);
+                setJyotishaDate(new Date(start.getFullYear(), start.getMonth(), start.getDate() + offset));
+            });
         });
     }
 
-    let currentJyotishaId = null;
-
     function loadJyotishaDetails(personId) {
         currentJyotishaId = personId;
         const p = peopleMap.get(personId);
@@ -2189,8 +3645,11 @@ document.addEventListener('DOMContentLoaded', () => {
         const shaniEl = document.getElementById('jyotisha-shani-result');
         const taraEl = document.getElementById('jyotisha-tara-result');
         const chandraEl = document.getElementById('jyotisha-chandra-result');
+        const gocharaEl = document.getElementById('jyotisha-gochara-result');
         const searchInput = document.getElementById('jyotisha-search-input');
 
+        updateJyotishaDateBar();
+
         if (!p) {
             if(card) card.style.display = 'none';
             if(emptyMsg) emptyMsg.style.display = 'block';
@@ -2213,23 +3672,57 @@ document.addEventListener('DOMContentLoaded', () => {
             if(shaniEl) shaniEl.innerHTML = msg;
             if(taraEl) taraEl.innerHTML = msg;
             if(chandraEl) chandraEl.innerHTML = msg;
+            if(gocharaEl) gocharaEl.innerHTML = msg;
         } else if (window.Jyotisha) {
-            const details = window.Jyotisha.getDetails(j.rashi, j.nakshatra);
+            const details = window.Jyotisha.getDetails(j.rashi, j.nakshatra, getJyotishaDate());
             if (details) {
                 if(guruEl) guruEl.innerHTML = details.guru;
                 if(shaniEl) shaniEl.innerHTML = details.shani;
                 if(taraEl) taraEl.innerHTML = details.tara;
                 if(chandraEl) chandraEl.innerHTML = details.chandra;
+                if(gocharaEl) gocharaEl.innerHTML = details.gochara;
             } else {
                 if(guruEl) guruEl.textContent = "Data unavailable";
                 if(shaniEl) shaniEl.textContent = "Data unavailable";
+                if(taraEl) taraEl.textContent = "Data unavailable";
+                if(chandraEl) chandraEl.textContent = "Data unavailable";
+                if(gocharaEl) gocharaEl.textContent = "Data unavailable";
             }
         } else {
             if(guruEl) guruEl.textContent = "Jyotisha module not loaded";
             if(shaniEl) shaniEl.textContent = "Jyotisha module not loaded";
             if(taraEl) taraEl.textContent = "Jyotisha module not loaded";
             if(chandraEl) chandraEl.textContent = "Jyotisha module not loaded";
+            if(gocharaEl) gocharaEl.textContent = "Jyotisha module not loaded";
         }
+
+        renderJyotishaStrip(p);
+    }
+
+    const jyotishaDateInput = document.getElementById('jyotisha-date-input');
+    if (jyotishaDateInput) {
+        jyotishaDateInput.addEventListener('change', () => {
+            const date = window.DateUtils ? window.DateUtils.parse(jyotishaDateInput.value) : null;
+            if (date) setJyotishaDate(date);
+        });
+    }
+    const jyotishaPrevDay = document.getElementById('jyotisha-prev-day');
+    if (jyotishaPrevDay) {
+        jyotishaPrevDay.addEventListener('click', () => {
+            const d = getJyotishaDate();
+            setJyotishaDate(new Date(d.getFullYear(), d.getMonth(), d.getDate() - 1));
+        });
+    }
+    const jyotishaNextDay = document.getElementById('jyotisha-next-day');
+    if (jyotishaNextDay) {
+        jyotishaNextDay.addEventListener('click', () => {
+            const d = getJyotishaDate();
+            setJyotishaDate(new Date(d.getFullYear(), d.getMonth(), d.getDate() + 1));
+        });
+    }
+    const jyotishaTodayBtn = document.getElementById('jyotisha-today-btn');
+    if (jyotishaTodayBtn) {
+        jyotishaTodayBtn.addEventListener('click', () => setJyotishaDate(new Date()));
     }
 
     const jyotishaInput = document.getElementById('jyotisha-search-input');
@@ -2242,13 +3735,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 jyotishaSuggestions.style.display = 'none';
                 return;
             }
-            const matches = [];
-            for (const person of PEOPLE) {
-                if (person.name.toLowerCase().includes(query)) {
-                    matches.push(person);
-                    if (matches.length >= 10) break;
-                }
-            }
+            const matches = searchPeople(query, 10);
             jyotishaSuggestions.innerHTML = matches.map(p => `
                 <div class="suggestion-item" data-id="${p.id}">
                     <strong>${escapeHtml(p.name)}</strong> <span style="font-size: 0.85em; color: #888; float: right;">${p.id}</span>
@@ -2273,6 +3760,351 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    // =================================================================================
+    // SECTION 5.12.1: JYOTISHA FAMILY OVERVIEW
+    // =================================================================================
+
+    const SHANI_GROUPS = [
+        { key: 'sade-sathi', label: 'Sade-Sathi', color: '#c62828' },
+        { key: 'ashtama', label: 'Ashtama Shani', color: '#c62828' },
+        { key: 'ardhashtama', label: 'Ardhashtama Shani', color: '#c62828' },
+        { key: 'average', label: 'Average', color: '#f57f17' },
+        { key: 'good', label: 'Good', color: '#2e7d32' }
+    ];
+    const GURU_GROUPS = [
+        { key: 'no', label: 'No Guru Bhala', color: '#c62828' },
+        { key: 'yes', label: 'Guru Bhala Exists', color: '#2e7d32' }
+    ];
+
+    let overviewBranchRootId = null;
+
+    /**
+     * How each person is related to the home person, without walking relationship
+     * paths per person: `blood` is true for anyone sharing an ancestor with home,
+     * `steps` is the number of parent/child/spouse links between them.
+     */
+    function getRelationReach(homeId) {
+        const reach = new Map();
+        if (!homeId || !peopleMap.has(homeId)) return reach;
+
+        // Ancestors of home (including home), then everyone descending from them
+        const ancestors = new Set();
+        const up = [homeId];
+        while (up.length) {
+            const id = up.pop();
+            if (!id || ancestors.has(id) || !peopleMap.has(id)) continue;
+            ancestors.add(id);
+            const p = peopleMap.get(id);
+            up.push(p.fid, p.mid);
+        }
+        const blood = new Set();
+        const down = Array.from(ancestors);
+        while (down.length) {
+            const id = down.pop();
+            if (blood.has(id)) continue;
+            blood.add(id);
+            (childrenMap.get(id) || []).forEach(c => down.push(c));
+        }
+
+        const queue = [homeId];
+        reach.set(homeId, { steps: 0, blood: true });
+        while (queue.length) {
+            const id = queue.shift();
+            const p = peopleMap.get(id);
+            const steps = reach.get(id).steps + 1;
+            [p.fid, p.mid, ...(p.pids || []), ...(childrenMap.get(id) || [])].forEach(next => {
+                if (!next || reach.has(next) || !peopleMap.has(next)) return;
+                reach.set(next, { steps, blood: blood.has(next) });
+                queue.push(next);
+            });
+        }
+        return reach;
+    }
+
+    // Descendants of `rootId` (including the root) together with their spouses
+    function getBranchMembers(rootId) {
+        const members = new Set();
+        const stack = [rootId];
+        while (stack.length) {
+            const id = stack.pop();
+            if (!id || members.has(id) || !peopleMap.has(id)) continue;
+            members.add(id);
+            (childrenMap.get(id) || []).forEach(c => stack.push(c));
+        }
+        Array.from(members).forEach(id => (peopleMap.get(id).pids || []).forEach(s => {
+            if (peopleMap.has(s)) members.add(s);
+        }));
+        return members;
+    }
+
+    window.showJyotishaOverview = function() {
+        const page = document.getElementById('jyotisha-overview-page');
+        if (!page) return;
+        page.style.display = 'flex';
+        initJyotishaData(() => renderJyotishaOverview());
+        renderJyotishaOverview();
+    };
+
+    function renderJyotishaOverview() {
+        const results = document.getElementById('jyotisha-overview-results');
+        const info = document.getElementById('jyotisha-overview-date');
+        if (!results) return;
+        if (!window.Jyotisha || typeof window.Jyotisha.getTransitStatus !== 'function') {
+            results.innerHTML = '<p style="color:#666; text-align:center;">Jyotisha module not loaded</p>';
+            return;
+        }
+
+        const date = getJyotishaDate();
+        if (info) info.textContent = `As on ${window.DateUtils ? window.DateUtils.formatDisplay(date) : date.toDateString()}`;
+
+        const groupBy = (document.getElementById('jo-group') || {}).value || 'shani';
+        const relationFilter = (document.getElementById('jo-relation') || {}).value || 'all';
+        const homeId = getHomePersonId();
+        const reach = relationFilter === 'all' ? null : getRelationReach(homeId);
+        const branch = overviewBranchRootId ? getBranchMembers(overviewBranchRootId) : null;
+
+        const rows = [];
+        PEOPLE.forEach(p => {
+            if (p.deceased) return;
+            const j = p.jyotisha || {};
+            if (!j.rashi) return;
+            if (branch && !branch.has(p.id)) return;
+            if (reach) {
+                const r = reach.get(p.id);
+                if (!r) return;
+                if (relationFilter === 'blood' && !r.blood) return;
+                if (relationFilter === 'marriage' && r.blood) return;
+                if (relationFilter === 'close' && r.steps > 3) return;
+            }
+            const status = window.Jyotisha.getTransitStatus(j.rashi, date);
+            if (!status || !status.shani || !status.guru) return;
+            rows.push({ p, rashi: j.rashi, status });
+        });
+        rows.sort((a, b) => a.p.name.localeCompare(b.p.name));
+
+        if (rows.length === 0) {
+            results.innerHTML = '<p style="color:#666; text-align:center; padding: 20px;">No living members with a Janma Rashi match these filters.</p>';
+            return;
+        }
+
+        let groups;
+        if (groupBy === 'shani') {
+            groups = SHANI_GROUPS.map(g => Object.assign({}, g, { rows: rows.filter(r => r.status.shani.category === g.key) }));
+        } else if (groupBy === 'guru') {
+            groups = GURU_GROUPS.map(g => Object.assign({}, g, { rows: rows.filter(r => (r.status.guru.good ? 'yes' : 'no') === g.key) }));
+        } else {
+            groups = [{ label: 'All', color: '#333', rows }];
+        }
+
+        const relationOf = (id) => {
+            if (!homeId || typeof findRelationship !== 'function') return '';
+            if (id === homeId) return 'You (Home)';
+            const rel = findRelationship(homeId, id);
+            return rel && rel !== 'Unknown' ? rel : '';
+        };
+
+        results.innerHTML = `<div class="jo-summary">${rows.length} living member${rows.length === 1 ? '' : 's'} with a Janma Rashi</div>` +
+            groups.filter(g => g.rows.length > 0).map(g => `
+            <div class="jo-group">
+                <div class="jo-group-title" style="color: ${g.color};">${g.label} (${g.rows.length})</div>
+                <table class="jo-table">
+                    <thead><tr><th>Name</th><th>Relation</th><th>Rashi</th><th>Shani</th><th>Guru</th></tr></thead>
+                    <tbody>
+                        ${g.rows.map(r => `<tr>
+                            <td><a href="#" data-person-id="${r.p.id}">${escapeHtml(r.p.name)}</a></td>
+                            <td>${relationOf(r.p.id)}</td>
+                            <td>${escapeHtml(r.rashi)}</td>
+                            <td style="color: ${r.status.shani.color};">${formatOrdinal(r.status.shani.pos)} · ${escapeHtml(r.status.shani.result)}</td>
+                            <td style="color: ${r.status.guru.good ? '#2e7d32' : '#c62828'};">${formatOrdinal(r.status.guru.pos)} · ${r.status.guru.good ? 'Yes' : 'No'}</td>
+                        </tr>`).join('')}
+                    </tbody>
+                </table>
+            </div>`).join('');
+
+        results.querySelectorAll('a[data-person-id]').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                const id = link.getAttribute('data-person-id');
+                if (id && peopleMap.has(id)) {
+                    document.getElementById('jyotisha-overview-page').style.display = 'none';
+                    loadJyotishaDetails(id);
+                }
+            });
+        });
+    }
+
+    ['jo-group', 'jo-relation'].forEach(id => {
+        const el = document.getElementById(id);
+        if (el) el.addEventListener('change', renderJyotishaOverview);
+    });
+
+    const joBranchInput = document.getElementById('jo-branch-input');
+    const joBranchSuggestions = document.getElementById('jo-branch-suggestions');
+
+    if (joBranchInput && joBranchSuggestions) {
+        joBranchInput.addEventListener('input', () => {
+            const query = joBranchInput.value.toLowerCase().trim();
+            if (query.length < 2) {
+                joBranchSuggestions.style.display = 'none';
+                return;
+            }
+            const matches = searchPeople(query, 10);
+            joBranchSuggestions.innerHTML = matches.map(p => `
+                <div class="suggestion-item" data-id="${p.id}">
+                    <strong>${escapeHtml(p.name)}</strong> <span style="font-size: 0.85em; color: #888; float: right;">${p.id}</span>
+                </div>
+            `).join('');
+            joBranchSuggestions.style.display = matches.length > 0 ? 'block' : 'none';
+        });
+
+        joBranchSuggestions.addEventListener('click', (e) => {
+            const item = e.target.closest('.suggestion-item');
+            if (item) {
+                overviewBranchRootId = item.dataset.id;
+                document.getElementById('jo-branch-selected').style.display = 'flex';
+                document.getElementById('jo-branch-selected-name').textContent = peopleMap.get(overviewBranchRootId).name;
+                joBranchInput.value = '';
+                joBranchSuggestions.style.display = 'none';
+                renderJyotishaOverview();
+            }
+        });
+
+        document.addEventListener('click', (e) => {
+            if (!joBranchInput.contains(e.target) && !joBranchSuggestions.contains(e.target)) {
+                joBranchSuggestions.style.display = 'none';
+            }
+        });
+    }
+
+    window.clearJyotishaOverviewBranch = function() {
+        overviewBranchRootId = null;
+        document.getElementById('jo-branch-selected').style.display = 'none';
+        renderJyotishaOverview();
+    };
+
+    const jyotishaOverviewBtn = document.getElementById('jyotisha-overview-btn');
+    if (jyotishaOverviewBtn) {
+        jyotishaOverviewBtn.addEventListener('click', () => window.showJyotishaOverview());
+    }
+
+    const jyotishaOverviewClose = document.getElementById('jyotisha-overview-close');
+    if (jyotishaOverviewClose) {
+        jyotishaOverviewClose.addEventListener('click', () => {
+            document.getElementById('jyotisha-overview-page').style.display = 'none';
+        });
+    }
+
+    // =================================================================================
+    // SECTION 5.12.2: GOTHRA REPORT
+    // =================================================================================
+
+    let gothraAnalysis = null;
+    let gothraAnalysisSource = null; // window.familyData the analysis was built from
+
+    /**
+     * Gothra rules (gothra.js) over the loaded data, rebuilt when new data is loaded.
+     */
+    function getGothraAnalysis() {
+        if (!window.Gothra || !window.familyData) return null;
+        if (gothraAnalysis && gothraAnalysisSource === window.familyData) return gothraAnalysis;
+        gothraAnalysis = window.Gothra.analyze(window.familyData, {
+            wifeTakesHusbandGothra: APP_CONFIG.wife_takes_husband_gothra !== false
+        });
+        gothraAnalysisSource = window.familyData;
+        return gothraAnalysis;
+    }
+
+    function getGothraFlags(personId) {
+        const analysis = getGothraAnalysis();
+        if (!analysis) return { info: null, conflict: false, sameGothraCouple: false };
+        return {
+            info: analysis.people.get(personId) || null,
+            conflict: analysis.conflicts.some(c => c.fatherId === personId || c.childId === personId),
+            sameGothraCouple: analysis.sameGothraCouples.some(c => c.husbandId === personId || c.wifeId === personId)
+        };
+    }
+
+    window.showGothraReport = function() {
+        const page = document.getElementById('gothra-page');
+        const container = document.getElementById('gothra-results');
+        if (!page || !container) return;
+
+        const analysis = getGothraAnalysis();
+        if (!analysis) {
+            container.innerHTML = '<p style="color:#666;">Gothra data is not available.</p>';
+            page.style.display = 'flex';
+            return;
+        }
+
+        const { summary } = analysis;
+        const personLink = (id) => peopleMap.has(id)
+            ? `<a href="#" data-person-id="${escapeHtml(id)}">${escapeHtml(peopleMap.get(id).name)}</a>`
+            : escapeHtml(id);
+
+        let html = `<div class="jo-summary">${summary.persons} people: ${summary.recorded} recorded, ${summary.inferred} inferred, ${summary.unknown} unknown.
+            ${summary.wifeTakesHusbandGothra ? 'Married women take their husband\'s gothra.' : 'Married women keep their father\'s gothra.'}</div>`;
+
+        html += `<div class="jo-group"><div class="jo-group-title" style="color:#c62828;">Father / child conflicts (${analysis.conflicts.length})</div>`;
+        html += analysis.conflicts.length === 0
+            ? '<p style="color:#666; font-size:14px;">No conflicts found.</p>'
+            : analysis.conflicts.map(c => `<div class="integrity-issue error">${escapeHtml(c.message)}<div>${personLink(c.fatherId)}${personLink(c.childId)}</div></div>`).join('');
+        html += '</div>';
+
+        html += `<div class="jo-group"><div class="jo-group-title" style="color:#f57f17;">Couples sharing a gothra (${analysis.sameGothraCouples.length})</div>`;
+        html += analysis.sameGothraCouples.length === 0
+            ? '<p style="color:#666; font-size:14px;">No couples share a gothra.</p>'
+            : analysis.sameGothraCouples.map(c => `<div class="integrity-issue">${escapeHtml(c.message)}${c.inferred ? ' (partly inferred)' : ''}<div>${personLink(c.husbandId)}${personLink(c.wifeId)}</div></div>`).join('');
+        html += '</div>';
+
+        // Everyone with a known gothra, grouped by gothra
+        const groups = new Map();
+        analysis.people.forEach((info, id) => {
+            if (!info.effective || !peopleMap.has(id)) return;
+            const key = window.Gothra.gothraKey(info.effective);
+            if (!groups.has(key)) groups.set(key, { name: info.effective, rows: [] });
+            groups.get(key).rows.push({ id, info });
+        });
+        const sourceLabel = (info) => {
+            if (info.source === 'recorded') return 'Recorded';
+            const from = peopleMap.get(info.fromId);
+            const via = info.source === 'husband' ? 'Husband' : 'Paternal line';
+            return from ? `${via} (${escapeHtml(from.name)})` : via;
+        };
+        Array.from(groups.values())
+            .sort((a, b) => b.rows.length - a.rows.length)
+            .forEach(group => {
+                group.rows.sort((a, b) => (peopleMap.get(a.id).name || '').localeCompare(peopleMap.get(b.id).name || ''));
+                html += `<div class="jo-group"><div class="jo-group-title">${escapeHtml(group.name)} (${group.rows.length})</div>
+                    <table class="jo-table"><thead><tr><th>Name</th><th>Source</th></tr></thead><tbody>
+                    ${group.rows.map(r => `<tr><td>${personLink(r.id)}</td><td>${sourceLabel(r.info)}</td></tr>`).join('')}
+                    </tbody></table></div>`;
+            });
+
+        container.innerHTML = html;
+
+        container.querySelectorAll('a[data-person-id]').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                const id = link.getAttribute('data-person-id');
+                if (id && peopleMap.has(id)) {
+                    page.style.display = 'none';
+                    window.showTreePage();
+                    drawTree(id);
+                    openPersonModal(id);
+                }
+            });
+        });
+
+        page.style.display = 'flex';
+    };
+
+    const gothraPageClose = document.getElementById('gothra-page-close');
+    if (gothraPageClose) {
+        gothraPageClose.addEventListener('click', () => {
+            document.getElementById('gothra-page').style.display = 'none';
+        });
+    }
+
     // =================================================================================
     // SECTION 5.9: DASHBOARD LOGIC
     // =================================================================================
@@ -2350,13 +4182,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 dashSearchSuggestions.style.display = 'none';
                 return;
             }
-            const matches = [];
-            for (const person of PEOPLE) {
-                if (person.name.toLowerCase().includes(query)) {
-                    matches.push(person);
-                    if (matches.length >= 10) break;
-                }
-            }
+            const matches = searchPeople(query, 10);
             dashSearchSuggestions.innerHTML = matches.map(p => `
                 <div class="suggestion-item" data-id="${p.id}">
                     <strong>${escapeHtml(p.name)}</strong> <span style="font-size: 0.85em; color: #888; float: right;">${p.id}</span>
@@ -2396,6 +4222,17 @@ document.addEventListener('DOMContentLoaded', () => {
             statUpcomingBirthdaysEl.textContent = count;
         }
 
+        // 3b. Upcoming Wedding Anniversaries (Next 30 days)
+        if (statUpcomingAnniversariesEl) {
+            const upcoming = getUpcomingAnniversaries(30);
+            statUpcomingAnniversariesEl.textContent = upcoming.reduce((count, day) => count + day.couples.length, 0);
+        }
+
+        // 3c. Generations
+        if (statGenerationsEl) {
+            statGenerationsEl.textContent = window.FamilyStats ? window.FamilyStats.countGenerations(peopleMap) : '-';
+        }
+
         // 4. Home Person Name
         const homeId = getHomePersonId();
         const homeNameEl = document.getElementById('dash-home-name');
@@ -2506,17 +4343,26 @@ document.addEventListener('DOMContentLoaded', () => {
         setVisible('nav-dashboard', f.dashboard !== false);
         setVisible('nav-tree', f.tree !== false);
         setVisible('nav-birthdays', f.birthdays !== false);
+        setVisible('nav-anniversaries', f.anniversaries !== false);
+        setVisible('nav-shraddha', f.shraddha !== false);
+        setVisible('nav-timeline', f.timeline !== false);
+        setVisible('nav-statistics', f.statistics !== false);
+        setVisible('nav-places', f.places !== false);
         setVisible('nav-updates', f.updates !== false);
         setVisible('nav-reports', f.reports !== false);
         setVisible('nav-jyotisha', f.jyotisha !== false);
+        setVisible('nav-gothra', f.gothra !== false);
         setVisible('nav-install', f.install !== false);
         setVisible('nav-help', f.help !== false);
         setVisible('nav-about', f.about !== false);
         setVisible('nav-feedback', f.feedback !== false);
         setVisible('nav-update-data', f.update_data !== false);
+        setVisible('nav-data-tools', f.data_tools !== false);
 
         // Dashboard Items (Cards/Buttons)
         setVisible('dash-card-birthdays', f.birthdays !== false);
+        setVisible('dash-card-anniversaries', f.anniversaries !== false);
+        setVisible('dash-card-statistics', f.statistics !== false);
         setVisible('dash-card-updates', f.updates !== false);
         setVisible('dash-card-reports', f.reports !== false);
         setVisible('dash-card-tree', f.tree !== false);
@@ -2598,6 +4444,9 @@ document.addEventListener('DOMContentLoaded', () => {
         console.log("Loading configuration...");
         APP_CONFIG = await (await fetch(toAppPath('config.json'))).json();
         applyFeatureVisibility();
+        if (window.Panchanga && APP_CONFIG.panchanga_location) {
+            window.Panchanga.setLocation(APP_CONFIG.panchanga_location);
+        }
 
         console.log("Loading data from new database format...");
         const [personsRes, familiesRes, placesRes, contactsRes, dictRes] = await Promise.all([
@@ -2613,12 +4462,23 @@ document.addEventListener('DOMContentLoaded', () => {
         const places = await placesRes.json();
         const contacts = await contactsRes.json();
 
+        // Keep the raw dataset for exporters and checks that need fields not carried on PEOPLE.
+        window.familyData = { persons, families, places, contacts };
+
         if (dictRes && dictRes.ok) {
             window.relationshipDictionary = await dictRes.json();
         } else {
             window.relationshipDictionary = {};
         }
 
+        // Merged places (duplicate spellings resolved), with the enclosing places in the label
+        const gazetteer = getPlaceGazetteer();
+        const placeLabel = (placeId) => {
+            if (!placeId) return '';
+            if (gazetteer && gazetteer.resolve(placeId)) return gazetteer.label(placeId);
+            return places[placeId] ? places[placeId].place : '';
+        };
+
         // Create a map for easy lookup of contact info
         const contactsMap = new Map();
         for (const contact of contacts) {
@@ -2651,7 +4511,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
             const contactInfo = contactsMap.get(p.person_id) || {};
 
-            const birthPlace = p.birth_place_id && places[p.birth_place_id] ? places[p.birth_place_id].place : '';
+            const birthPlace = placeLabel(p.birth_place_id);
 
             const isDeceased = p.deceased === true || String(p.deceased || '').toLowerCase() === 'true' || !!String(p.death_date || '').trim();
             const custom = (p.custom && typeof p.custom === 'object' && !Array.isArray(p.custom)) ? p.custom : {};
@@ -2669,13 +4529,15 @@ document.addEventListener('DOMContentLoaded', () => {
                 deceased: isDeceased,
                 death_date: p.death_date || "",
                 Address: birthPlace,
+                birth_place_id: p.birth_place_id || "",
                 email: contactInfo.email || "",
                 phone: contactInfo.phone || "",
                 note: contactInfo.note || "",
                 custom,
                 image_url: "", // Populated later by photos.json
                 jyotisha: p.jyotisha || {},
-                divorces: p.divorces || []
+                divorces: p.divorces || [],
+                marriages: [] // Filled from families.json below
             });
         }
 
@@ -2690,6 +4552,16 @@ document.addEventListener('DOMContentLoaded', () => {
                 const wife = newPeopleMap.get(wifeId);
                 if (!husband.pids.includes(wifeId)) husband.pids.push(wifeId);
                 if (!wife.pids.includes(husbandId)) wife.pids.push(husbandId);
+
+                const placeId = family.marriage_place_id || "";
+                const marriage = {
+                    family_id: family.family_id,
+                    date: family.marriage_date || "",
+                    place_id: placeId,
+                    place: placeLabel(placeId)
+                };
+                if (!husband.marriages.some(m => m.spouse_id === wifeId)) husband.marriages.push({ spouse_id: wifeId, ...marriage });
+                if (!wife.marriages.some(m => m.spouse_id === husbandId)) wife.marriages.push({ spouse_id: husbandId, ...marriage });
             }
 
             // Link children to parents
@@ -2708,6 +4580,166 @@ document.addEventListener('DOMContentLoaded', () => {
         return Array.from(newPeopleMap.values());
     }
 
+    // =================================================================================
+    // SECTION 5.16: DATA TOOLS (GEDCOM EXPORT / IMPORT, INTEGRITY CHECK)
+    // =================================================================================
+
+    function downloadTextFile(filename, content, mimeType) {
+        const blob = new Blob([content], { type: mimeType || 'text/plain;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    window.showDataToolsPage = function() {
+        const page = document.getElementById('data-tools-page');
+        if (page) page.style.display = 'flex';
+    };
+
+    window.exportGedcom = function() {
+        if (!window.Gedcom || !window.familyData || PEOPLE.length === 0) {
+            if (window.showToast) window.showToast('Family data is not loaded yet.');
+            return;
+        }
+        const gedcom = window.Gedcom.exportGedcom({
+            people: PEOPLE,
+            persons: window.familyData.persons,
+            families: window.familyData.families,
+            places: window.familyData.places,
+            contacts: window.familyData.contacts,
+            genderMap
+        });
+        const today = new Date().toISOString().slice(0, 10);
+        downloadTextFile(`vamsha_vruksha_${today}.ged`, gedcom, 'text/vnd.familysearch.gedcom;charset=utf-8');
+        if (window.showToast) window.showToast(`Exported ${PEOPLE.length} persons to GEDCOM.`);
+    };
+
+    function renderGedcomImportResult(result, container) {
+        const counts = `${result.persons.length} persons, ${result.families.length} families, ${Object.keys(result.places).length} places, ${result.contacts.length} contacts`;
+        const files = [
+            ['persons.json', result.persons],
+            ['families.json', result.families],
+            ['places.json', result.places],
+            ['contacts.json', result.contacts],
+            ['photos.json', result.photos]
+        ];
+
+        let html = `<p><strong>Imported:</strong> ${counts}.</p>`;
+        html += `<div class="data-tools-downloads">${files.map((f, i) => `<button class="btn btn-outline" data-file-index="${i}">${f[0]}</button>`).join('')}</div>`;
+
+        if (result.unmapped.length > 0) {
+            html += `<p><strong>Unmapped tags</strong> (not carried into the JSON files):</p>
+                <table><tr><th>Tag</th><th>Count</th><th>Lines</th></tr>
+                ${result.unmapped.map(u => `<tr><td>${escapeHtml(u.tag)}</td><td>${u.count}</td><td>${u.lines.join(', ')}${u.count > u.lines.length ? ', …' : ''}</td></tr>`).join('')}
+                </table>`;
+        } else {
+            html += '<p>All tags were mapped.</p>';
+        }
+
+        if (result.warnings.length > 0) {
+            html += `<p><strong>Warnings:</strong></p><ul>${result.warnings.map(w => `<li>${escapeHtml(w)}</li>`).join('')}</ul>`;
+        }
+
+        container.innerHTML = html;
+        container.querySelectorAll('button[data-file-index]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const [name, data] = files[parseInt(btn.getAttribute('data-file-index'), 10)];
+                downloadTextFile(name, JSON.stringify(data, null, 2), 'application/json');
+            });
+        });
+    }
+
+    const gedcomImportInput = document.getElementById('gedcom-import-input');
+    if (gedcomImportInput) {
+        gedcomImportInput.addEventListener('change', () => {
+            const file = gedcomImportInput.files && gedcomImportInput.files[0];
+            const container = document.getElementById('gedcom-import-result');
+            if (!file || !container || !window.Gedcom) return;
+
+            const reader = new FileReader();
+            reader.onload = () => {
+                try {
+                    const result = window.Gedcom.importGedcom(String(reader.result || ''));
+                    if (result.persons.length === 0) {
+                        container.innerHTML = '<p style="color:#c62828;">No individuals found in this file.</p>';
+                        return;
+                    }
+                    renderGedcomImportResult(result, container);
+                } catch (err) {
+                    console.error("GEDCOM import failed:", err);
+                    container.innerHTML = '<p style="color:#c62828;">Could not read this GEDCOM file.</p>';
+                }
+            };
+            reader.onerror = () => {
+                container.innerHTML = '<p style="color:#c62828;">Could not read this GEDCOM file.</p>';
+            };
+            reader.readAsText(file);
+        });
+    }
+
+    let lastIntegrityResult = null;
+
+    window.runIntegrityCheck = function() {
+        const container = document.getElementById('integrity-result');
+        const downloadBtn = document.getElementById('integrity-download-btn');
+        if (!container || !window.Integrity || !window.familyData) return;
+
+        const result = window.Integrity.check(window.familyData);
+        lastIntegrityResult = result;
+        if (downloadBtn) downloadBtn.style.display = '';
+
+        const { summary } = result;
+        let html = `<p><strong>${summary.errors}</strong> errors, <strong>${summary.warnings}</strong> warnings in ${summary.persons} persons and ${summary.families} families.</p>`;
+
+        Object.keys(window.Integrity.TYPE_LABELS).forEach(type => {
+            const list = result.issues.filter(i => i.type === type);
+            if (list.length === 0) return;
+            html += `<div class="integrity-group"><h4>${window.Integrity.TYPE_LABELS[type]} (${list.length})</h4>`;
+            html += list.map(issue => {
+                const links = issue.personIds
+                    .filter(id => peopleMap.has(id))
+                    .map(id => `<a href="#" data-person-id="${escapeHtml(id)}">${escapeHtml(peopleMap.get(id).name)}</a>`)
+                    .join('');
+                return `<div class="integrity-issue ${issue.severity}">${escapeHtml(issue.message)}${links ? `<div>${links}</div>` : ''}</div>`;
+            }).join('');
+            html += '</div>';
+        });
+
+        if (result.issues.length === 0) html += '<p>No problems found.</p>';
+        container.innerHTML = html;
+
+        container.querySelectorAll('a[data-person-id]').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                const id = link.getAttribute('data-person-id');
+                if (id && peopleMap.has(id)) {
+                    document.getElementById('data-tools-page').style.display = 'none';
+                    window.showTreePage();
+                    drawTree(id);
+                    openPersonModal(id);
+                }
+            });
+        });
+    };
+
+    window.downloadIntegrityReport = function() {
+        if (!lastIntegrityResult || !window.Integrity) return;
+        const today = new Date().toISOString().slice(0, 10);
+        downloadTextFile(`integrity_report_${today}.txt`, window.Integrity.toText(lastIntegrityResult));
+    };
+
+    const dataToolsPageClose = document.getElementById('data-tools-page-close');
+    if (dataToolsPageClose) {
+        dataToolsPageClose.addEventListener('click', () => {
+            document.getElementById('data-tools-page').style.display = 'none';
+        });
+    }
+
     // =================================================================================
     // SECTION 5.13: LANGUAGE SWITCHER
     // =================================================================================
@@ -2853,6 +4885,199 @@ document.addEventListener('DOMContentLoaded', () => {
         };
     }
 
+    // =================================================================================
+    // SECTION 5.17: DEEP LINKS (hash routes)
+    // =================================================================================
+    // The hash mirrors what is on screen, e.g. #/person/I0123, #/tree/I0123,
+    // #/report/ancestors/I0123, #/relation/I0001/I0050 or #/birthdays. The
+    // view is read back from the hash on load and on back/forward.
+
+    // Full-screen pages with a route of their own; the first visible one wins
+    const ROUTE_PAGES = [
+        { route: 'jyotisha-overview', pageId: 'jyotisha-overview-page', show: () => window.showJyotishaOverview() },
+        { route: 'birthdays', pageId: 'birthdays-page', show: () => window.showBirthdays() },
+        { route: 'anniversaries', pageId: 'anniversaries-page', show: () => window.showAnniversaries() },
+        { route: 'shraddha', pageId: 'shraddha-page', show: () => window.showShraddha() },
+        { route: 'timeline', pageId: 'timeline-page', show: () => window.showTimeline() },
+        { route: 'statistics', pageId: 'statistics-page', show: () => window.showStatistics() },
+        { route: 'places', pageId: 'places-page', show: () => window.showPlaces() },
+        { route: 'gothra', pageId: 'gothra-page', show: () => window.showGothraReport() },
+        { route: 'jyotisha', pageId: 'jyotisha-page', show: () => window.showJyotishaPage() },
+        { route: 'updates', pageId: 'updates-page', show: () => window.showUpdatesPage() },
+        { route: 'reports', pageId: 'reports-page', show: () => window.showReportsPage() },
+        { route: 'data-tools', pageId: 'data-tools-page', show: () => window.showDataToolsPage() },
+        { route: 'update-data', pageId: 'form-page', show: () => window.showFormPage() },
+        { route: 'help', pageId: 'help-page', show: () => window.showHelp() },
+        { route: 'about', pageId: 'about-page', show: () => window.showAboutPage() },
+        { route: 'feedback', pageId: 'feedback-page', show: () => window.showFeedbackPage() }
+    ];
+    const REPORT_ROUTES = {
+        'close-family': (id) => window.showRelationshipReport(id),
+        'ancestors': (id) => window.showAncestorsReport(id),
+        'descendants': (id) => window.showDescendantsReport(id),
+        'full-descendants': (id) => window.showFullDescendantsReport(id),
+        'full-descendants-diagram': (id) => window.showFullDescendantsDiagram(id),
+        'fan-chart': (id) => window.showFanChart(id),
+        'qr-cards': (id) => window.showQrCards(id),
+        'family-book': (id) => window.showFamilyBook(id)
+    };
+
+    let routeSyncTimer = null;
+
+    function isPageVisible(pageId) {
+        const el = document.getElementById(pageId);
+        return !!el && el.style.display !== 'none' && el.style.display !== '';
+    }
+
+    function isRouteHash(hash) {
+        return /^#\//.test(hash || '');
+    }
+
+    /**
+     * Hash for the current view: report, page, person modal, tree, or '#/' for the dashboard.
+     */
+    function getRouteHashForView() {
+        if (isPageVisible('relationship-report-page') && currentReportRoute) return '#/' + currentReportRoute;
+        const page = ROUTE_PAGES.find(r => isPageVisible(r.pageId));
+        if (page) return '#/' + page.route;
+        if (activeModalPersonId && personModalOverlay.classList.contains('show')) {
+            return '#/person/' + encodeURIComponent(activeModalPersonId);
+        }
+        if (treeContainer && treeContainer.style.display !== 'none' && activePersonId) {
+            return '#/tree/' + encodeURIComponent(activePersonId);
+        }
+        return '#/';
+    }
+
+    // Several state changes in one event (drawTree, then openPersonModal) become one history entry
+    function scheduleRouteSync() {
+        if (routeSyncTimer) return;
+        routeSyncTimer = setTimeout(() => {
+            routeSyncTimer = null;
+            if (PEOPLE.length === 0) return;
+            const hash = getRouteHashForView();
+            if (hash === window.location.hash) return;
+            // A plain "#" comes from the href of a menu link; overwrite it instead of adding an entry
+            if (isRouteHash(window.location.hash)) history.pushState(null, '', hash);
+            else history.replaceState(null, '', hash);
+        }, 0);
+    }
+
+    function hideRoutedViews() {
+        ROUTE_PAGES.forEach(r => {
+            const el = document.getElementById(r.pageId);
+            if (el) el.style.display = 'none';
+        });
+        const reportPage = document.getElementById('relationship-report-page');
+        if (reportPage && reportPage.style.display !== 'none') {
+            reportPage.style.display = 'none';
+            document.title = "VAMSHA VRUKSHA";
+        }
+        if (qrOverlay) qrOverlay.style.display = 'none';
+        if (personModalOverlay.classList.contains('show')) closePersonModal();
+    }
+
+    function showDefaultView() {
+        if (APP_CONFIG && APP_CONFIG.features && APP_CONFIG.features.dashboard === false) {
+            window.showTreePage();
+        } else {
+            window.showDashboard();
+        }
+    }
+
+    /**
+     * Restores the view for a route hash. Returns false when the route is unknown
+     * or names a person who is not in the data.
+     */
+    function applyRoute(hash) {
+        let parts;
+        try {
+            parts = String(hash || '').replace(/^#\/?/, '').split('/').filter(Boolean).map(decodeURIComponent);
+        } catch (e) {
+            // Malformed escape such as "%E0"
+            hideRoutedViews();
+            showDefaultView();
+            return false;
+        }
+        const [name, first, second, third] = parts;
+        const known = (id) => !!id && peopleMap.has(id);
+
+        hideRoutedViews();
+        // Pages and reports open over the dashboard or tree; make sure one is behind them
+        const mainVisible = (dashboardPage && dashboardPage.style.display === 'block') ||
+            (treeContainer && treeContainer.style.display === 'block');
+        if (!mainVisible && name !== 'person' && name !== 'tree') showDefaultView();
+
+        if (!name || name === 'dashboard') {
+            showDefaultView();
+            return true;
+        }
+        if ((name === 'person' || name === 'tree') && known(first)) {
+            window.showTreePage();
+            drawTree(first);
+            if (name === 'person') openPersonModal(first);
+            return true;
+        }
+        if (name === 'report' && REPORT_ROUTES[first] && known(second)) {
+            reportSelectedPersonId = second;
+            window.showReportsPage();
+            REPORT_ROUTES[first](second);
+            return true;
+        }
+        if (name === 'report' && first === 'compatibility' && known(second) && known(third)) {
+            reportSelectedPersonId = second;
+            compatPartnerId = third;
+            window.showReportsPage();
+            window.generateCompatibility();
+            return true;
+        }
+        if (name === 'relation' && known(first) && known(second)) {
+            reportSelectedPersonId = first;
+            reportSecondPersonId = second;
+            window.showReportsPage();
+            window.generateRelDiagram();
+            return true;
+        }
+        const page = ROUTE_PAGES.find(r => r.route === name);
+        if (page) {
+            page.show();
+            return true;
+        }
+
+        showDefaultView();
+        return false;
+    }
+
+    function handleLocationChange() {
+        const hash = window.location.hash;
+        if (PEOPLE.length === 0) return;
+        if (!isRouteHash(hash)) {
+            scheduleRouteSync();
+            return;
+        }
+        if (hash === getRouteHashForView()) return;
+        if (!applyRoute(hash)) window.showToast("That link does not match anyone in the family data.");
+        history.replaceState(null, '', getRouteHashForView());
+    }
+
+    window.addEventListener('popstate', handleLocationChange);
+    window.addEventListener('hashchange', handleLocationChange);
+    // Pages open and close from many buttons; re-read the view after any of them
+    document.addEventListener('click', (e) => {
+        // Menu links use href="#"; following it would add a history entry of its own
+        if (e.target.closest && e.target.closest('a[href="#"]')) e.preventDefault();
+        scheduleRouteSync();
+    });
+    document.addEventListener('keydown', scheduleRouteSync);
+
+    /**
+     * Absolute link to a route, pointing at the main app (not the admin page).
+     */
+    function getRouteUrl(route) {
+        const base = IS_ADM_PAGE ? new URL('../', window.location.href).href : window.location.href.split('#')[0];
+        return base + '#/' + route;
+    }
+
     // =================================================================================
     // SECTION 6: INITIAL APPLICATION START
     // =================================================================================
@@ -2883,12 +5108,14 @@ document.addEventListener('DOMContentLoaded', () => {
                 // Populate Dashboard Data
                 updateDashboard();
                 
-                // Show Dashboard by default unless disabled in config
-                if (APP_CONFIG && APP_CONFIG.features && APP_CONFIG.features.dashboard === false) {
-                    window.showTreePage();
-                } else {
-                    window.showDashboard();
+                // Open the linked view, else the Dashboard unless disabled in config
+                const linked = isRouteHash(window.location.hash);
+                const linkOpened = linked && applyRoute(window.location.hash);
+                if (!linkOpened) showDefaultView();
+                if (linked && !linkOpened && PEOPLE.length > 0) {
+                    window.showToast("That link does not match anyone in the family data.");
                 }
+                if (PEOPLE.length > 0) history.replaceState(null, '', getRouteHashForView());
             } catch (e) {
                 console.error("Error during initial draw:", e);
             }
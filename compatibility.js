@@ -0,0 +1,323 @@
+/**
+ * Compatibility Logic (compatibility.js)
+ * Ashtakoota marriage matching (36 points) from janma nakshatra and janma rashi.
+ * Depends on jyotisha.js for name normalisation.
+ */
+
+(function() {
+    const RASHI_NAMES = ["", "Mesha", "Vrishabha", "Mithuna", "Karka", "Simha", "Kanya",
+        "Tula", "Vrischika", "Dhanu", "Makara", "Kumbha", "Meena"];
+
+    // --- Varna (1 point): by rashi; Brahmin 4 > Kshatriya 3 > Vaishya 2 > Shudra 1 ---
+    const VARNA_NAMES = { 4: "Brahmin", 3: "Kshatriya", 2: "Vaishya", 1: "Shudra" };
+    const RASHI_VARNA = [0, 3, 2, 1, 4, 3, 2, 1, 4, 3, 2, 1, 4];
+
+    // --- Vashya (2 points): by rashi. Dhanu and Makara are split signs; their
+    // first-half group is used since only the rashi is recorded. ---
+    const VASHYA_NAMES = ["Chatushpada", "Manava", "Jalachara", "Vanachara", "Keeta"];
+    const RASHI_VASHYA = [null, 0, 0, 1, 2, 3, 1, 1, 4, 1, 0, 1, 2];
+    const VASHYA_POINTS = [
+        [2, 1, 1, 0.5, 1],
+        [1, 2, 0.5, 0, 1],
+        [1, 0.5, 2, 1, 1],
+        [0.5, 0, 1, 2, 0],
+        [1, 1, 1, 0, 2]
+    ];
+
+    // --- Tara (3 points): counted both ways; Vipat (3), Pratyak (5) and Naidhana (7) are bad ---
+    const TARA_NAMES = ["", "Janma", "Sampat", "Vipat", "Kshema", "Pratyak", "Sadhana", "Naidhana", "Mitra", "Parama Mitra"];
+
+    // --- Yoni (4 points): animal of each nakshatra (index 1-27) ---
+    const YONI_NAMES = ["Horse", "Elephant", "Sheep", "Serpent", "Dog", "Cat", "Rat",
+        "Cow", "Buffalo", "Tiger", "Deer", "Monkey", "Mongoose", "Lion"];
+    const NAKSHATRA_YONI = [null, 0, 1, 2, 3, 3, 4, 5, 2, 5, 6, 6, 7, 8, 9, 8, 9, 10, 10, 4, 11, 12, 11, 13, 0, 13, 7, 1];
+    const YONI_POINTS = [
+        [4, 2, 2, 3, 2, 2, 2, 1, 0, 1, 3, 3, 2, 1],
+        [2, 4, 3, 3, 2, 2, 2, 2, 3, 1, 2, 3, 2, 0],
+        [2, 3, 4, 2, 1, 2, 1, 3, 3, 1, 2, 0, 3, 1],
+        [3, 3, 2, 4, 2, 1, 1, 1, 1, 2, 2, 2, 0, 2],
+        [2, 2, 1, 2, 4, 2, 1, 2, 2, 1, 0, 2, 1, 1],
+        [2, 2, 2, 1, 2, 4, 0, 2, 2, 1, 3, 3, 2, 1],
+        [2, 2, 1, 1, 1, 0, 4, 2, 2, 2, 2, 2, 1, 2],
+        [1, 2, 3, 1, 2, 2, 2, 4, 3, 0, 3, 2, 2, 1],
+        [0, 3, 3, 1, 2, 2, 2, 3, 4, 1, 2, 2, 2, 1],
+        [1, 1, 1, 2, 1, 1, 2, 0, 1, 4, 1, 1, 2, 1],
+        [3, 2, 2, 2, 0, 3, 2, 3, 2, 1, 4, 2, 2, 1],
+        [3, 3, 0, 2, 2, 3, 2, 2, 2, 1, 2, 4, 3, 2],
+        [2, 2, 3, 0, 1, 2, 1, 2, 2, 2, 2, 3, 4, 2],
+        [1, 0, 1, 2, 1, 1, 2, 1, 1, 1, 1, 2, 2, 4]
+    ];
+
+    // --- Graha Maitri (5 points): friendship of the rashi lords ---
+    const RASHI_LORD = [null, "Kuja", "Shukra", "Budha", "Chandra", "Surya", "Budha",
+        "Shukra", "Kuja", "Guru", "Shani", "Shani", "Guru"];
+    const FRIENDS = {
+        Surya: { friends: ["Chandra", "Kuja", "Guru"], enemies: ["Shukra", "Shani"] },
+        Chandra: { friends: ["Surya", "Budha"], enemies: [] },
+        Kuja: { friends: ["Surya", "Chandra", "Guru"], enemies: ["Budha"] },
+        Budha: { friends: ["Surya", "Shukra"], enemies: ["Chandra"] },
+        Guru: { friends: ["Surya", "Chandra", "Kuja"], enemies: ["Budha", "Shukra"] },
+        Shukra: { friends: ["Budha", "Shani"], enemies: ["Surya", "Chandra"] },
+        Shani: { friends: ["Budha", "Shukra"], enemies: ["Surya", "Chandra", "Kuja"] }
+    };
+
+    // --- Gana (6 points) ---
+    const GANA_NAMES = ["Deva", "Manushya", "Rakshasa"];
+    const NAKSHATRA_GANA = [null, 0, 1, 2, 1, 0, 1, 0, 0, 2, 2, 1, 1, 0, 2, 0, 2, 0, 2, 2, 1, 1, 0, 2, 2, 1, 1, 0];
+    const GANA_POINTS = [ // groom row, bride column
+        [6, 6, 1],
+        [5, 6, 0],
+        [1, 0, 6]
+    ];
+
+    // --- Nadi (8 points) ---
+    const NADI_NAMES = ["Adi", "Madhya", "Antya"];
+    const NAKSHATRA_NADI = [null, 0, 1, 2, 2, 1, 0, 0, 1, 2, 2, 1, 0, 0, 1, 2, 2, 1, 0, 0, 1, 2, 2, 1, 0, 0, 1, 2];
+
+    function relation(planet, other) {
+        if (planet === other) return 'friend';
+        const f = FRIENDS[planet];
+        if (f.friends.includes(other)) return 'friend';
+        if (f.enemies.includes(other)) return 'enemy';
+        return 'neutral';
+    }
+
+    function grahaMaitriPoints(lordA, lordB) {
+        if (lordA === lordB) return 5;
+        const pair = [relation(lordA, lordB), relation(lordB, lordA)].sort().join('-');
+        const table = {
+            'friend-friend': 5, 'friend-neutral': 4, 'neutral-neutral': 3,
+            'enemy-friend': 1, 'enemy-neutral': 0.5, 'enemy-enemy': 0
+        };
+        return table[pair];
+    }
+
+    function countFrom(from, to, size) {
+        return ((to - from + size) % size) + 1;
+    }
+
+    function taraOf(from, to) {
+        const t = countFrom(from, to, 27) % 9;
+        return t === 0 ? 9 : t;
+    }
+
+    /**
+     * Ashtakoota match. `groom` and `bride` are { nakshatra, rashi } as stored in
+     * person.jyotisha. Returns null when either nakshatra or rashi is missing, otherwise
+     * { kootas: [{ key, name, max, points, groom, bride, note }], total, max, doshas, verdict }.
+     */
+    function compute(groom, bride) {
+        const J = window.Jyotisha;
+        if (!J || !groom || !bride) return null;
+        const gn = J.normalizeNakshatra(groom.nakshatra);
+        const bn = J.normalizeNakshatra(bride.nakshatra);
+        const gr = J.normalizeRashi(groom.rashi);
+        const br = J.normalizeRashi(bride.rashi);
+        if (!gn || !bn || !gr || !br) return null;
+
+        const kootas = [];
+        const doshas = [];
+
+        // 1. Varna
+        const varnaPoints = RASHI_VARNA[gr] >= RASHI_VARNA[br] ? 1 : 0;
+        kootas.push({ key: 'varna', name: 'Varna', max: 1, points: varnaPoints,
+            groom: VARNA_NAMES[RASHI_VARNA[gr]], bride: VARNA_NAMES[RASHI_VARNA[br]] });
+
+        // 2. Vashya
+        kootas.push({ key: 'vashya', name: 'Vashya', max: 2, points: VASHYA_POINTS[RASHI_VASHYA[gr]][RASHI_VASHYA[br]],
+            groom: VASHYA_NAMES[RASHI_VASHYA[gr]], bride: VASHYA_NAMES[RASHI_VASHYA[br]] });
+
+        // 3. Tara
+        const taraToGroom = taraOf(bn, gn);
+        const taraToBride = taraOf(gn, bn);
+        const taraGood = (t) => ![3, 5, 7].includes(t);
+        kootas.push({ key: 'tara', name: 'Tara', max: 3,
+            points: (taraGood(taraToGroom) ? 1.5 : 0) + (taraGood(taraToBride) ? 1.5 : 0),
+            groom: TARA_NAMES[taraToGroom], bride: TARA_NAMES[taraToBride],
+            note: 'Tara of each counted from the other\'s nakshatra' });
+
+        // 4. Yoni
+        const gy = NAKSHATRA_YONI[gn], by = NAKSHATRA_YONI[bn];
+        const yoniPoints = YONI_POINTS[gy][by];
+        kootas.push({ key: 'yoni', name: 'Yoni', max: 4, points: yoniPoints,
+            groom: YONI_NAMES[gy], bride: YONI_NAMES[by] });
+        if (yoniPoints === 0) doshas.push(`Yoni dosha: ${YONI_NAMES[gy]} and ${YONI_NAMES[by]} are sworn enemies`);
+
+        // 5. Graha Maitri
+        const maitriPoints = grahaMaitriPoints(RASHI_LORD[gr], RASHI_LORD[br]);
+        kootas.push({ key: 'maitri', name: 'Graha Maitri', max: 5, points: maitriPoints,
+            groom: RASHI_LORD[gr], bride: RASHI_LORD[br] });
+
+        // 6. Gana
+        const gg = NAKSHATRA_GANA[gn], bg = NAKSHATRA_GANA[bn];
+        const ganaPoints = GANA_POINTS[gg][bg];
+        kootas.push({ key: 'gana', name: 'Gana', max: 6, points: ganaPoints,
+            groom: GANA_NAMES[gg], bride: GANA_NAMES[bg] });
+        if (ganaPoints <= 1) doshas.push(`Gana dosha: ${GANA_NAMES[gg]} and ${GANA_NAMES[bg]} ganas`);
+
+        // 7. Bhakoot
+        const fromBride = countFrom(br, gr, 12);
+        const fromGroom = countFrom(gr, br, 12);
+        const pair = [fromBride, fromGroom].sort((a, b) => a - b).join('/');
+        const badPairs = { '2/12': 'Dwirdwadasha (2/12)', '5/9': 'Navapanchama (5/9)', '6/8': 'Shadashtaka (6/8)' };
+        const bhakootPoints = badPairs[pair] ? 0 : 7;
+        kootas.push({ key: 'bhakoot', name: 'Bhakoot', max: 7, points: bhakootPoints,
+            groom: RASHI_NAMES[gr], bride: RASHI_NAMES[br], note: `Rashis ${fromBride}/${fromGroom} from each other` });
+        if (badPairs[pair]) {
+            const cancelled = relation(RASHI_LORD[gr], RASHI_LORD[br]) === 'friend' && relation(RASHI_LORD[br], RASHI_LORD[gr]) === 'friend';
+            doshas.push(`Bhakoot dosha: ${badPairs[pair]}` + (cancelled ? ' (rashi lords are friends, traditionally considered cancelled)' : ''));
+        }
+
+        // 8. Nadi
+        const gd = NAKSHATRA_NADI[gn], bd = NAKSHATRA_NADI[bn];
+        const nadiPoints = gd === bd ? 0 : 8;
+        kootas.push({ key: 'nadi', name: 'Nadi', max: 8, points: nadiPoints,
+            groom: NADI_NAMES[gd], bride: NADI_NAMES[bd] });
+        if (gd === bd) {
+            let text = `Nadi dosha: both ${NADI_NAMES[gd]} nadi`;
+            if (gn === bn && gr !== br) text += ' (same nakshatra in different rashis, traditionally considered cancelled)';
+            else if (gr === br && gn !== bn) text += ' (same rashi with different nakshatras, traditionally considered cancelled)';
+            doshas.push(text);
+        }
+
+        const total = kootas.reduce((sum, k) => sum + k.points, 0);
+        let verdict;
+        if (total < 18) verdict = 'Not recommended';
+        else if (total <= 24) verdict = 'Average';
+        else if (total <= 32) verdict = 'Good';
+        else verdict = 'Excellent';
+
+        return {
+            kootas,
+            total,
+            max: 36,
+            doshas,
+            verdict,
+            groom: { nakshatra: J.NAKSHATRA_NAMES[gn], rashi: RASHI_NAMES[gr] },
+            bride: { nakshatra: J.NAKSHATRA_NAMES[bn], rashi: RASHI_NAMES[br] }
+        };
+    }
+
+    function escapeHtml(text) {
+        return String(text == null ? '' : text)
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;")
+            .replace(/'/g, "&#039;");
+    }
+
+    /**
+     * Match two persons by id. The male is taken as groom; if the genders do not
+     * say which is which, the first id is used as groom. `sameGender` is 'M' or 'F'
+     * when both are recorded with that gender, otherwise null.
+     */
+    function evaluate(id1, id2) {
+        const people = window.peopleMap;
+        const genders = window.genderMap;
+        if (!people || !people.has(id1) || !people.has(id2)) return { error: 'Person not found.' };
+
+        let groomId = id1, brideId = id2;
+        const g1 = genders ? genders.get(id1) : null;
+        const g2 = genders ? genders.get(id2) : null;
+        const gendersKnown = (g1 === 'M' && g2 === 'F') || (g1 === 'F' && g2 === 'M');
+        const sameGender = (g1 === 'M' || g1 === 'F') && g1 === g2 ? g1 : null;
+        if (g1 === 'F' && g2 === 'M') {
+            groomId = id2;
+            brideId = id1;
+        }
+
+        const groom = people.get(groomId);
+        const bride = people.get(brideId);
+        const missing = [groom, bride].filter(p => {
+            const j = p.jyotisha || {};
+            return !j.nakshatra || !j.rashi;
+        });
+        if (missing.length > 0) {
+            return { error: `Janma nakshatra and rashi are needed for both persons. Missing for: ${missing.map(p => p.name).join(', ')}.` };
+        }
+
+        const result = compute(groom.jyotisha, bride.jyotisha);
+        if (!result) return { error: 'The recorded nakshatra or rashi could not be recognised.' };
+        return Object.assign(result, { groomId, brideId, gendersKnown, sameGender });
+    }
+
+    function generateReport(id1, id2) {
+        const r = evaluate(id1, id2);
+        if (r.error) {
+            return `<div style="text-align:center; padding:20px;"><h3>Compatibility could not be computed</h3><p>${escapeHtml(r.error)}</p></div>`;
+        }
+
+        const people = window.peopleMap;
+        const groom = people.get(r.groomId);
+        const bride = people.get(r.brideId);
+        const pct = Math.round(r.total / r.max * 100);
+        const verdictColor = r.total < 18 ? '#c62828' : (r.total <= 24 ? '#f57f17' : '#2e7d32');
+
+        let html = `<div style="font-family: sans-serif;">`;
+        html += `<h3 style="text-align:center; margin: 0 0 5px;">Ashtakoota Compatibility</h3>`;
+        html += `<div style="text-align:center; color:#555; margin-bottom: 5px;">
+                    <strong>${escapeHtml(groom.name)}</strong> (${escapeHtml(r.groom.nakshatra)}, ${escapeHtml(r.groom.rashi)})
+                    &amp; <strong>${escapeHtml(bride.name)}</strong> (${escapeHtml(r.bride.nakshatra)}, ${escapeHtml(r.bride.rashi)})
+                 </div>`;
+        if (typeof findRelationship === 'function') {
+            const rel = findRelationship(r.groomId, r.brideId);
+            if (rel && rel !== 'Unknown') {
+                html += `<div style="text-align:center; font-size: 13px; color:#E91E63; margin-bottom: 5px;">${escapeHtml(bride.name)} is ${escapeHtml(groom.name)}'s ${rel}</div>`;
+            }
+        }
+        if (r.sameGender) {
+            html += `<div style="text-align:center; font-size: 13px; color:#f57f17;">Both are recorded as ${r.sameGender === 'M' ? 'male' : 'female'}; ${escapeHtml(groom.name)} is taken as the groom.</div>`;
+        } else if (!r.gendersKnown) {
+            html += `<div style="text-align:center; font-size: 13px; color:#f57f17;">Genders could not be determined; ${escapeHtml(groom.name)} is taken as the groom.</div>`;
+        }
+
+        html += `<div style="margin: 20px auto; max-width: 320px; text-align:center; padding: 15px; border-radius: 8px; background: #f9f9f9;">
+                    <div style="font-size: 32px; font-weight: bold; color: ${verdictColor};">${r.total} / ${r.max}</div>
+                    <div style="height: 8px; background: #eee; border-radius: 4px; margin: 8px 0; overflow: hidden;">
+                        <div style="height: 100%; width: ${pct}%; background: ${verdictColor};"></div>
+                    </div>
+                    <div style="font-weight: bold; color: ${verdictColor};">${r.verdict}</div>
+                 </div>`;
+
+        html += `<table style="width:100%; border-collapse: collapse; font-size: 14px;">
+                    <thead><tr style="background:#f5f5f5; text-align:left;">
+                        <th style="padding:8px; border-bottom:1px solid #ddd;">Koota</th>
+                        <th style="padding:8px; border-bottom:1px solid #ddd;">Groom</th>
+                        <th style="padding:8px; border-bottom:1px solid #ddd;">Bride</th>
+                        <th style="padding:8px; border-bottom:1px solid #ddd; text-align:right;">Points</th>
+                    </tr></thead><tbody>`;
+        r.kootas.forEach(k => {
+            const color = k.points === 0 ? '#c62828' : (k.points === k.max ? '#2e7d32' : '#333');
+            html += `<tr>
+                        <td style="padding:8px; border-bottom:1px solid #eee;"><strong>${k.name}</strong>${k.note ? `<div style="font-size: 11px; color:#999;">${escapeHtml(k.note)}</div>` : ''}</td>
+                        <td style="padding:8px; border-bottom:1px solid #eee;">${escapeHtml(k.groom)}</td>
+                        <td style="padding:8px; border-bottom:1px solid #eee;">${escapeHtml(k.bride)}</td>
+                        <td style="padding:8px; border-bottom:1px solid #eee; text-align:right; color:${color}; font-weight:bold;">${k.points} / ${k.max}</td>
+                     </tr>`;
+        });
+        html += `<tr style="background:#f5f5f5;"><td colspan="3" style="padding:8px;"><strong>Total</strong></td>
+                    <td style="padding:8px; text-align:right; font-weight:bold;">${r.total} / ${r.max}</td></tr>`;
+        html += `</tbody></table>`;
+
+        html += `<h4 style="margin: 20px 0 8px; color:#444;">Doshas</h4>`;
+        if (r.doshas.length === 0) {
+            html += `<div style="color:#2e7d32;">No Yoni, Gana, Bhakoot or Nadi dosha.</div>`;
+        } else {
+            html += `<ul style="margin:0; padding-left: 20px; color:#c62828;">${r.doshas.map(d => `<li>${escapeHtml(d)}</li>`).join('')}</ul>`;
+        }
+
+        html += `<div style="margin-top: 20px; padding-top: 10px; border-top: 1px solid #eee; font-size: 12px; color: #999;">
+                    Based only on the recorded janma nakshatra and rashi. Kuja (Mangal) dosha and the full horoscopes are not considered; please consult your family astrologer.
+                 </div>`;
+        html += `</div>`;
+        return html;
+    }
+
+    // Expose API
+    window.Compatibility = {
+        compute,
+        evaluate,
+        generateReport
+    };
+})();
@@ -0,0 +1,287 @@
+/**
+ * Ephemeris Logic (ephemeris.js)
+ * Offline positions of the Sun and Moon (after Meeus, "Astronomical Algorithms"),
+ * the planets (orbital elements after P. Schlyter, with the Jupiter-Saturn
+ * perturbations), the mean lunar node (Rahu/Ketu) and the Lahiri ayanamsa,
+ * used for panchanga and transit calculations.
+ * All longitudes are in degrees; times are Julian Days (UT).
+ */
+
+(function() {
+    const DEG = Math.PI / 180;
+    const J2000 = 2451545.0;
+
+    // Lahiri (Chitrapaksha) ayanamsa at its reference epoch (1956-03-21).
+    const LAHIRI_EPOCH_JD = 2435553.5;
+    const LAHIRI_EPOCH_VALUE = 23.245522556;
+
+    function normalize(angle) {
+        const a = angle % 360;
+        return a < 0 ? a + 360 : a;
+    }
+
+    function sin(deg) { return Math.sin(deg * DEG); }
+    function cos(deg) { return Math.cos(deg * DEG); }
+
+    /**
+     * Julian Day for a JS Date (its absolute UTC instant).
+     */
+    function julianDay(date) {
+        return date.getTime() / 86400000 + 2440587.5;
+    }
+
+    function dateFromJulianDay(jd) {
+        return new Date((jd - 2440587.5) * 86400000);
+    }
+
+    function centuries(jd) {
+        return (jd - J2000) / 36525;
+    }
+
+    // Nutation in longitude (degrees), low-precision series (Meeus ch. 22).
+    function nutationLongitude(T) {
+        const omega = 125.04452 - 1934.136261 * T;
+        const Ls = 280.4665 + 36000.7698 * T;
+        const Lm = 218.3165 + 481267.8813 * T;
+        return (-17.20 * sin(omega) - 1.32 * sin(2 * Ls) - 0.23 * sin(2 * Lm) + 0.21 * sin(2 * omega)) / 3600;
+    }
+
+    /**
+     * Apparent geocentric longitude of the Sun (tropical), Meeus ch. 25.
+     */
+    function sunLongitude(jd) {
+        const T = centuries(jd);
+        const L0 = 280.46646 + 36000.76983 * T + 0.0003032 * T * T;
+        const M = 357.52911 + 35999.05029 * T - 0.0001537 * T * T;
+        const C = (1.914602 - 0.004817 * T - 0.000014 * T * T) * sin(M)
+            + (0.019993 - 0.000101 * T) * sin(2 * M)
+            + 0.000289 * sin(3 * M);
+        const omega = 125.04 - 1934.136 * T;
+        return normalize(L0 + C - 0.00569 - 0.00478 * sin(omega));
+    }
+
+    /**
+     * Sun's declination and the equation of time (minutes), for sunrise calculations.
+     */
+    function sunEquatorial(jd) {
+        const T = centuries(jd);
+        const L0 = normalize(280.46646 + 36000.76983 * T + 0.0003032 * T * T);
+        const M = 357.52911 + 35999.05029 * T - 0.0001537 * T * T;
+        const e = 0.016708634 - 0.000042037 * T;
+        const omega = 125.04 - 1934.136 * T;
+        const epsilon = 23.439291 - 0.0130042 * T + 0.00256 * cos(omega);
+        const lambda = sunLongitude(jd);
+
+        const declination = Math.asin(sin(epsilon) * sin(lambda)) / DEG;
+        const y = Math.pow(Math.tan(epsilon * DEG / 2), 2);
+        const eotRad = y * sin(2 * L0) - 2 * e * sin(M) + 4 * e * y * sin(M) * cos(2 * L0)
+            - 0.5 * y * y * sin(4 * L0) - 1.25 * e * e * sin(2 * M);
+        return { declination, equationOfTime: 4 * eotRad / DEG };
+    }
+
+    // Periodic terms for the Moon's longitude (Meeus table 47.A): D, M, M', F, coefficient (1e-6 deg).
+    const MOON_TERMS = [
+        [0, 0, 1, 0, 6288774], [2, 0, -1, 0, 1274027], [2, 0, 0, 0, 658314], [0, 0, 2, 0, 213618],
+        [0, 1, 0, 0, -185116], [0, 0, 0, 2, -114332], [2, 0, -2, 0, 58793], [2, -1, -1, 0, 57066],
+        [2, 0, 1, 0, 53322], [2, -1, 0, 0, 45758], [0, 1, -1, 0, -40923], [1, 0, 0, 0, -34720],
+        [0, 1, 1, 0, -30383], [2, 0, 0, -2, 15327], [0, 0, 1, 2, -12528], [0, 0, 1, -2, 10980],
+        [4, 0, -1, 0, 10675], [0, 0, 3, 0, 10034], [4, 0, -2, 0, 8548], [2, 1, -1, 0, -7888],
+        [2, 1, 0, 0, -6766], [1, 0, -1, 0, -5163], [1, 1, 0, 0, 4987], [2, -1, 1, 0, 4036],
+        [2, 0, 2, 0, 3994], [4, 0, 0, 0, 3861], [2, 0, -3, 0, 3665], [0, 1, -2, 0, -2689],
+        [2, 0, -1, 2, -2602], [2, -1, -2, 0, 2390], [1, 0, 1, 0, -2348], [2, -2, 0, 0, 2236],
+        [0, 1, 2, 0, -2120], [0, 2, 0, 0, -2069], [2, -2, -1, 0, 2048], [2, 0, 1, -2, -1773],
+        [2, 0, 0, 2, -1595], [4, -1, -1, 0, 1215], [0, 0, 2, 2, -1110], [3, 0, -1, 0, -892],
+        [2, 1, 1, 0, -810], [4, -1, -2, 0, 759], [0, 2, -1, 0, -713], [2, 2, -1, 0, -700],
+        [2, 1, -2, 0, 691], [2, -1, 0, -2, 596], [4, 0, 1, 0, 549], [0, 0, 4, 0, 537],
+        [4, -1, 0, 0, 520], [1, 0, -2, 0, -487], [2, 1, 0, -2, -399], [0, 0, 2, -2, -381],
+        [1, 1, 1, 0, 351], [3, 0, -2, 0, -340], [4, 0, -3, 0, 330], [2, -1, 2, 0, 327],
+        [0, 2, 1, 0, -323], [1, 1, -1, 0, 299], [2, 0, 3, 0, 294]
+    ];
+
+    /**
+     * Apparent geocentric longitude of the Moon (tropical), Meeus ch. 47.
+     */
+    function moonLongitude(jd) {
+        const T = centuries(jd);
+        const T2 = T * T, T3 = T2 * T, T4 = T3 * T;
+        const Lp = 218.3164477 + 481267.88123421 * T - 0.0015786 * T2 + T3 / 538841 - T4 / 65194000;
+        const D = 297.8501921 + 445267.1114034 * T - 0.0018819 * T2 + T3 / 545868 - T4 / 113065000;
+        const M = 357.5291092 + 35999.0502909 * T - 0.0001536 * T2 + T3 / 24490000;
+        const Mp = 134.9633964 + 477198.8675055 * T + 0.0087414 * T2 + T3 / 69699 - T4 / 14712000;
+        const F = 93.2720950 + 483202.0175233 * T - 0.0036539 * T2 - T3 / 3526000 + T4 / 863310000;
+        const A1 = 119.75 + 131.849 * T;
+        const A2 = 53.09 + 479264.290 * T;
+        const E = 1 - 0.002516 * T - 0.0000074 * T2;
+
+        let sum = 0;
+        for (const [d, m, mp, f, coeff] of MOON_TERMS) {
+            let term = coeff * sin(d * D + m * M + mp * Mp + f * F);
+            if (m === 1 || m === -1) term *= E;
+            else if (m === 2 || m === -2) term *= E * E;
+            sum += term;
+        }
+        sum += 3958 * sin(A1) + 1962 * sin(Lp - F) + 318 * sin(A2);
+
+        return normalize(Lp + sum / 1000000 + nutationLongitude(T));
+    }
+
+    // Mean orbital elements referred to the equinox of date; d = days from 2000 Jan 0.0.
+    const ORBITS = {
+        sun: (d) => ({ N: 0, i: 0, w: 282.9404 + 4.70935e-5 * d, a: 1.000000, e: 0.016709 - 1.151e-9 * d, M: 356.0470 + 0.9856002585 * d }),
+        mercury: (d) => ({ N: 48.3313 + 3.24587e-5 * d, i: 7.0047 + 5.00e-8 * d, w: 29.1241 + 1.01444e-5 * d, a: 0.387098, e: 0.205635 + 5.59e-10 * d, M: 168.6562 + 4.0923344368 * d }),
+        venus: (d) => ({ N: 76.6799 + 2.46590e-5 * d, i: 3.3946 + 2.75e-8 * d, w: 54.8910 + 1.38374e-5 * d, a: 0.723330, e: 0.006773 - 1.302e-9 * d, M: 48.0052 + 1.6021302244 * d }),
+        mars: (d) => ({ N: 49.5574 + 2.11081e-5 * d, i: 1.8497 - 1.78e-8 * d, w: 286.5016 + 2.92961e-5 * d, a: 1.523688, e: 0.093405 + 2.516e-9 * d, M: 18.6021 + 0.5240207766 * d }),
+        jupiter: (d) => ({ N: 100.4542 + 2.76854e-5 * d, i: 1.3030 - 1.557e-7 * d, w: 273.8777 + 1.64505e-5 * d, a: 5.20256, e: 0.048498 + 4.469e-9 * d, M: 19.8950 + 0.0830853001 * d }),
+        saturn: (d) => ({ N: 113.6634 + 2.38980e-5 * d, i: 2.4886 - 1.081e-7 * d, w: 339.3939 + 2.97661e-5 * d, a: 9.55475, e: 0.055546 - 9.499e-9 * d, M: 316.9670 + 0.0334442282 * d })
+    };
+
+    // Heliocentric ecliptic position { lon, lat, r } from orbital elements.
+    function heliocentric(el) {
+        const M = normalize(el.M);
+        let E = M + (el.e / DEG) * sin(M) * (1 + el.e * cos(M));
+        for (let k = 0; k < 5; k++) {
+            E = E - (E - (el.e / DEG) * sin(E) - M) / (1 - el.e * cos(E));
+        }
+        const xv = el.a * (cos(E) - el.e);
+        const yv = el.a * Math.sqrt(1 - el.e * el.e) * sin(E);
+        const v = Math.atan2(yv, xv) / DEG;
+        const r = Math.sqrt(xv * xv + yv * yv);
+
+        const xh = r * (cos(el.N) * cos(v + el.w) - sin(el.N) * sin(v + el.w) * cos(el.i));
+        const yh = r * (sin(el.N) * cos(v + el.w) + cos(el.N) * sin(v + el.w) * cos(el.i));
+        const zh = r * sin(v + el.w) * sin(el.i);
+        return {
+            lon: Math.atan2(yh, xh) / DEG,
+            lat: Math.atan2(zh, Math.sqrt(xh * xh + yh * yh)) / DEG,
+            r
+        };
+    }
+
+    /**
+     * Geocentric longitude (tropical) of a planet; Jupiter and Saturn include
+     * their largest mutual perturbations.
+     */
+    function planetLongitude(planet, jd) {
+        const d = jd - 2451543.5;
+        const Mj = ORBITS.jupiter(d).M;
+        const Ms = ORBITS.saturn(d).M;
+        const h = heliocentric(ORBITS[planet](d));
+
+        if (planet === 'jupiter') {
+            h.lon += -0.332 * sin(2 * Mj - 5 * Ms - 67.6) - 0.056 * sin(2 * Mj - 2 * Ms + 21)
+                + 0.042 * sin(3 * Mj - 5 * Ms + 21) - 0.036 * sin(Mj - 2 * Ms)
+                + 0.022 * cos(Mj - Ms) + 0.023 * sin(2 * Mj - 3 * Ms + 52)
+                - 0.016 * sin(Mj - 5 * Ms - 69);
+        } else if (planet === 'saturn') {
+            h.lon += 0.812 * sin(2 * Mj - 5 * Ms - 67.6) - 0.229 * cos(2 * Mj - 4 * Ms - 2)
+                + 0.119 * sin(Mj - 2 * Ms - 3) + 0.046 * sin(2 * Mj - 6 * Ms - 69)
+                + 0.014 * sin(Mj - 3 * Ms + 32);
+            h.lat += -0.020 * cos(2 * Mj - 4 * Ms - 2) + 0.018 * sin(2 * Mj - 6 * Ms - 49);
+        }
+
+        // Sun's geocentric position (i.e. the Earth's heliocentric position reversed)
+        const sun = heliocentric(ORBITS.sun(d));
+        const x = h.r * cos(h.lon) * cos(h.lat) + sun.r * cos(sun.lon);
+        const y = h.r * sin(h.lon) * cos(h.lat) + sun.r * sin(sun.lon);
+        return normalize(Math.atan2(y, x) / DEG);
+    }
+
+    function mercuryLongitude(jd) {
+        return planetLongitude('mercury', jd);
+    }
+
+    function venusLongitude(jd) {
+        return planetLongitude('venus', jd);
+    }
+
+    function marsLongitude(jd) {
+        return planetLongitude('mars', jd);
+    }
+
+    function jupiterLongitude(jd) {
+        return planetLongitude('jupiter', jd);
+    }
+
+    function saturnLongitude(jd) {
+        return planetLongitude('saturn', jd);
+    }
+
+    /**
+     * Mean ascending node of the Moon (Rahu), Meeus ch. 47; Ketu is opposite.
+     */
+    function rahuLongitude(jd) {
+        const T = centuries(jd);
+        return normalize(125.0445479 - 1934.1362891 * T + 0.0020754 * T * T + T * T * T / 467441);
+    }
+
+    function ketuLongitude(jd) {
+        return normalize(rahuLongitude(jd) + 180);
+    }
+
+    /**
+     * Lahiri ayanamsa (degrees), from its 1956 reference value and the
+     * IAU 2006 general precession in longitude.
+     */
+    function ayanamsa(jd) {
+        const precession = (T) => (5028.796195 * T + 1.1054348 * T * T) / 3600;
+        return LAHIRI_EPOCH_VALUE + precession(centuries(jd)) - precession(centuries(LAHIRI_EPOCH_JD));
+    }
+
+    function toSidereal(tropicalLongitude, jd) {
+        return normalize(tropicalLongitude - ayanamsa(jd));
+    }
+
+    const BODIES = {
+        sun: sunLongitude,
+        moon: moonLongitude,
+        mercury: mercuryLongitude,
+        venus: venusLongitude,
+        mars: marsLongitude,
+        jupiter: jupiterLongitude,
+        saturn: saturnLongitude,
+        rahu: rahuLongitude,
+        ketu: ketuLongitude
+    };
+
+    /**
+     * Sidereal (Lahiri) longitude of a body: 'sun', 'moon', 'mercury', 'venus',
+     * 'mars', 'jupiter', 'saturn', 'rahu' or 'ketu'.
+     */
+    function siderealLongitude(body, jd) {
+        const fn = BODIES[String(body).toLowerCase()];
+        if (!fn) return null;
+        return toSidereal(fn(jd), jd);
+    }
+
+    // Rashi number (1 = Mesha .. 12 = Meena) for a sidereal longitude
+    function rashiOf(longitude) {
+        return Math.floor(normalize(longitude) / 30) + 1;
+    }
+
+    // Nakshatra number (1 = Ashwini .. 27 = Revati) for a sidereal longitude
+    function nakshatraOf(longitude) {
+        return Math.floor(normalize(longitude) / (360 / 27)) + 1;
+    }
+
+    // Expose API
+    window.Ephemeris = {
+        julianDay,
+        dateFromJulianDay,
+        normalize,
+        sunLongitude,
+        moonLongitude,
+        mercuryLongitude,
+        venusLongitude,
+        marsLongitude,
+        jupiterLongitude,
+        saturnLongitude,
+        rahuLongitude,
+        ketuLongitude,
+        sunEquatorial,
+        ayanamsa,
+        toSidereal,
+        siderealLongitude,
+        rashiOf,
+        nakshatraOf
+    };
+})();
@@ -0,0 +1,232 @@
+/**
+ * Fan Chart Logic (fanchart.js)
+ * Builds a radial SVG fan chart of a person's ancestors from the fid/mid links
+ * in peopleMap. Ancestors are placed by ahnentafel number: the father's line
+ * fills the left half of every ring and the mother's line the right half.
+ * The SVG uses inline attributes only, so it can be saved and opened offline.
+ */
+
+(function() {
+    const MAX_GENERATIONS = 8;
+    const SPAN = 240; // Degrees covered by the fan
+    const CENTER_RADIUS = 60;
+    const RING_WIDTHS = [0, 60, 60, 65, 80, 90, 100, 110, 120]; // Indexed by generation
+    const FONT_SIZES = [13, 12, 11, 10, 9, 8, 7.5, 7, 6.5];
+    const TANGENTIAL_GENERATIONS = 3; // Inner rings write along the arc, outer rings along the radius
+
+    // Lightest shade last; darker shades for nearer generations
+    const SIDE_COLORS = {
+        paternal: ['#90CAF9', '#A5D6F7', '#B3E5FC', '#C5E9FB', '#D4EEFB', '#E1F5FE', '#EAF7FE', '#F2FAFE'],
+        maternal: ['#F48FB1', '#F6A5C0', '#F8BBD0', '#FACAD9', '#FBD7E2', '#FCE4EC', '#FDEBF1', '#FEF2F6']
+    };
+    const GOTHRA_PALETTE = [
+        '#FFCC80', '#A5D6A7', '#90CAF9', '#CE93D8', '#FFAB91', '#80CBC4',
+        '#E6EE9C', '#B0BEC5', '#F48FB1', '#BCAAA4', '#9FA8DA', '#FFE082'
+    ];
+    const UNKNOWN_FILL = '#F5F5F5';
+    const CENTER_FILL = '#FFF8E1';
+
+    function escapeXml(str) {
+        return String(str == null ? '' : str)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function point(cx, cy, r, deg) {
+        const rad = deg * Math.PI / 180;
+        return [cx + r * Math.cos(rad), cy + r * Math.sin(rad)];
+    }
+
+    function fmt(n) {
+        return Math.round(n * 100) / 100;
+    }
+
+    // Annular sector between radii r1 < r2 and angles a1 < a2 (degrees, SVG orientation)
+    function sectorPath(cx, cy, r1, r2, a1, a2) {
+        const large = a2 - a1 > 180 ? 1 : 0;
+        const [x1, y1] = point(cx, cy, r1, a1);
+        const [x2, y2] = point(cx, cy, r2, a1);
+        const [x3, y3] = point(cx, cy, r2, a2);
+        const [x4, y4] = point(cx, cy, r1, a2);
+        return `M${fmt(x1)},${fmt(y1)} L${fmt(x2)},${fmt(y2)} A${r2},${r2} 0 ${large} 1 ${fmt(x3)},${fmt(y3)} ` +
+            `L${fmt(x4)},${fmt(y4)} A${r1},${r1} 0 ${large} 0 ${fmt(x1)},${fmt(y1)} Z`;
+    }
+
+    function truncate(text, maxChars) {
+        if (maxChars < 2) return '';
+        return text.length > maxChars ? text.slice(0, maxChars - 1) + '…' : text;
+    }
+
+    function splitName(name) {
+        const parts = String(name || '').trim().split(/\s+/).filter(Boolean);
+        if (parts.length <= 1) return { given: parts[0] || '?', surname: '' };
+        return { given: parts.slice(0, -1).join(' '), surname: parts[parts.length - 1] };
+    }
+
+    function birthYear(p) {
+        if (!p || !window.DateUtils) return null;
+        return window.DateUtils.getYear(p.Birth || '');
+    }
+
+    function gothraColor(gothra, legend) {
+        if (!gothra) return UNKNOWN_FILL;
+        const key = gothra.trim().toLowerCase();
+        if (!legend.has(key)) {
+            legend.set(key, { label: gothra, color: GOTHRA_PALETTE[legend.size % GOTHRA_PALETTE.length] });
+        }
+        return legend.get(key).color;
+    }
+
+    /**
+     * Builds the fan chart.
+     * @param {string} personId - Focused person.
+     * @param {Object} [options] - { generations (1-8, default 5), colorBy: 'side' | 'gothra',
+     *   getGothra: (id) => string|null, peopleMap (defaults to window.peopleMap) }.
+     * @returns {{svg: string, count: number, generations: number, legend: Array}|null}
+     */
+    function build(personId, options) {
+        const opts = options || {};
+        const people = opts.peopleMap || window.peopleMap;
+        if (!people || !people.has(personId)) return null;
+
+        const generations = Math.max(1, Math.min(MAX_GENERATIONS, parseInt(opts.generations, 10) || 5));
+        const colorBy = opts.colorBy === 'gothra' ? 'gothra' : 'side';
+        const getGothra = typeof opts.getGothra === 'function' ? opts.getGothra : (id) => {
+            const p = people.get(id);
+            return p && p.jyotisha && p.jyotisha.gothra ? p.jyotisha.gothra : null;
+        };
+
+        // Ahnentafel: 1 = person, 2n = father of n, 2n + 1 = mother of n
+        const slots = new Map([[1, personId]]);
+        for (let n = 1; n < Math.pow(2, generations); n++) {
+            const id = slots.get(n);
+            const p = id ? people.get(id) : null;
+            if (!p) continue;
+            if (p.fid && people.has(p.fid)) slots.set(2 * n, p.fid);
+            if (p.mid && people.has(p.mid)) slots.set(2 * n + 1, p.mid);
+        }
+
+        const outer = CENTER_RADIUS + RING_WIDTHS.slice(1, generations + 1).reduce((a, b) => a + b, 0);
+        const margin = 10;
+        const width = 2 * (outer + margin);
+        const cx = width / 2;
+        const cy = outer + margin;
+        // The fan opens upwards; the lowest point of its arc sets the height
+        const lowest = Math.max(CENTER_RADIUS, outer * Math.sin((SPAN / 2 - 90) * Math.PI / 180));
+        const height = fmt(cy + lowest + margin + 20);
+        const startAngle = -90 - SPAN / 2;
+
+        const legend = new Map();
+        const parts = [];
+        let count = 0;
+
+        const fillFor = (n, gen, id) => {
+            if (colorBy === 'gothra') return gothraColor(getGothra(id), legend);
+            const side = n.toString(2)[1] === '0' ? 'paternal' : 'maternal'; // Second bit: father's or mother's line
+            return SIDE_COLORS[side][Math.min(gen - 1, SIDE_COLORS[side].length - 1)];
+        };
+
+        let inner = CENTER_RADIUS;
+        for (let gen = 1; gen <= generations; gen++) {
+            const ringWidth = RING_WIDTHS[gen];
+            const slotCount = Math.pow(2, gen);
+            const step = SPAN / slotCount;
+            const fontSize = FONT_SIZES[gen];
+
+            for (let k = 0; k < slotCount; k++) {
+                const n = slotCount + k;
+                const childId = slots.get(n >> 1);
+                const id = slots.get(n);
+                if (!id && !childId) continue; // Only show empty slots next to a known child
+
+                const a1 = startAngle + k * step;
+                const a2 = a1 + step;
+                const path = sectorPath(cx, cy, inner, inner + ringWidth, a1, a2);
+
+                if (!id) {
+                    parts.push(`<path d="${path}" fill="#fff" stroke="#ddd" stroke-width="1" stroke-dasharray="3,3"/>`);
+                    continue;
+                }
+
+                count++;
+                const p = people.get(id);
+                const mid = (a1 + a2) / 2;
+                const rMid = inner + ringWidth / 2;
+                const [tx, ty] = point(cx, cy, rMid, mid);
+                const { given, surname } = splitName(p.name);
+                const year = birthYear(p);
+
+                let rotation;
+                let lines;
+                if (gen <= TANGENTIAL_GENERATIONS) {
+                    rotation = mid + 90;
+                    const upright = ((rotation % 360) + 360) % 360;
+                    if (upright > 90 && upright < 270) rotation -= 180; // Low on the right-hand side
+                    const arcLength = rMid * step * Math.PI / 180;
+                    const maxChars = Math.floor(arcLength / (fontSize * 0.62));
+                    lines = [truncate(given, maxChars), truncate(surname, maxChars), year ? String(year) : ''];
+                } else {
+                    rotation = mid;
+                    if (mid > 90 || mid < -90) rotation += 180; // Keep text upright on the left side
+                    const maxChars = Math.floor((ringWidth - 6) / (fontSize * 0.6));
+                    const arcLength = rMid * step * Math.PI / 180;
+                    lines = arcLength >= fontSize * 2.2
+                        ? [truncate(given, maxChars), truncate(surname, maxChars)]
+                        : [truncate(given, maxChars)];
+                }
+                lines = lines.filter(Boolean);
+
+                const lineHeight = fontSize * 1.15;
+                const firstDy = -((lines.length - 1) * lineHeight) / 2;
+                const tspans = lines.map((line, i) =>
+                    `<tspan x="${fmt(tx)}" dy="${fmt(i === 0 ? firstDy : lineHeight)}">${escapeXml(line)}</tspan>`
+                ).join('');
+                const title = [p.name, year ? `b. ${year}` : ''].filter(Boolean).join(', ');
+
+                parts.push(`<g data-person-id="${escapeXml(id)}" style="cursor:pointer;">` +
+                    `<title>${escapeXml(title)}</title>` +
+                    `<path d="${path}" fill="${fillFor(n, gen, id)}" stroke="#fff" stroke-width="1.5"/>` +
+                    `<text x="${fmt(tx)}" y="${fmt(ty)}" transform="rotate(${fmt(rotation)} ${fmt(tx)} ${fmt(ty)})" ` +
+                    `font-family="Arial, sans-serif" font-size="${fontSize}" fill="#333" text-anchor="middle" dominant-baseline="middle">${tspans}</text>` +
+                    `</g>`);
+            }
+            inner += ringWidth;
+        }
+
+        // Focused person in the centre
+        const center = people.get(personId);
+        const centerName = splitName(center.name);
+        const centerYear = birthYear(center);
+        const centerLines = [centerName.given, centerName.surname, centerYear ? String(centerYear) : '']
+            .filter(Boolean)
+            .map(line => truncate(line, 16));
+        const centerTspans = centerLines.map((line, i) =>
+            `<tspan x="${fmt(cx)}" dy="${i === 0 ? fmt(-((centerLines.length - 1) * 15) / 2) : 15}">${escapeXml(line)}</tspan>`
+        ).join('');
+        parts.push(`<g data-person-id="${escapeXml(personId)}" style="cursor:pointer;">` +
+            `<title>${escapeXml(center.name)}</title>` +
+            `<circle cx="${fmt(cx)}" cy="${fmt(cy)}" r="${CENTER_RADIUS}" fill="${colorBy === 'gothra' ? gothraColor(getGothra(personId), legend) : CENTER_FILL}" stroke="#4A90E2" stroke-width="2"/>` +
+            `<text x="${fmt(cx)}" y="${fmt(cy)}" font-family="Arial, sans-serif" font-size="${FONT_SIZES[0]}" font-weight="bold" fill="#333" text-anchor="middle" dominant-baseline="middle">${centerTspans}</text>` +
+            `</g>`);
+
+        const legendItems = colorBy === 'gothra'
+            ? Array.from(legend.values()).concat([{ label: 'Unknown', color: UNKNOWN_FILL }])
+            : [{ label: "Father's side", color: SIDE_COLORS.paternal[0] }, { label: "Mother's side", color: SIDE_COLORS.maternal[0] }];
+
+        const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${fmt(width)} ${height}" width="${fmt(width)}" height="${height}">` +
+            `<title>${escapeXml(`Ancestors of ${center.name}`)}</title>` +
+            `<rect x="0" y="0" width="${fmt(width)}" height="${height}" fill="#fff"/>` +
+            parts.join('') +
+            `</svg>`;
+
+        return { svg, count, generations, legend: legendItems };
+    }
+
+    // Expose API
+    window.FanChart = {
+        build,
+        MAX_GENERATIONS
+    };
+})();
@@ -0,0 +1,672 @@
+/**
+ * GEDCOM Logic (gedcom.js)
+ * Converts the loaded family data into a GEDCOM 5.5.1 (lineage-linked) file
+ * that desktop genealogy tools such as Gramps can open, and parses GEDCOM files
+ * back into the persons/families/places/contacts JSON used by loadNewDatabase().
+ */
+
+(function() {
+    const GEDCOM_MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+    const MAX_VALUE_LENGTH = 200; // GEDCOM lines must stay below 255 characters
+    const NEWLINE = '\r\n';
+
+    /**
+     * Formats an app date string ("YYYY-MM-DD", "dd-MMM-yyyy", "yyyy") as a GEDCOM date.
+     * Approximate dates get the "ABT" qualifier.
+     */
+    function formatGedcomDate(dateStr, dateType) {
+        const raw = String(dateStr || '').trim();
+        if (!raw) return '';
+        const prefix = String(dateType || '').toLowerCase() === 'approximate' ? 'ABT ' : '';
+
+        if (/^\d{4}$/.test(raw)) return prefix + raw;
+
+        const date = window.DateUtils ? window.DateUtils.parse(raw) : null;
+        if (!date || isNaN(date.getTime())) return '';
+        // Approximate dates are recorded as 1 January of the estimated year.
+        if (prefix && date.getMonth() === 0 && date.getDate() === 1) return prefix + date.getFullYear();
+        return `${prefix}${date.getDate()} ${GEDCOM_MONTHS[date.getMonth()]} ${date.getFullYear()}`;
+    }
+
+    function toXref(id) {
+        return '@' + String(id).replace(/[^A-Za-z0-9_]/g, '_') + '@';
+    }
+
+    function escapeValue(value) {
+        const text = String(value);
+        // Cross-reference pointers (e.g. "@I0001@") are written as-is.
+        if (/^@[A-Za-z0-9_]+@$/.test(text)) return text;
+        return text.replace(/@/g, '@@');
+    }
+
+    /**
+     * Appends one logical GEDCOM line, splitting multi-line text into CONT lines
+     * and over-long text into CONC lines.
+     */
+    function pushLine(lines, level, tag, value, xref) {
+        const head = `${level} ${xref ? xref + ' ' : ''}${tag}`;
+        if (value == null || value === '') {
+            lines.push(head);
+            return;
+        }
+
+        const textLines = escapeValue(value).split(/\r\n|\r|\n/);
+        textLines.forEach((text, index) => {
+            let chunk = text.slice(0, MAX_VALUE_LENGTH);
+            let rest = text.slice(MAX_VALUE_LENGTH);
+            if (index === 0) {
+                lines.push(chunk ? `${head} ${chunk}` : head);
+            } else {
+                lines.push(chunk ? `${level + 1} CONT ${chunk}` : `${level + 1} CONT`);
+            }
+            while (rest) {
+                chunk = rest.slice(0, MAX_VALUE_LENGTH);
+                rest = rest.slice(MAX_VALUE_LENGTH);
+                lines.push(`${level + 1} CONC ${chunk}`);
+            }
+        });
+    }
+
+    function placeName(places, placeId) {
+        if (!placeId || !places || !places[placeId]) return '';
+        return String(places[placeId].place || '').trim();
+    }
+
+    function mediaForm(path) {
+        const match = String(path || '').match(/\.([a-z0-9]+)(?:[?#].*)?$/i);
+        const ext = match ? match[1].toLowerCase() : '';
+        return ext === 'jpeg' ? 'jpg' : ext;
+    }
+
+    function isDeceased(person) {
+        return person.deceased === true || String(person.deceased || '').toLowerCase() === 'true' || !!String(person.death_date || person.Death || '').trim();
+    }
+
+    /**
+     * Builds the GEDCOM text.
+     * @param {Object} data
+     * @param {Array} data.people - The PEOPLE array built by loadNewDatabase().
+     * @param {Array} data.persons - Raw persons.json rows (for given name, sex, birth place id).
+     * @param {Array} data.families - Raw families.json rows.
+     * @param {Object} data.places - Raw places.json map.
+     * @param {Array} data.contacts - Raw contacts.json rows.
+     * @param {Map} [data.genderMap] - Inferred genders, used when `sex` is missing.
+     * @returns {string} GEDCOM 5.5.1 file contents.
+     */
+    function buildGedcom(data) {
+        const people = data.people || [];
+        const families = data.families || [];
+        const places = data.places || {};
+        const contacts = data.contacts || [];
+        const genderMap = data.genderMap || new Map();
+
+        const rawPersonsMap = new Map();
+        (data.persons || []).forEach(p => rawPersonsMap.set(p.person_id, p));
+
+        const contactsMap = new Map();
+        contacts.forEach(c => contactsMap.set(c.person_id, c));
+
+        const peopleIds = new Set(people.map(p => p.id));
+
+        // Families with neither spouse are placeholders in the source sheet and carry
+        // no parent/child relationship, so they are left out of the export.
+        const exportFamilies = [];
+        const pairToFamily = new Map();
+        families.forEach(f => {
+            const husb = peopleIds.has(f.husband_id) ? f.husband_id : '';
+            const wife = peopleIds.has(f.wife_id) ? f.wife_id : '';
+            if (!husb && !wife) return;
+            const fam = {
+                id: f.family_id,
+                husb,
+                wife,
+                children: (Array.isArray(f.children) ? f.children : []).filter(id => peopleIds.has(id)),
+                marriageDate: f.marriage_date || '',
+                marriagePlace: placeName(places, f.marriage_place_id),
+                divorceDate: null
+            };
+            exportFamilies.push(fam);
+            if (husb && wife) pairToFamily.set(`${husb}|${wife}`, fam);
+        });
+
+        // Attach divorce records to the matching couple, creating a family if needed.
+        let extraFamilyIndex = 0;
+        people.forEach(p => {
+            (Array.isArray(p.divorces) ? p.divorces : []).forEach(d => {
+                const spouseId = d && d.spouse_id;
+                if (!spouseId || !peopleIds.has(spouseId)) return;
+                const spouseGender = genderMap.get(spouseId);
+                const husb = spouseGender === 'M' ? spouseId : p.id;
+                const wife = spouseGender === 'M' ? p.id : spouseId;
+                let fam = pairToFamily.get(`${husb}|${wife}`) || pairToFamily.get(`${wife}|${husb}`);
+                if (!fam) {
+                    extraFamilyIndex++;
+                    fam = { id: `FD${String(extraFamilyIndex).padStart(4, '0')}`, husb, wife, children: [], marriageDate: '', marriagePlace: '', divorceDate: null };
+                    exportFamilies.push(fam);
+                    pairToFamily.set(`${husb}|${wife}`, fam);
+                }
+                if (fam.divorceDate === null) fam.divorceDate = d.divorce_date || d.date || '';
+            });
+        });
+
+        const famcMap = new Map();
+        const famsMap = new Map();
+        const addTo = (map, key, famId) => {
+            if (!map.has(key)) map.set(key, []);
+            if (!map.get(key).includes(famId)) map.get(key).push(famId);
+        };
+        exportFamilies.forEach(fam => {
+            if (fam.husb) addTo(famsMap, fam.husb, fam.id);
+            if (fam.wife) addTo(famsMap, fam.wife, fam.id);
+            fam.children.forEach(cid => addTo(famcMap, cid, fam.id));
+        });
+
+        const lines = [];
+        const now = new Date();
+
+        // --- Header ---
+        pushLine(lines, 0, 'HEAD');
+        pushLine(lines, 1, 'SOUR', 'VAMSHA_VRUKSHA');
+        pushLine(lines, 2, 'NAME', 'Vamsha Vruksha');
+        pushLine(lines, 1, 'DATE', `${now.getDate()} ${GEDCOM_MONTHS[now.getMonth()]} ${now.getFullYear()}`);
+        pushLine(lines, 1, 'SUBM', '@SUBM1@');
+        pushLine(lines, 1, 'GEDC');
+        pushLine(lines, 2, 'VERS', '5.5.1');
+        pushLine(lines, 2, 'FORM', 'LINEAGE-LINKED');
+        pushLine(lines, 1, 'CHAR', 'UTF-8');
+        pushLine(lines, 0, 'SUBM', null, '@SUBM1@');
+        pushLine(lines, 1, 'NAME', 'Vamsha Vruksha');
+
+        // --- Individuals ---
+        people.forEach(p => {
+            const raw = rawPersonsMap.get(p.id) || {};
+            const surname = String(raw.surname != null ? raw.surname : (p.surname || '')).trim();
+            let given = String(raw.given_name || '').trim();
+            if (!rawPersonsMap.has(p.id)) {
+                given = String(p.name || '').trim();
+                if (surname && given.toUpperCase().endsWith(surname.toUpperCase())) {
+                    given = given.slice(0, given.length - surname.length).trim();
+                }
+            }
+
+            pushLine(lines, 0, 'INDI', null, toXref(p.id));
+            pushLine(lines, 1, 'NAME', `${given}${surname ? ` /${surname}/` : ''}`.trim());
+            if (given) pushLine(lines, 2, 'GIVN', given);
+            if (surname) pushLine(lines, 2, 'SURN', surname);
+
+            const sex = (raw.sex === 'M' || raw.sex === 'F') ? raw.sex : (genderMap.get(p.id) || 'U');
+            pushLine(lines, 1, 'SEX', sex === 'M' || sex === 'F' ? sex : 'U');
+
+            const birthDate = formatGedcomDate(p.Birth, p.birth_date_type);
+            const birthPlace = placeName(places, raw.birth_place_id) || String(p.Address || '').trim();
+            if (birthDate || birthPlace) {
+                pushLine(lines, 1, 'BIRT');
+                if (birthDate) pushLine(lines, 2, 'DATE', birthDate);
+                if (birthPlace) pushLine(lines, 2, 'PLAC', birthPlace);
+            }
+
+            if (isDeceased(p)) {
+                const deathDate = formatGedcomDate(p.death_date || p.Death);
+                if (deathDate) {
+                    pushLine(lines, 1, 'DEAT');
+                    pushLine(lines, 2, 'DATE', deathDate);
+                } else {
+                    pushLine(lines, 1, 'DEAT', 'Y');
+                }
+            }
+
+            const j = p.jyotisha || {};
+            [['Gothra', j.gothra], ['Nakshatra', j.nakshatra], ['Rashi', j.rashi]].forEach(([type, value]) => {
+                if (!value || !String(value).trim()) return;
+                pushLine(lines, 1, 'FACT', String(value).trim());
+                pushLine(lines, 2, 'TYPE', type);
+            });
+
+            const custom = (p.custom && typeof p.custom === 'object' && !Array.isArray(p.custom)) ? p.custom : {};
+            Object.keys(custom).sort().forEach(key => {
+                const value = custom[key] == null ? '' : String(custom[key]).trim();
+                if (!String(key).trim() || !value) return;
+                pushLine(lines, 1, 'FACT', value);
+                pushLine(lines, 2, 'TYPE', String(key).trim());
+            });
+
+            const contact = contactsMap.get(p.id) || {};
+            const phone = String(contact.phone || p.phone || '').trim();
+            const email = String(contact.email || p.email || '').trim();
+            if (phone || email) {
+                pushLine(lines, 1, 'RESI');
+                if (phone) pushLine(lines, 2, 'PHON', phone);
+                if (email) pushLine(lines, 2, 'EMAIL', email);
+            }
+
+            const imageUrl = String(p.image_url || '').trim().replace(/^(?:\.\.\/)+/, '');
+            if (imageUrl) {
+                pushLine(lines, 1, 'OBJE');
+                pushLine(lines, 2, 'FILE', imageUrl);
+                const form = mediaForm(imageUrl);
+                if (form) {
+                    pushLine(lines, 3, 'FORM', form);
+                    pushLine(lines, 4, 'MEDI', 'photo');
+                }
+            }
+
+            (famcMap.get(p.id) || []).forEach(famId => pushLine(lines, 1, 'FAMC', toXref(famId)));
+            (famsMap.get(p.id) || []).forEach(famId => pushLine(lines, 1, 'FAMS', toXref(famId)));
+
+            const note = String(contact.note || p.note || '').trim();
+            if (note) pushLine(lines, 1, 'NOTE', note);
+        });
+
+        // --- Families ---
+        exportFamilies.forEach(fam => {
+            pushLine(lines, 0, 'FAM', null, toXref(fam.id));
+            if (fam.husb) pushLine(lines, 1, 'HUSB', toXref(fam.husb));
+            if (fam.wife) pushLine(lines, 1, 'WIFE', toXref(fam.wife));
+            fam.children.forEach(cid => pushLine(lines, 1, 'CHIL', toXref(cid)));
+
+            const marriageDate = formatGedcomDate(fam.marriageDate);
+            if (marriageDate || fam.marriagePlace) {
+                pushLine(lines, 1, 'MARR');
+                if (marriageDate) pushLine(lines, 2, 'DATE', marriageDate);
+                if (fam.marriagePlace) pushLine(lines, 2, 'PLAC', fam.marriagePlace);
+            }
+
+            if (fam.divorceDate !== null) {
+                const divorceDate = formatGedcomDate(fam.divorceDate);
+                if (divorceDate) {
+                    pushLine(lines, 1, 'DIV');
+                    pushLine(lines, 2, 'DATE', divorceDate);
+                } else {
+                    pushLine(lines, 1, 'DIV', 'Y');
+                }
+            }
+        });
+
+        pushLine(lines, 0, 'TRLR');
+        return lines.join(NEWLINE) + NEWLINE;
+    }
+
+    // =================================================================================
+    // IMPORT
+    // =================================================================================
+
+    const MONTH_INDEX = { JAN: 1, FEB: 2, MAR: 3, APR: 4, MAY: 5, JUN: 6, JUL: 7, AUG: 8, SEP: 9, OCT: 10, NOV: 11, DEC: 12 };
+    const APPROXIMATE_QUALIFIERS = ['ABT', 'EST', 'CAL', 'BEF', 'AFT', 'BET', 'FROM', 'TO', 'INT'];
+    const JYOTISHA_FACTS = { GOTHRA: 'gothra', GOTRA: 'gothra', NAKSHATRA: 'nakshatra', RASHI: 'rashi', RASI: 'rashi' };
+    const CUSTOM_FACT_TAGS = { OCCU: 'Occupation', EDUC: 'Education', RELI: 'Religion', TITL: 'Title', NATI: 'Nationality', CAST: 'Caste' };
+
+    /**
+     * Parses GEDCOM text into a tree of { level, xref, tag, value, line, children }.
+     * CONT/CONC continuation lines are folded into the parent value.
+     */
+    function parseGedcomLines(text) {
+        const roots = [];
+        const stack = [];
+        const lines = String(text || '').replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+
+        lines.forEach((rawLine, index) => {
+            const line = rawLine.trim();
+            if (!line) return;
+            const match = line.match(/^(\d+)\s+(?:(@[^@]+@)\s+)?(\S+)(?:\s(.*))?$/);
+            if (!match) return;
+
+            const level = parseInt(match[1], 10);
+            const tag = match[3].toUpperCase();
+            const value = match[4] != null ? match[4].replace(/@@/g, '@') : '';
+
+            while (stack.length && stack[stack.length - 1].level >= level) stack.pop();
+            const parent = stack[stack.length - 1] || null;
+
+            if (parent && (tag === 'CONT' || tag === 'CONC')) {
+                parent.value += (tag === 'CONT' ? '\n' : '') + value;
+                return;
+            }
+
+            const node = { level, xref: match[2] || '', tag, value, line: index + 1, children: [] };
+            if (parent) parent.children.push(node);
+            else roots.push(node);
+            stack.push(node);
+        });
+
+        return roots;
+    }
+
+    function childNode(node, tag) {
+        return node.children.find(c => c.tag === tag) || null;
+    }
+
+    function childValue(node, tag) {
+        const c = childNode(node, tag);
+        return c ? String(c.value || '').trim() : '';
+    }
+
+    /**
+     * Converts a GEDCOM date into { date: 'YYYY-MM-DD', type: 'exact'|'approximate' }.
+     * Partial dates (year, or month and year) are stored the way the app stores
+     * approximate dates: the first day of the known period.
+     */
+    function parseGedcomDate(value) {
+        let text = String(value || '').trim().toUpperCase();
+        if (!text) return { date: '', type: '' };
+
+        let approximate = false;
+        const qualifier = text.split(/\s+/)[0];
+        if (APPROXIMATE_QUALIFIERS.includes(qualifier)) {
+            approximate = true;
+            text = text.slice(qualifier.length).trim();
+            // "BET 1940 AND 1945" / "FROM 1940 TO 1945": keep the first date
+            text = text.split(/\s+(?:AND|TO)\s+/)[0].trim();
+        }
+        text = text.replace(/^\(|\)$/g, '').replace(/\s*\/\d+$/, '').trim();
+
+        let m = text.match(/^(\d{1,2})\s+([A-Z]{3})\s+(\d{3,4})$/);
+        if (m && MONTH_INDEX[m[2]]) {
+            return { date: `${m[3].padStart(4, '0')}-${String(MONTH_INDEX[m[2]]).padStart(2, '0')}-${m[1].padStart(2, '0')}`, type: approximate ? 'approximate' : 'exact' };
+        }
+        m = text.match(/^([A-Z]{3})\s+(\d{3,4})$/);
+        if (m && MONTH_INDEX[m[1]]) {
+            return { date: `${m[2].padStart(4, '0')}-${String(MONTH_INDEX[m[1]]).padStart(2, '0')}-01`, type: 'approximate' };
+        }
+        m = text.match(/^(\d{3,4})$/);
+        if (m) {
+            return { date: `${m[1].padStart(4, '0')}-01-01`, type: 'approximate' };
+        }
+        return { date: '', type: '' };
+    }
+
+    /**
+     * Assigns app IDs (PREFIX + 4 digits) to GEDCOM xrefs. Xrefs that already follow
+     * the app's pattern keep their number, so re-importing an exported file is stable;
+     * the rest get the next free numbers in file order.
+     */
+    function assignIds(xrefs, prefix, startAt) {
+        const idMap = new Map();
+        const used = new Set();
+        const pattern = new RegExp(`^@${prefix}(\\d+)@$`);
+
+        xrefs.forEach(xref => {
+            const m = xref.match(pattern);
+            if (!m) return;
+            const id = prefix + m[1].padStart(4, '0');
+            if (used.has(id)) return;
+            used.add(id);
+            idMap.set(xref, id);
+        });
+
+        let next = startAt;
+        xrefs.forEach(xref => {
+            if (idMap.has(xref)) return;
+            let id;
+            do {
+                id = prefix + String(next++).padStart(4, '0');
+            } while (used.has(id));
+            used.add(id);
+            idMap.set(xref, id);
+        });
+
+        return idMap;
+    }
+
+    /**
+     * Parses a GEDCOM file into the four-file JSON shape read by loadNewDatabase().
+     * @param {string} text - GEDCOM file contents.
+     * @returns {{persons: Array, families: Array, places: Object, contacts: Array, photos: Object, unmapped: Array, warnings: Array}}
+     */
+    function parseGedcom(text) {
+        const roots = parseGedcomLines(text);
+        const unmappedMap = new Map();
+        const warnings = [];
+
+        const reportUnmapped = (node, path) => {
+            const key = `${path}.${node.tag}`;
+            if (!unmappedMap.has(key)) unmappedMap.set(key, { tag: key, count: 0, lines: [] });
+            const entry = unmappedMap.get(key);
+            entry.count++;
+            if (entry.lines.length < 5) entry.lines.push(node.line);
+        };
+
+        const indiNodes = roots.filter(n => n.tag === 'INDI' && n.xref);
+        const famNodes = roots.filter(n => n.tag === 'FAM' && n.xref);
+        const noteRecords = new Map();
+        const objeRecords = new Map();
+        roots.forEach(n => {
+            if (n.tag === 'NOTE' && n.xref) noteRecords.set(n.xref, n.value || '');
+            if (n.tag === 'OBJE' && n.xref) objeRecords.set(n.xref, n);
+            if (!['HEAD', 'TRLR', 'SUBM', 'INDI', 'FAM', 'NOTE', 'OBJE'].includes(n.tag)) reportUnmapped(n, 'ROOT');
+        });
+
+        const personIds = assignIds(indiNodes.map(n => n.xref), 'I', 1);
+        const familyIds = assignIds(famNodes.map(n => n.xref), 'F', 1);
+
+        // Places are de-duplicated on their exact (case-insensitive) text.
+        const places = {};
+        const placeIdsByName = new Map();
+        const placeIdFor = (name) => {
+            const placeName = String(name || '').trim();
+            if (!placeName) return '';
+            const key = placeName.toLowerCase();
+            if (!placeIdsByName.has(key)) {
+                const id = 'P' + String(placeIdsByName.size).padStart(4, '0');
+                placeIdsByName.set(key, id);
+                places[id] = { place: placeName };
+            }
+            return placeIdsByName.get(key);
+        };
+
+        const resolveNote = (node) => {
+            const value = String(node.value || '');
+            if (/^@[^@]+@$/.test(value.trim())) {
+                if (!noteRecords.has(value.trim())) warnings.push(`Line ${node.line}: note ${value.trim()} not found.`);
+                return noteRecords.get(value.trim()) || '';
+            }
+            return value;
+        };
+
+        // { file, type }; the media type is FORM.MEDI (5.5.1) or FORM.TYPE (5.5 and older exports)
+        const resolveMedia = (node) => {
+            const target = /^@[^@]+@$/.test(String(node.value || '').trim()) ? objeRecords.get(node.value.trim()) : node;
+            const fileNode = target ? childNode(target, 'FILE') : null;
+            if (!fileNode) return { file: '', type: '' };
+            const form = childNode(fileNode, 'FORM') || childNode(target, 'FORM');
+            const type = form ? (childValue(form, 'MEDI') || childValue(form, 'TYPE')) : '';
+            return { file: String(fileNode.value || '').trim(), type: type.toLowerCase() };
+        };
+
+        // --- Individuals ---
+        const persons = [];
+        const contacts = [];
+        const photos = {};
+        const typedPhotos = new Set(); // People whose photo is marked as one
+        const personsById = new Map();
+
+        indiNodes.forEach(indi => {
+            const id = personIds.get(indi.xref);
+            const person = {
+                person_id: id,
+                given_name: '',
+                surname: '',
+                sex: '',
+                birth_date: '',
+                birth_date_type: '',
+                deceased: false,
+                death_date: '',
+                archived: false,
+                archived_at: '',
+                custom: {},
+                birth_place_id: '',
+                birth_place_name: '',
+                active_spouse_id: '',
+                divorces: [],
+                jyotisha: { gothra: '', nakshatra: '', rashi: '' }
+            };
+            const contact = { person_id: id, phone: '', email: '', note: '' };
+            const notes = [];
+            let hasName = false;
+
+            indi.children.forEach(node => {
+                const value = String(node.value || '').trim();
+                switch (node.tag) {
+                    case 'NAME': {
+                        if (hasName) { reportUnmapped(node, 'INDI'); break; }
+                        hasName = true;
+                        const m = value.match(/^([^/]*)(?:\/([^/]*)\/?)?(.*)$/);
+                        person.given_name = (childValue(node, 'GIVN') || [m[1], m[3]].join(' ')).replace(/\s+/g, ' ').trim();
+                        person.surname = (childValue(node, 'SURN') || m[2] || '').trim();
+                        node.children.forEach(c => { if (!['GIVN', 'SURN'].includes(c.tag)) reportUnmapped(c, 'INDI.NAME'); });
+                        break;
+                    }
+                    case 'SEX':
+                        person.sex = (value.toUpperCase() === 'M' || value.toUpperCase() === 'F') ? value.toUpperCase() : '';
+                        break;
+                    case 'BIRT': {
+                        const d = parseGedcomDate(childValue(node, 'DATE'));
+                        person.birth_date = d.date;
+                        person.birth_date_type = d.type;
+                        const placeName = childValue(node, 'PLAC');
+                        person.birth_place_id = placeIdFor(placeName);
+                        person.birth_place_name = placeName;
+                        node.children.forEach(c => { if (!['DATE', 'PLAC'].includes(c.tag)) reportUnmapped(c, 'INDI.BIRT'); });
+                        break;
+                    }
+                    case 'DEAT':
+                        person.deceased = true;
+                        person.death_date = parseGedcomDate(childValue(node, 'DATE')).date;
+                        node.children.forEach(c => { if (c.tag !== 'DATE') reportUnmapped(c, 'INDI.DEAT'); });
+                        break;
+                    case 'FACT':
+                    case 'EVEN': {
+                        const type = childValue(node, 'TYPE');
+                        const jyotishaKey = JYOTISHA_FACTS[type.toUpperCase()];
+                        if (jyotishaKey) person.jyotisha[jyotishaKey] = value;
+                        else if (type && value) person.custom[type] = value;
+                        else { reportUnmapped(node, 'INDI'); break; }
+                        node.children.forEach(c => { if (c.tag !== 'TYPE') reportUnmapped(c, `INDI.${node.tag}`); });
+                        break;
+                    }
+                    case 'RESI':
+                    case 'ADDR':
+                        node.children.forEach(c => {
+                            if (c.tag === 'PHON' && !contact.phone) contact.phone = String(c.value || '').trim();
+                            else if (c.tag === 'EMAIL' && !contact.email) contact.email = String(c.value || '').trim();
+                            else reportUnmapped(c, `INDI.${node.tag}`);
+                        });
+                        break;
+                    case 'PHON':
+                        if (!contact.phone) contact.phone = value;
+                        break;
+                    case 'EMAIL':
+                        if (!contact.email) contact.email = value;
+                        break;
+                    case 'NOTE': {
+                        const note = resolveNote(node).trim();
+                        if (note) notes.push(note);
+                        break;
+                    }
+                    case 'OBJE': {
+                        const media = resolveMedia(node);
+                        if (!media.file) {
+                            reportUnmapped(node, 'INDI');
+                        } else if (!photos[id] || (media.type === 'photo' && !typedPhotos.has(id))) {
+                            photos[id] = media.file;
+                            if (media.type === 'photo') typedPhotos.add(id);
+                        }
+                        break;
+                    }
+                    case 'FAMC':
+                    case 'FAMS':
+                        // Relationships are read from the FAM records.
+                        break;
+                    default:
+                        if (CUSTOM_FACT_TAGS[node.tag] && value) person.custom[CUSTOM_FACT_TAGS[node.tag]] = value;
+                        else reportUnmapped(node, 'INDI');
+                }
+            });
+
+            if (!hasName) warnings.push(`Line ${indi.line}: ${indi.xref} has no NAME.`);
+            contact.note = notes.join('\n');
+            persons.push(person);
+            personsById.set(id, person);
+            if (contact.phone || contact.email || contact.note) contacts.push(contact);
+        });
+
+        // --- Families ---
+        const families = [];
+        const lookupPerson = (node, path) => {
+            const xref = String(node.value || '').trim();
+            if (!personIds.has(xref)) {
+                warnings.push(`Line ${node.line}: ${path} points to missing individual ${xref || '(empty)'}.`);
+                return '';
+            }
+            return personIds.get(xref);
+        };
+
+        famNodes.forEach(fam => {
+            const family = {
+                family_id: familyIds.get(fam.xref),
+                husband_id: '',
+                wife_id: '',
+                marriage_date: '',
+                marriage_place_id: '',
+                children: []
+            };
+            let divorceNode = null;
+
+            fam.children.forEach(node => {
+                switch (node.tag) {
+                    case 'HUSB':
+                        family.husband_id = lookupPerson(node, 'FAM.HUSB');
+                        break;
+                    case 'WIFE':
+                        family.wife_id = lookupPerson(node, 'FAM.WIFE');
+                        break;
+                    case 'CHIL': {
+                        const childId = lookupPerson(node, 'FAM.CHIL');
+                        if (childId && !family.children.includes(childId)) family.children.push(childId);
+                        break;
+                    }
+                    case 'MARR':
+                        family.marriage_date = parseGedcomDate(childValue(node, 'DATE')).date;
+                        family.marriage_place_id = placeIdFor(childValue(node, 'PLAC'));
+                        node.children.forEach(c => { if (!['DATE', 'PLAC'].includes(c.tag)) reportUnmapped(c, 'FAM.MARR'); });
+                        break;
+                    case 'DIV':
+                        divorceNode = node;
+                        node.children.forEach(c => { if (c.tag !== 'DATE') reportUnmapped(c, 'FAM.DIV'); });
+                        break;
+                    default:
+                        reportUnmapped(node, 'FAM');
+                }
+            });
+
+            if (divorceNode && family.husband_id && family.wife_id) {
+                const divorceDate = parseGedcomDate(childValue(divorceNode, 'DATE')).date;
+                [[family.husband_id, family.wife_id], [family.wife_id, family.husband_id]].forEach(([a, b]) => {
+                    personsById.get(a).divorces.push({ spouse_id: b, divorce_date: divorceDate });
+                });
+            } else if (family.husband_id && family.wife_id) {
+                personsById.get(family.husband_id).active_spouse_id = family.wife_id;
+                personsById.get(family.wife_id).active_spouse_id = family.husband_id;
+            }
+
+            families.push(family);
+        });
+
+        return {
+            persons,
+            families,
+            places,
+            contacts,
+            photos,
+            unmapped: Array.from(unmappedMap.values()).sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag)),
+            warnings
+        };
+    }
+
+    // Expose API
+    window.Gedcom = {
+        exportGedcom: buildGedcom,
+        importGedcom: parseGedcom,
+        formatDate: formatGedcomDate,
+        parseDate: parseGedcomDate
+    };
+})();
@@ -0,0 +1,212 @@
+/**
+ * Gothra Logic (gothra.js)
+ * Cross-checks jyotisha.gothra across the raw persons/families JSON: infers a
+ * missing gothra from the paternal line, flags father/child conflicts and
+ * finds couples who share a gothra.
+ *
+ * Gothra passes from father to child. With `wifeTakesHusbandGothra` (the
+ * convention used by this dataset), the gothra recorded for a married woman
+ * is her husband's; her birth gothra is then taken from her father's line.
+ */
+
+(function() {
+    function isArchived(p) {
+        if (!p) return false;
+        if (p.archived === true) return true;
+        const t = String(p.archived || '').trim().toLowerCase();
+        return t === 'true' || t === '1' || t === 'yes' || t === 'y';
+    }
+
+    // Comparison key, so "Kaundinya" and "KAUNDINYA " match
+    function gothraKey(value) {
+        return String(value || '').trim().toLowerCase().replace(/[\s.]+/g, '');
+    }
+
+    /**
+     * Runs the gothra rules.
+     * @param {Object} data - { persons, families } as loaded from json_data/.
+     * @param {Object} [options] - { wifeTakesHusbandGothra: boolean } (default true).
+     * @returns {{people: Map, conflicts: Array, sameGothraCouples: Array, summary: Object}}
+     *   `people` maps person_id -> { recorded, birth, effective, source, fromId }, where
+     *   `source` is 'recorded', 'paternal' or 'husband' (null when nothing is known).
+     */
+    function analyze(data, options) {
+        const persons = Array.isArray(data && data.persons) ? data.persons : [];
+        const families = Array.isArray(data && data.families) ? data.families : [];
+        const wifeTakesHusbandGothra = !options || options.wifeTakesHusbandGothra !== false;
+
+        const personsById = new Map();
+        persons.forEach(p => {
+            if (p && p.person_id && !isArchived(p) && !personsById.has(p.person_id)) personsById.set(p.person_id, p);
+        });
+
+        const fatherOf = new Map();
+        const husbandsOf = new Map();
+        families.forEach(f => {
+            const husband = personsById.has(f.husband_id) ? f.husband_id : '';
+            const wife = personsById.has(f.wife_id) ? f.wife_id : '';
+            if (husband) {
+                (f.children || []).forEach(cid => {
+                    if (personsById.has(cid) && !fatherOf.has(cid)) fatherOf.set(cid, husband);
+                });
+            }
+            if (husband && wife) {
+                if (!husbandsOf.has(wife)) husbandsOf.set(wife, []);
+                husbandsOf.get(wife).push(husband);
+            }
+        });
+
+        const recordedOf = (id) => {
+            const j = personsById.get(id).jyotisha || {};
+            return String(j.gothra || '').trim();
+        };
+        const currentHusband = (id) => {
+            const list = husbandsOf.get(id) || [];
+            const active = personsById.get(id).active_spouse_id;
+            return list.includes(active) ? active : (list[list.length - 1] || '');
+        };
+        const takesHusbandGothra = (id) =>
+            wifeTakesHusbandGothra && String(personsById.get(id).sex || '').toUpperCase() === 'F' && !!currentHusband(id);
+
+        // Recorded gothra that is a birth gothra (not one taken on marriage)
+        const birthRecordedOf = (id) => (takesHusbandGothra(id) ? '' : recordedOf(id));
+
+        // Paternal lines: people joined by father -> child links
+        const lineOf = new Map();
+        const findLine = (id) => {
+            let root = id;
+            while (lineOf.has(root) && lineOf.get(root) !== root) root = lineOf.get(root);
+            lineOf.set(id, root);
+            return root;
+        };
+        personsById.forEach((p, id) => lineOf.set(id, id));
+        fatherOf.forEach((fid, cid) => {
+            const a = findLine(cid);
+            const b = findLine(fid);
+            if (a !== b) lineOf.set(a, b);
+        });
+
+        // Most common recorded birth gothra in each line
+        const lineVotes = new Map();
+        personsById.forEach((p, id) => {
+            const value = birthRecordedOf(id);
+            if (!value) return;
+            const line = findLine(id);
+            if (!lineVotes.has(line)) lineVotes.set(line, new Map());
+            const votes = lineVotes.get(line);
+            const key = gothraKey(value);
+            if (!votes.has(key)) votes.set(key, { value, count: 0, fromId: id });
+            votes.get(key).count++;
+        });
+        const lineGothra = (line) => {
+            const votes = lineVotes.get(line);
+            if (!votes) return null;
+            return Array.from(votes.values()).sort((a, b) => b.count - a.count)[0];
+        };
+
+        const birthCache = new Map();
+        const birthOf = (id) => {
+            if (birthCache.has(id)) return birthCache.get(id);
+            let result = null;
+            const own = birthRecordedOf(id);
+            if (own) {
+                result = { value: own, source: 'recorded', fromId: id };
+            } else {
+                // Nearest paternal ancestor first, then anyone else in the line
+                const seen = new Set([id]);
+                let cur = fatherOf.get(id);
+                while (cur && !seen.has(cur) && !result) {
+                    seen.add(cur);
+                    const value = birthRecordedOf(cur);
+                    if (value) result = { value, source: 'paternal', fromId: cur };
+                    cur = fatherOf.get(cur);
+                }
+                if (!result) {
+                    const best = lineGothra(findLine(id));
+                    if (best) result = { value: best.value, source: 'paternal', fromId: best.fromId };
+                }
+            }
+            birthCache.set(id, result);
+            return result;
+        };
+
+        const people = new Map();
+        personsById.forEach((p, id) => {
+            const recorded = recordedOf(id);
+            const birth = birthOf(id);
+            let effective = null;
+            let source = null;
+            let fromId = null;
+            if (recorded) {
+                effective = recorded; source = 'recorded'; fromId = id;
+            } else if (takesHusbandGothra(id)) {
+                const husband = currentHusband(id);
+                const h = birthOf(husband);
+                if (h) { effective = h.value; source = 'husband'; fromId = husband; }
+            } else if (birth) {
+                effective = birth.value; source = birth.source; fromId = birth.fromId;
+            }
+            people.set(id, { recorded: recorded || null, birth: birth ? birth.value : null, effective, source, fromId });
+        });
+
+        const label = (id) => {
+            const p = personsById.get(id);
+            const name = `${p.given_name || ''} ${p.surname || ''}`.trim();
+            return name ? `${name} (${id})` : id;
+        };
+
+        const conflicts = [];
+        fatherOf.forEach((fid, cid) => {
+            const fatherValue = birthRecordedOf(fid);
+            const childValue = birthRecordedOf(cid);
+            if (!fatherValue || !childValue || gothraKey(fatherValue) === gothraKey(childValue)) return;
+            conflicts.push({
+                fatherId: fid,
+                childId: cid,
+                fatherGothra: fatherValue,
+                childGothra: childValue,
+                message: `${label(cid)} is recorded as ${childValue}, but father ${label(fid)} is ${fatherValue}.`
+            });
+        });
+
+        const sameGothraCouples = [];
+        const seenCouples = new Set();
+        families.forEach(f => {
+            if (!personsById.has(f.husband_id) || !personsById.has(f.wife_id)) return;
+            const key = f.husband_id + '|' + f.wife_id;
+            if (seenCouples.has(key)) return;
+            seenCouples.add(key);
+            const h = birthOf(f.husband_id);
+            const w = birthOf(f.wife_id);
+            if (!h || !w || gothraKey(h.value) !== gothraKey(w.value)) return;
+            sameGothraCouples.push({
+                familyId: f.family_id || '',
+                husbandId: f.husband_id,
+                wifeId: f.wife_id,
+                gothra: h.value,
+                inferred: h.source !== 'recorded' || w.source !== 'recorded',
+                message: `${label(f.husband_id)} and ${label(f.wife_id)} are both of ${h.value} gothra.`
+            });
+        });
+
+        let recorded = 0, inferred = 0, unknown = 0;
+        people.forEach(info => {
+            if (info.source === 'recorded') recorded++;
+            else if (info.effective) inferred++;
+            else unknown++;
+        });
+
+        return {
+            people,
+            conflicts,
+            sameGothraCouples,
+            summary: { persons: personsById.size, recorded, inferred, unknown, wifeTakesHusbandGothra }
+        };
+    }
+
+    // Expose API
+    window.Gothra = {
+        analyze,
+        gothraKey
+    };
+})();
@@ -0,0 +1,304 @@
+/**
+ * Integrity Logic (integrity.js)
+ * Checks the raw persons/families/places/contacts JSON for problems that
+ * loadNewDatabase() and buildLookups() would otherwise hide: dangling IDs,
+ * children listed in more than one family, parent/child cycles, impossible
+ * birth dates and gender conflicts.
+ */
+
+(function() {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const POSTHUMOUS_GRACE_DAYS = 300; // A child may be born up to ~10 months after the father's death
+
+    const TYPE_LABELS = {
+        dangling_id: 'Dangling IDs',
+        duplicate_parentage: 'Duplicate parentage',
+        cycle: 'Parent/child cycles',
+        birth_order: 'Birth before parent',
+        birth_after_death: 'Birth after parent\'s death',
+        gender_conflict: 'Gender conflicts'
+    };
+
+    function isArchived(p) {
+        if (!p) return false;
+        if (p.archived === true) return true;
+        const t = String(p.archived || '').trim().toLowerCase();
+        return t === 'true' || t === '1' || t === 'yes' || t === 'y';
+    }
+
+    function parseDate(value) {
+        const raw = String(value || '').trim();
+        if (!raw || !window.DateUtils) return null;
+        const d = window.DateUtils.parse(raw);
+        return d && !isNaN(d.getTime()) ? d : null;
+    }
+
+    /**
+     * Runs all checks.
+     * @param {Object} data - { persons, families, places, contacts } as loaded from json_data/.
+     * @returns {{issues: Array, summary: Object, checkedAt: string}}
+     */
+    function check(data) {
+        const persons = Array.isArray(data && data.persons) ? data.persons : [];
+        const families = Array.isArray(data && data.families) ? data.families : [];
+        const places = (data && data.places) || {};
+        const contacts = Array.isArray(data && data.contacts) ? data.contacts : [];
+
+        const issues = [];
+        const add = (severity, type, message, personIds, familyId) => {
+            issues.push({ severity, type, message, personIds: personIds || [], familyId: familyId || '' });
+        };
+
+        const personsById = new Map();
+        persons.forEach(p => {
+            if (!p || !p.person_id) return;
+            if (personsById.has(p.person_id)) {
+                add('error', 'dangling_id', `Person ID ${p.person_id} is used by more than one row in persons.json.`, [p.person_id]);
+                return;
+            }
+            personsById.set(p.person_id, p);
+        });
+
+        const label = (id) => {
+            const p = personsById.get(id);
+            if (!p) return id;
+            const name = `${p.given_name || ''} ${p.surname || ''}`.trim();
+            return name ? `${name} (${id})` : id;
+        };
+
+        // Checks a person reference and reports missing or archived targets.
+        const checkRef = (id, context, familyId, ownerId) => {
+            if (!id) return false;
+            const target = personsById.get(id);
+            const owner = ownerId ? [ownerId] : [];
+            if (!target) {
+                add('error', 'dangling_id', `${context} points to missing person ${id}.`, owner, familyId);
+                return false;
+            }
+            if (isArchived(target)) {
+                add('warning', 'dangling_id', `${context} points to archived person ${label(id)}, which is not loaded.`, owner.concat(id), familyId);
+                return false;
+            }
+            return true;
+        };
+
+        // --- 1. Dangling IDs ---
+        persons.forEach(p => {
+            if (!p || !p.person_id) return;
+            if (p.birth_place_id && !places[p.birth_place_id]) {
+                add('warning', 'dangling_id', `${label(p.person_id)} has birth place ${p.birth_place_id}, which is not in places.json.`, [p.person_id]);
+            }
+            if (p.active_spouse_id) checkRef(p.active_spouse_id, `Active spouse of ${label(p.person_id)}`, '', p.person_id);
+            (Array.isArray(p.divorces) ? p.divorces : []).forEach(d => {
+                if (d && d.spouse_id) checkRef(d.spouse_id, `Divorce record of ${label(p.person_id)}`, '', p.person_id);
+            });
+        });
+
+        contacts.forEach(c => {
+            if (c && c.person_id && !personsById.has(c.person_id)) {
+                add('warning', 'dangling_id', `contacts.json has an entry for missing person ${c.person_id}.`, []);
+            }
+        });
+
+        const seenFamilyIds = new Set();
+        families.forEach(f => {
+            if (!f) return;
+            const fid = f.family_id || '(no id)';
+            if (seenFamilyIds.has(fid)) add('error', 'dangling_id', `Family ID ${fid} is used by more than one row in families.json.`, [], fid);
+            seenFamilyIds.add(fid);
+
+            checkRef(f.husband_id, `Family ${fid} husband`, fid);
+            checkRef(f.wife_id, `Family ${fid} wife`, fid);
+            (Array.isArray(f.children) ? f.children : []).forEach(cid => checkRef(cid, `Family ${fid} child`, fid));
+            if (f.marriage_place_id && !places[f.marriage_place_id]) {
+                add('warning', 'dangling_id', `Family ${fid} has marriage place ${f.marriage_place_id}, which is not in places.json.`, [], fid);
+            }
+        });
+
+        // --- 2. Duplicate parentage ---
+        const parentFamilies = new Map(); // childId -> [family]
+        families.forEach(f => {
+            if (!f) return;
+            const seen = new Set();
+            (Array.isArray(f.children) ? f.children : []).forEach(cid => {
+                if (!cid) return;
+                if (seen.has(cid)) {
+                    add('warning', 'duplicate_parentage', `${label(cid)} is listed twice as a child of family ${f.family_id}.`, [cid], f.family_id);
+                    return;
+                }
+                seen.add(cid);
+                if (!parentFamilies.has(cid)) parentFamilies.set(cid, []);
+                parentFamilies.get(cid).push(f);
+            });
+        });
+
+        parentFamilies.forEach((fams, cid) => {
+            if (fams.length < 2) return;
+            const ids = fams.map(f => f.family_id).join(', ');
+            add('error', 'duplicate_parentage', `${label(cid)} is a child in ${fams.length} families (${ids}); later families overwrite the parents set by earlier ones.`, [cid], fams[0].family_id);
+        });
+
+        // --- 3. Parent/child cycles ---
+        const parentsOf = new Map(); // childId -> Set(parentId)
+        families.forEach(f => {
+            if (!f) return;
+            const parents = [f.husband_id, f.wife_id].filter(Boolean);
+            (Array.isArray(f.children) ? f.children : []).forEach(cid => {
+                if (!cid) return;
+                if (!parentsOf.has(cid)) parentsOf.set(cid, new Set());
+                parents.forEach(pid => {
+                    if (pid === cid) {
+                        add('error', 'cycle', `${label(cid)} is listed as their own parent in family ${f.family_id}.`, [cid], f.family_id);
+                        return;
+                    }
+                    parentsOf.get(cid).add(pid);
+                });
+            });
+            if (f.husband_id && f.husband_id === f.wife_id) {
+                add('error', 'cycle', `${label(f.husband_id)} is both husband and wife of family ${f.family_id}.`, [f.husband_id], f.family_id);
+            }
+        });
+
+        // Iterative DFS so deep lineages cannot overflow the stack.
+        const state = new Map(); // 1 = on stack, 2 = done
+        const reportedCycles = new Set();
+        parentsOf.forEach((_, startId) => {
+            if (state.get(startId) === 2) return;
+            const path = [];
+            const stack = [{ id: startId, parents: Array.from(parentsOf.get(startId) || []), index: 0 }];
+            state.set(startId, 1);
+            path.push(startId);
+
+            while (stack.length) {
+                const frame = stack[stack.length - 1];
+                if (frame.index >= frame.parents.length) {
+                    state.set(frame.id, 2);
+                    stack.pop();
+                    path.pop();
+                    continue;
+                }
+                const next = frame.parents[frame.index++];
+                const nextState = state.get(next);
+                if (nextState === 1) {
+                    const cycle = path.slice(path.indexOf(next));
+                    const key = cycle.slice().sort().join('|');
+                    if (!reportedCycles.has(key)) {
+                        reportedCycles.add(key);
+                        add('error', 'cycle', `Ancestry loop: ${cycle.concat(next).map(label).join(' → ')}.`, cycle);
+                    }
+                } else if (nextState !== 2) {
+                    state.set(next, 1);
+                    path.push(next);
+                    stack.push({ id: next, parents: Array.from(parentsOf.get(next) || []), index: 0 });
+                }
+            }
+        });
+
+        // --- 4. Birth dates against parents ---
+        families.forEach(f => {
+            if (!f) return;
+            [['father', f.husband_id], ['mother', f.wife_id]].forEach(([role, parentId]) => {
+                const parent = personsById.get(parentId);
+                if (!parent) return;
+                const parentBirth = parseDate(parent.birth_date);
+                const parentDeath = parseDate(parent.death_date);
+                const parentApprox = String(parent.birth_date_type || '').toLowerCase() === 'approximate';
+
+                (Array.isArray(f.children) ? f.children : []).forEach(cid => {
+                    const child = personsById.get(cid);
+                    if (!child) return;
+                    const childBirth = parseDate(child.birth_date);
+                    if (!childBirth) return;
+                    const approx = parentApprox || String(child.birth_date_type || '').toLowerCase() === 'approximate';
+
+                    if (parentBirth) {
+                        // Approximate dates are only compared by year.
+                        const before = approx ? childBirth.getFullYear() < parentBirth.getFullYear() : childBirth <= parentBirth;
+                        if (before) {
+                            add(approx ? 'warning' : 'error', 'birth_order',
+                                `${label(cid)} (born ${child.birth_date}) is born before their ${role} ${label(parentId)} (born ${parent.birth_date}).`,
+                                [cid, parentId], f.family_id);
+                        }
+                    }
+
+                    if (parentDeath) {
+                        const graceMs = role === 'father' ? POSTHUMOUS_GRACE_DAYS * DAY_MS : 0;
+                        const after = approx ? childBirth.getFullYear() > parentDeath.getFullYear() + (role === 'father' ? 1 : 0) : childBirth.getTime() > parentDeath.getTime() + graceMs;
+                        if (after) {
+                            add(approx ? 'warning' : 'error', 'birth_after_death',
+                                `${label(cid)} (born ${child.birth_date}) is born after their ${role} ${label(parentId)} died (${parent.death_date}).`,
+                                [cid, parentId], f.family_id);
+                        }
+                    }
+                });
+            });
+        });
+
+        // --- 5. Gender conflicts ---
+        const roles = new Map(); // personId -> { husband: [familyId], wife: [familyId] }
+        families.forEach(f => {
+            if (!f) return;
+            [['husband', f.husband_id], ['wife', f.wife_id]].forEach(([role, id]) => {
+                if (!id || !personsById.has(id)) return;
+                if (!roles.has(id)) roles.set(id, { husband: [], wife: [] });
+                roles.get(id)[role].push(f.family_id);
+            });
+        });
+
+        roles.forEach((r, id) => {
+            const sex = String(personsById.get(id).sex || '').toUpperCase();
+            if (r.husband.length && r.wife.length) {
+                add('error', 'gender_conflict', `${label(id)} is a husband in ${r.husband.join(', ')} and a wife in ${r.wife.join(', ')}.`, [id]);
+            } else if (sex === 'F' && r.husband.length) {
+                add('error', 'gender_conflict', `${label(id)} has sex F but is the husband in ${r.husband.join(', ')}.`, [id], r.husband[0]);
+            } else if (sex === 'M' && r.wife.length) {
+                add('error', 'gender_conflict', `${label(id)} has sex M but is the wife in ${r.wife.join(', ')}.`, [id], r.wife[0]);
+            }
+        });
+
+        const byType = {};
+        Object.keys(TYPE_LABELS).forEach(t => { byType[t] = 0; });
+        issues.forEach(i => { byType[i.type] = (byType[i.type] || 0) + 1; });
+
+        return {
+            issues,
+            summary: {
+                persons: personsById.size,
+                families: families.length,
+                errors: issues.filter(i => i.severity === 'error').length,
+                warnings: issues.filter(i => i.severity === 'warning').length,
+                byType
+            },
+            checkedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Formats a check result as a plain-text report for download.
+     */
+    function toText(result) {
+        const lines = [];
+        lines.push('Family Data Integrity Report');
+        lines.push(`Checked: ${result.checkedAt}`);
+        lines.push(`Persons: ${result.summary.persons}, Families: ${result.summary.families}`);
+        lines.push(`Errors: ${result.summary.errors}, Warnings: ${result.summary.warnings}`);
+        lines.push('');
+
+        Object.keys(TYPE_LABELS).forEach(type => {
+            const list = result.issues.filter(i => i.type === type);
+            lines.push(`== ${TYPE_LABELS[type]} (${list.length}) ==`);
+            if (list.length === 0) lines.push('No issues.');
+            list.forEach(i => lines.push(`[${i.severity.toUpperCase()}] ${i.message}`));
+            lines.push('');
+        });
+
+        return lines.join('\n');
+    }
+
+    // Expose API
+    window.Integrity = {
+        check,
+        toText,
+        TYPE_LABELS
+    };
+})();
@@ -1,6 +1,8 @@
 /**
  * Jyotisha Logic (jyotisha.js)
- * Handles transit calculations for Guru and Shani.
+ * Handles transit (gochara) calculations for the navagrahas.
+ * Positions come from the local ephemeris (ephemeris.js); rows in transit.json and
+ * transit_moon.json, when present for a date, override the computed values.
  */
 
 (function() {
@@ -105,98 +107,186 @@
             });
     }
 
-    function getCurrentTransit(planet) {
-        if (!transitData) return null;
-        const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
+    // Planet names accepted in transit.json (Sanskrit or English) -> graha key
+    const PLANET_MAP = {
+        "surya": "surya", "ravi": "surya", "sun": "surya",
+        "chandra": "chandra", "moon": "chandra",
+        "kuja": "kuja", "mangala": "kuja", "angaraka": "kuja", "mars": "kuja",
+        "budha": "budha", "mercury": "budha",
+        "guru": "guru", "brihaspati": "guru", "jupiter": "guru",
+        "shukra": "shukra", "venus": "shukra",
+        "shani": "shani", "saturn": "shani",
+        "rahu": "rahu",
+        "ketu": "ketu"
+    };
+
+    // Graha keys mapped to ephemeris bodies (Rahu/Ketu: mean lunar nodes)
+    const EPHEMERIS_BODIES = {
+        surya: 'sun', chandra: 'moon', kuja: 'mars', budha: 'mercury', guru: 'jupiter',
+        shukra: 'venus', shani: 'saturn', rahu: 'rahu', ketu: 'ketu'
+    };
+
+    // Gochara: houses from janma rashi in which each graha's transit is favourable
+    const GOCHARA = [
+        { key: "surya", name: "Surya", good: [3, 6, 10, 11] },
+        { key: "chandra", name: "Chandra", good: [1, 3, 6, 7, 10, 11] },
+        { key: "kuja", name: "Kuja", good: [3, 6, 11] },
+        { key: "budha", name: "Budha", good: [2, 4, 6, 8, 10, 11] },
+        { key: "guru", name: "Guru", good: [2, 5, 7, 9, 11] },
+        { key: "shukra", name: "Shukra", good: [1, 2, 3, 4, 5, 8, 9, 11, 12] },
+        { key: "shani", name: "Shani", good: [3, 6, 11] },
+        { key: "rahu", name: "Rahu", good: [3, 6, 11] },
+        { key: "ketu", name: "Ketu", good: [3, 6, 11] }
+    ];
+
+    const RASHI_NAMES = [
+        "", "Mesha", "Vrishabha", "Mithuna", "Karka", "Simha", "Kanya",
+        "Tula", "Vrischika", "Dhanu", "Makara", "Kumbha", "Meena"
+    ];
+
+    function normalizePlanet(name) {
+        if (!name) return null;
+        return PLANET_MAP[String(name).trim().toLowerCase()] || null;
+    }
+
+    function toIsoDate(date) {
+        const m = String(date.getMonth() + 1).padStart(2, '0');
+        const d = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${m}-${d}`;
+    }
+
+    // A day's positions are read at local sunrise, as in a panchanga.
+    function dayInstant(date) {
+        if (window.Panchanga) return window.Panchanga.getDay(date).sunrise;
+        const d = new Date(date);
+        d.setHours(6, 0, 0, 0);
+        return d;
+    }
+
+    function computeSiderealLongitude(planet, date) {
+        const body = EPHEMERIS_BODIES[normalizePlanet(planet)];
+        if (!window.Ephemeris || !body) return null;
+        return window.Ephemeris.siderealLongitude(body, window.Ephemeris.julianDay(dayInstant(date)));
+    }
+
+    function getTransit(planet, date) {
+        const day = toIsoDate(date || new Date()); // YYYY-MM-DD
+        const key = normalizePlanet(planet);
         
-        // Find row where today is between start and end
+        // Find row where the day is between start and end
         // Data format: { planet, start, end, rashi }
         // We can just string compare ISO dates
         
-        for (const row of transitData) {
-            if (row.planet.toLowerCase() === planet.toLowerCase()) {
-                if (today >= row.start && today <= row.end) {
+        for (const row of (transitData || [])) {
+            if (normalizePlanet(row.planet) === key) {
+                if (day >= row.start && day <= row.end) {
                     return row.rashi;
                 }
             }
         }
-        return null;
+
+        const longitude = computeSiderealLongitude(planet, date || new Date());
+        return longitude == null ? null : window.Ephemeris.rashiOf(longitude);
     }
 
-    function getCurrentMoonNakshatra() {
-        if (!moonData) return null;
-        const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
-        const abbr = moonData[today];
-        return normalizeNakshatra(abbr);
+    function getMoonNakshatra(date) {
+        const day = toIsoDate(date || new Date()); // YYYY-MM-DD
+        const abbr = moonData ? moonData[day] : null;
+        if (abbr) return normalizeNakshatra(abbr);
+
+        const longitude = computeSiderealLongitude('Chandra', date || new Date());
+        return longitude == null ? null : window.Ephemeris.nakshatraOf(longitude);
     }
 
-    function calculateGuruBhala(janmaRashiNum) {
-        const currentGuru = getCurrentTransit('Guru');
-        if (!currentGuru) return `<div style="color: gray;">Transit data unavailable</div>`;
+    function getMoonRashi(date) {
+        const day = toIsoDate(date || new Date());
+        if (!(moonData && moonData[day])) {
+            const longitude = computeSiderealLongitude('Chandra', date || new Date());
+            if (longitude != null) return window.Ephemeris.rashiOf(longitude);
+        }
 
-        // Calculate position from Janma Rashi
+        // Approximate Moon Rashi from Nakshatra (12 Rashis / 27 Nakshatras)
+        // 1 Nakshatra = 13.33 degrees. 1 Rashi = 30 degrees.
+        // Rashi Index = Math.ceil(NakshatraIndex * 12 / 27)
+        const transitNakshatraIndex = getMoonNakshatra(date);
+        return transitNakshatraIndex ? Math.ceil(transitNakshatraIndex * 12 / 27) : null;
+    }
+
+    // House (1-12) of a transiting rashi counted from the janma rashi
+    function houseFrom(janmaRashiNum, transitRashiNum) {
         // If Janma is 1 (Mesha) and Guru is 2 (Vrishabha), pos is 2.
-        // If Janma is 12 (Meena) and Guru is 1 (Mesha), pos is 2. (1 - 12 + 1 + 12) % 12 || 12?
-        // Formula: (Transit - Janma + 12) % 12 + 1 ? No.
-        // (Transit - Janma + 1) -> if <= 0 add 12.
-        
-        let pos = (currentGuru - janmaRashiNum + 1);
+        // If Janma is 12 (Meena) and Guru is 1 (Mesha), pos is 2.
+        let pos = (transitRashiNum - janmaRashiNum + 1);
         if (pos <= 0) pos += 12;
-
-        const isGood = [2, 5, 7, 9, 11].includes(pos);
-        
-        let html = `<div>Guru Posited <strong>${pos}${getOrdinal(pos)}</strong> from Janma Rashi</div>`;
-        if (isGood) {
-            html += `<div style="color: #2e7d32; font-weight: bold; margin-top: 4px;">Guru Bhala Exists</div>`;
-        } else {
-            html += `<div style="color: #c62828; font-weight: bold; margin-top: 4px;">Guru Bhala Does Not Exist</div>`;
-        }
-        return html;
+        return pos;
     }
 
-    function calculateShaniBhala(janmaRashiNum) {
-        const currentShani = getCurrentTransit('Shani');
-        if (!currentShani) return `<div style="color: gray;">Transit data unavailable</div>`;
+    function guruStatus(janmaRashiNum, date) {
+        const currentGuru = getTransit('Guru', date);
+        if (!currentGuru) return null;
+        const pos = houseFrom(janmaRashiNum, currentGuru);
+        return { pos, good: [2, 5, 7, 9, 11].includes(pos) };
+    }
 
-        let pos = (currentShani - janmaRashiNum + 1);
-        if (pos <= 0) pos += 12;
+    function shaniStatus(janmaRashiNum, date) {
+        const currentShani = getTransit('Shani', date);
+        if (!currentShani) return null;
+        const pos = houseFrom(janmaRashiNum, currentShani);
 
         let result = "";
         let color = "#333"; // Default black
+        let good = false;
+        let category = "";
 
         if (pos === 12) {
             result = "Sade-Sathi (Dwaadasha)";
             color = "#c62828"; // Red
+            category = "sade-sathi";
         } else if (pos === 1) {
             result = "Sade-Sathi (Janma)";
             color = "#c62828";
+            category = "sade-sathi";
         } else if (pos === 2) {
             result = "Sade-Sathi (Dwiteeya)";
             color = "#c62828";
+            category = "sade-sathi";
         } else if (pos === 4) {
             result = "Ardhasthama-Shani (Chaturtha)";
             color = "#c62828";
+            category = "ardhashtama";
         } else if (pos === 8) {
             result = "Ashtama-Shani (Ashtama)";
             color = "#c62828";
+            category = "ashtama";
         } else if ([3, 6, 11].includes(pos)) {
             result = "Good";
             color = "#2e7d32"; // Green
+            good = true;
+            category = "good";
         } else {
             result = "Average";
             color = "#f57f17"; // Orange/Yellow
+            good = null;
+            category = "average";
         }
-
-        return `<div>Shani Posited <strong>${pos}${getOrdinal(pos)}</strong> from Janma Rashi</div>
-                <div style="color: ${color}; font-weight: bold; margin-top: 4px;">${result}</div>`;
+        return { pos, result, color, good, category };
     }
-    
-    function calculateTaraBhala(janmaNakshatraName) {
-        const janmaIndex = normalizeNakshatra(janmaNakshatraName);
-        const transitIndex = getCurrentMoonNakshatra();
-        
-        if (!janmaIndex) return "Janma Nakshatra not found";
-        if (!transitIndex) return "Transit Moon data unavailable";
+
+    const TARAS = {
+        1: { name: "Janma", result: "Tara Bhala Does Not Exist", color: "#f57f17", good: false },
+        2: { name: "Sampat", result: "Tara Bhala Exist", color: "#2e7d32", good: true },
+        3: { name: "Vipat", result: "Tara Bhala Does Not Exist", color: "#c62828", good: false },
+        4: { name: "Kshema", result: "Tara Bhala Exist", color: "#2e7d32", good: true },
+        5: { name: "Pratyak", result: "Tara Bhala Does Not Exist", color: "#c62828", good: false },
+        6: { name: "Sadhana", result: "Tara Bhala Exist", color: "#2e7d32", good: true },
+        7: { name: "Naidhana", result: "Tara Bhala Does Not Exist", color: "#c62828", good: false },
+        8: { name: "Mitra", result: "Tara Bhala Exist", color: "#2e7d32", good: true },
+        9: { name: "Parama Mitra", result: "Tara Bhala Exist", color: "#2e7d32", good: true }
+    };
+
+    function taraStatus(janmaIndex, date) {
+        const transitIndex = getMoonNakshatra(date);
+        if (!transitIndex) return null;
 
         // Formula: (Transit - Janma + 1 + 27) % 9
         // If result is 0, it corresponds to 9.
@@ -206,44 +296,98 @@
         let taraNum = diff % 9;
         if (taraNum === 0) taraNum = 9;
 
-        const taras = {
-            1: { name: "Janma", result: "Tara Bhala Does Not Exist", color: "#f57f17" },
-            2: { name: "Sampat", result: "Tara Bhala Exist", color: "#2e7d32" },
-            3: { name: "Vipat", result: "Tara Bhala Does Not Exist", color: "#c62828" },
-            4: { name: "Kshema", result: "Tara Bhala Exist", color: "#2e7d32" },
-            5: { name: "Pratyak", result: "Tara Bhala Does Not Exist", color: "#c62828" },
-            6: { name: "Sadhana", result: "Tara Bhala Exist", color: "#2e7d32" },
-            7: { name: "Naidhana", result: "Tara Bhala Does Not Exist", color: "#c62828" },
-            8: { name: "Mitra", result: "Tara Bhala Exist", color: "#2e7d32" },
-            9: { name: "Parama Mitra", result: "Tara Bhala Exist", color: "#2e7d32" }
-        };
-
-        const t = taras[taraNum];
-        const transitName = NAKSHATRA_NAMES[transitIndex] || "Unknown";
+        return Object.assign({ num: taraNum, transitIndex }, TARAS[taraNum]);
+    }
+
+    function chandraStatus(janmaRashiNum, date) {
+        const transitRashiNum = getMoonRashi(date);
+        if (!transitRashiNum) return null;
+        const pos = houseFrom(janmaRashiNum, transitRashiNum);
+        // Good: 1, 3, 6, 7, 10, 11
+        return { pos, good: [1, 3, 6, 7, 10, 11].includes(pos) };
+    }
+
+    /**
+     * Transit of every graha from the janma rashi: [{ key, name, rashi, rashiName, pos, good }].
+     * The Moon uses the same rashi as Chandra Bhala.
+     */
+    function gocharaStatus(janmaRashiNum, date) {
+        return GOCHARA.map(g => {
+            const rashi = g.key === 'chandra' ? getMoonRashi(date) : getTransit(g.key, date);
+            if (!rashi) return { key: g.key, name: g.name, rashi: null, rashiName: null, pos: null, good: null };
+            const pos = houseFrom(janmaRashiNum, rashi);
+            return { key: g.key, name: g.name, rashi, rashiName: RASHI_NAMES[rashi], pos, good: g.good.includes(pos) };
+        });
+    }
+
+    function calculateGocharaPhala(janmaRashiNum, date) {
+        const rows = gocharaStatus(janmaRashiNum, date);
+        const goodCount = rows.filter(r => r.good).length;
+
+        let html = `<table style="width:100%; border-collapse: collapse; font-size: 14px;">
+                <tr style="text-align:left; color:#666;"><th style="padding:4px;">Graha</th><th style="padding:4px;">Rashi</th><th style="padding:4px;">House</th><th style="padding:4px;">Phala</th></tr>`;
+        rows.forEach(r => {
+            let result = `<span style="color: gray;">Unavailable</span>`;
+            if (r.pos) {
+                result = r.good
+                    ? `<span style="color: #2e7d32; font-weight: bold;">Favourable</span>`
+                    : `<span style="color: #c62828; font-weight: bold;">Unfavourable</span>`;
+            }
+            html += `<tr style="border-top: 1px solid #f0f0f0;">
+                    <td style="padding:4px;">${r.name}</td>
+                    <td style="padding:4px;">${r.rashiName || '-'}</td>
+                    <td style="padding:4px;">${r.pos ? r.pos + getOrdinal(r.pos) : '-'}</td>
+                    <td style="padding:4px;">${result}</td>
+                </tr>`;
+        });
+        html += `</table>`;
+        html += `<div style="margin-top: 6px; color: #666; font-size: 13px;">${goodCount} of ${rows.length} grahas favourable (vedha not considered)</div>`;
+        return html;
+    }
+
+    function calculateGuruBhala(janmaRashiNum, date) {
+        const status = guruStatus(janmaRashiNum, date);
+        if (!status) return `<div style="color: gray;">Transit data unavailable</div>`;
+
+        let html = `<div>Guru Posited <strong>${status.pos}${getOrdinal(status.pos)}</strong> from Janma Rashi</div>`;
+        if (status.good) {
+            html += `<div style="color: #2e7d32; font-weight: bold; margin-top: 4px;">Guru Bhala Exists</div>`;
+        } else {
+            html += `<div style="color: #c62828; font-weight: bold; margin-top: 4px;">Guru Bhala Does Not Exist</div>`;
+        }
+        return html;
+    }
+
+    function calculateShaniBhala(janmaRashiNum, date) {
+        const status = shaniStatus(janmaRashiNum, date);
+        if (!status) return `<div style="color: gray;">Transit data unavailable</div>`;
+
+        return `<div>Shani Posited <strong>${status.pos}${getOrdinal(status.pos)}</strong> from Janma Rashi</div>
+                <div style="color: ${status.color}; font-weight: bold; margin-top: 4px;">${status.result}</div>`;
+    }
+    
+    function calculateTaraBhala(janmaNakshatraName, date) {
+        const janmaIndex = normalizeNakshatra(janmaNakshatraName);
+        if (!janmaIndex) return "Janma Nakshatra not found";
+
+        const t = taraStatus(janmaIndex, date);
+        if (!t) return "Transit Moon data unavailable";
+
+        const transitName = NAKSHATRA_NAMES[t.transitIndex] || "Unknown";
 
         return `<div>Transit Nakshatra: <strong>${transitName}</strong></div>
-                <div style="margin-top:4px;">Tara: <strong>${t.name}</strong> (${taraNum})</div>
+                <div style="margin-top:4px;">Tara: <strong>${t.name}</strong> (${t.num})</div>
                 <div style="color: ${t.color}; font-weight: bold; margin-top: 4px;">${t.result}</div>`;
     }
 
-    function calculateChandraBhala(janmaRashiNum) {
-        const transitNakshatraIndex = getCurrentMoonNakshatra();
-        if (!transitNakshatraIndex) return "Transit Moon data unavailable";
-
-        // Approximate Moon Rashi from Nakshatra (12 Rashis / 27 Nakshatras)
-        // 1 Nakshatra = 13.33 degrees. 1 Rashi = 30 degrees.
-        // Rashi Index = Math.ceil(NakshatraIndex * 12 / 27)
-        const transitRashiNum = Math.ceil(transitNakshatraIndex * 12 / 27);
-        
-        let pos = (transitRashiNum - janmaRashiNum + 1);
-        if (pos <= 0) pos += 12;
+    function calculateChandraBhala(janmaRashiNum, date) {
+        const status = chandraStatus(janmaRashiNum, date);
+        if (!status) return "Transit Moon data unavailable";
 
-        // Good: 1, 3, 6, 7, 10, 11
-        const isGood = [1, 3, 6, 7, 10, 11].includes(pos);
-        const color = isGood ? "#2e7d32" : "#c62828";
-        const result = isGood ? "Chandra Bhala Exists" : "Chandra Bhala Does Not Exist";
+        const color = status.good ? "#2e7d32" : "#c62828";
+        const result = status.good ? "Chandra Bhala Exists" : "Chandra Bhala Does Not Exist";
 
-        return `<div>Moon Posited <strong>${pos}${getOrdinal(pos)}</strong> from Janma Rashi</div>
+        return `<div>Moon Posited <strong>${status.pos}${getOrdinal(status.pos)}</strong> from Janma Rashi</div>
                 <div style="color: ${color}; font-weight: bold; margin-top: 4px;">${result}</div>`;
     }
 
@@ -255,20 +399,85 @@
 
     // Expose API
     window.Jyotisha = {
+        normalizeRashi,
+        normalizeNakshatra,
+        NAKSHATRA_NAMES,
+        RASHI_NAMES,
+        normalizePlanet,
         init: function(url, moonUrl, callback) {
             if (url) dataUrl = url;
             if (moonUrl) moonDataUrl = moonUrl;
             loadTransitData(callback);
         },
-        getDetails: function(rashiName, nakshatraName) {
+        // `date` is optional and defaults to today
+        getDetails: function(rashiName, nakshatraName, date) {
             const rashiNum = normalizeRashi(rashiName);
+            const day = date || new Date();
             
             return {
-                guru: rashiNum ? calculateGuruBhala(rashiNum) : "Rashi not available",
-                shani: rashiNum ? calculateShaniBhala(rashiNum) : "Rashi not available",
-                tara: nakshatraName ? calculateTaraBhala(nakshatraName) : "Nakshatra not available",
-                chandra: rashiNum ? calculateChandraBhala(rashiNum) : "Rashi not available"
+                guru: rashiNum ? calculateGuruBhala(rashiNum, day) : "Rashi not available",
+                shani: rashiNum ? calculateShaniBhala(rashiNum, day) : "Rashi not available",
+                tara: nakshatraName ? calculateTaraBhala(nakshatraName, day) : "Nakshatra not available",
+                chandra: rashiNum ? calculateChandraBhala(rashiNum, day) : "Rashi not available",
+                gochara: rashiNum ? calculateGocharaPhala(rashiNum, day) : "Rashi not available"
+            };
+        },
+        /**
+         * Nakshatra (1-27) of the Moon at sunrise on a date, or null.
+         */
+        getMoonNakshatra: function(date) {
+            return getMoonNakshatra(date || new Date());
+        },
+        /**
+         * Gochara of all nine grahas from a janma rashi on a date.
+         * Returns null if the rashi is not recognised.
+         */
+        getGochara: function(rashiName, date) {
+            const rashiNum = normalizeRashi(rashiName);
+            if (!rashiNum) return null;
+            return gocharaStatus(rashiNum, date || new Date());
+        },
+        /**
+         * Guru and Shani positions from a janma rashi on a date, for family-wide overviews.
+         * Returns null if the rashi is not recognised.
+         */
+        getTransitStatus: function(rashiName, date) {
+            const rashiNum = normalizeRashi(rashiName);
+            if (!rashiNum) return null;
+            const day = date || new Date();
+            return { rashiNum, guru: guruStatus(rashiNum, day), shani: shaniStatus(rashiNum, day) };
+        },
+        /**
+         * Summary of the four balas on one day, for calendars and strips.
+         * `level` is 'good' when Tara and Chandra bala both exist, 'bad' when
+         * neither does, otherwise 'mixed' (or 'unknown' without moon data).
+         */
+        getDayScore: function(rashiName, nakshatraName, date) {
+            const rashiNum = normalizeRashi(rashiName);
+            const janmaIndex = normalizeNakshatra(nakshatraName);
+            const day = date || new Date();
+
+            const tara = janmaIndex ? taraStatus(janmaIndex, day) : null;
+            const chandra = rashiNum ? chandraStatus(rashiNum, day) : null;
+            const daily = [tara, chandra].filter(Boolean);
+
+            let level = 'unknown';
+            if (daily.length > 0) {
+                const goodCount = daily.filter(x => x.good).length;
+                if (goodCount === daily.length) level = 'good';
+                else if (goodCount === 0) level = 'bad';
+                else level = 'mixed';
+            }
+
+            return {
+                date: day,
+                level,
+                tara,
+                chandra,
+                guru: rashiNum ? guruStatus(rashiNum, day) : null,
+                shani: rashiNum ? shaniStatus(rashiNum, day) : null,
+                transitNakshatra: tara ? NAKSHATRA_NAMES[tara.transitIndex] : null
             };
         }
     };
-})();
\ No newline at end of file
+})();
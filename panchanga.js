@@ -0,0 +1,274 @@
+/**
+ * Panchanga Logic (panchanga.js)
+ * Offline lunar calendar: tithi, paksha and amanta lunar month for any date,
+ * and the Shraddha (tithi-based death anniversary) date search.
+ * Depends on ephemeris.js.
+ */
+
+(function() {
+    const E = () => window.Ephemeris;
+
+    const SYNODIC_MONTH = 29.530588853;
+    const ELONGATION_RATE = 360 / SYNODIC_MONTH; // degrees per day
+
+    const TITHI_NAMES = [
+        "Pratipada", "Dwitiya", "Tritiya", "Chaturthi", "Panchami",
+        "Shashthi", "Saptami", "Ashtami", "Navami", "Dashami",
+        "Ekadashi", "Dwadashi", "Trayodashi", "Chaturdashi"
+    ];
+
+    // Amanta months, indexed so that 0 = Chaitra
+    const MONTH_NAMES = [
+        "Chaitra", "Vaishakha", "Jyeshtha", "Ashadha", "Shravana", "Bhadrapada",
+        "Ashwayuja", "Kartika", "Margashira", "Pushya", "Magha", "Phalguna"
+    ];
+
+    // Sunrise/sunset are computed for this place (default: Bangalore).
+    let location = { latitude: 12.9716, longitude: 77.5946 };
+
+    const dayCache = new Map();
+    const monthCache = new Map();
+
+    function setLocation(loc) {
+        if (!loc) return;
+        location = {
+            latitude: Number.isFinite(loc.latitude) ? loc.latitude : location.latitude,
+            longitude: Number.isFinite(loc.longitude) ? loc.longitude : location.longitude
+        };
+        dayCache.clear();
+    }
+
+    function elongation(jd) {
+        return E().normalize(E().moonLongitude(jd) - E().sunLongitude(jd));
+    }
+
+    function tithiAtJd(jd) {
+        return Math.floor(elongation(jd) / 12) + 1; // 1..30
+    }
+
+    function describeTithi(tithi) {
+        const paksha = tithi <= 15 ? "Shukla" : "Krishna";
+        const n = ((tithi - 1) % 15) + 1;
+        let name;
+        if (tithi === 15) name = "Purnima";
+        else if (tithi === 30) name = "Amavasya";
+        else name = TITHI_NAMES[n - 1];
+        return { tithi, paksha, pakshaTithi: n, tithiName: name };
+    }
+
+    // Iterates to the conjunction closest to the guess (Julian Day).
+    function refineNewMoon(guess) {
+        let t = guess;
+        for (let i = 0; i < 6; i++) {
+            let e = elongation(t);
+            if (e > 180) e -= 360;
+            t -= e / ELONGATION_RATE;
+        }
+        return t;
+    }
+
+    function newMoonBefore(jd) {
+        const start = refineNewMoon(jd - elongation(jd) / ELONGATION_RATE);
+        return start > jd ? refineNewMoon(start - SYNODIC_MONTH) : start;
+    }
+
+    function sunSign(jd) {
+        return Math.floor(E().toSidereal(E().sunLongitude(jd), jd) / 30); // 0 = Mesha
+    }
+
+    /**
+     * Amanta lunar month containing the given Julian Day. A month is named after
+     * the sign the Sun occupies when it begins (Meena -> Chaitra); a month in which
+     * the Sun changes no sign is Adhika and shares its name with the month after it.
+     */
+    function lunarMonthAtJd(jd) {
+        const start = newMoonBefore(jd);
+        const key = Math.round(start * 100);
+        if (monthCache.has(key)) return monthCache.get(key);
+
+        const end = refineNewMoon(start + SYNODIC_MONTH);
+        const startSign = sunSign(start);
+        const index = (startSign + 1) % 12;
+        const month = {
+            index,
+            name: MONTH_NAMES[index],
+            adhika: startSign === sunSign(end),
+            start: E().dateFromJulianDay(start),
+            end: E().dateFromJulianDay(end)
+        };
+        monthCache.set(key, month);
+        return month;
+    }
+
+    function sunTimes(y, m, d) {
+        const { latitude, longitude } = location;
+        const rad = Math.PI / 180;
+        const approxNoon = Date.UTC(y, m, d) + (720 - 4 * longitude) * 60000;
+        const { declination, equationOfTime } = E().sunEquatorial(E().julianDay(new Date(approxNoon)));
+        const noon = approxNoon - equationOfTime * 60000;
+
+        const cosH = (Math.sin(-0.833 * rad) - Math.sin(latitude * rad) * Math.sin(declination * rad)) /
+            (Math.cos(latitude * rad) * Math.cos(declination * rad));
+        const hourAngle = Math.acos(Math.max(-1, Math.min(1, cosH))) / rad;
+        return {
+            sunrise: new Date(noon - hourAngle * 4 * 60000),
+            sunset: new Date(noon + hourAngle * 4 * 60000)
+        };
+    }
+
+    /**
+     * Panchanga for a civil day. The day's tithi and month are those prevailing at sunrise.
+     * Accepts a Date (its calendar date is used) or a "YYYY-MM-DD" string.
+     */
+    function getDay(dateInput) {
+        let y, m, d;
+        if (typeof dateInput === 'string') {
+            const parts = dateInput.split('-').map(Number);
+            [y, m, d] = [parts[0], parts[1] - 1, parts[2]];
+        } else {
+            y = dateInput.getFullYear(); m = dateInput.getMonth(); d = dateInput.getDate();
+        }
+        const key = `${y}-${m}-${d}`;
+        if (dayCache.has(key)) return dayCache.get(key);
+
+        const { sunrise, sunset } = sunTimes(y, m, d);
+        const dayLength = sunset - sunrise;
+        const sunriseJd = E().julianDay(sunrise);
+        const info = Object.assign({
+            date: new Date(y, m, d),
+            sunrise,
+            sunset,
+            // Aparahna: the fourth of the five equal parts of daytime
+            aparahna: {
+                start: new Date(sunrise.getTime() + dayLength * 3 / 5),
+                end: new Date(sunrise.getTime() + dayLength * 4 / 5)
+            },
+            month: lunarMonthAtJd(sunriseJd)
+        }, describeTithi(tithiAtJd(sunriseJd)));
+
+        dayCache.set(key, info);
+        return info;
+    }
+
+    function getTithiAt(date) {
+        return describeTithi(tithiAtJd(E().julianDay(date)));
+    }
+
+    function getLunarMonthAt(date) {
+        return lunarMonthAtJd(E().julianDay(date));
+    }
+
+    function formatDay(info) {
+        const month = (info.month.adhika ? "Adhika " : "") + info.month.name;
+        if (info.tithi === 15 || info.tithi === 30) return `${month} ${info.tithiName}`;
+        return `${month} ${info.paksha} ${info.tithiName}`;
+    }
+
+    /**
+     * Share of the day's aparahna during which the given tithi prevails (0..1).
+     */
+    function aparahnaCoverage(day, tithi) {
+        const start = day.aparahna.start.getTime();
+        const span = day.aparahna.end.getTime() - start;
+        const SAMPLES = 5;
+        let hits = 0;
+        for (let i = 0; i < SAMPLES; i++) {
+            const jd = E().julianDay(new Date(start + span * i / (SAMPLES - 1)));
+            if (tithiAtJd(jd) === tithi) hits++;
+        }
+        return hits / SAMPLES;
+    }
+
+    // Picks the observance day from the days of one matching lunar month.
+    function chooseShraddhaDay(days, tithi) {
+        let best = null;
+        days.forEach(day => {
+            const coverage = aparahnaCoverage(day, tithi);
+            if (coverage > 0 && (!best || coverage > best.coverage)) best = { day, coverage };
+        });
+        if (best) return best;
+
+        // Kshaya tithi: it began and ended between two aparahnas, so it is
+        // observed on the first day whose aparahna has already moved past it.
+        const after = days.find(day => tithiAtJd(E().julianDay(day.aparahna.start)) > tithi);
+        return { day: after || days[days.length - 1], coverage: 0 };
+    }
+
+    /**
+     * Next Shraddha date for a death on `deathDate`, on or after `fromDate`.
+     * The tithi and lunar month at sunrise of the day of death are repeated each year;
+     * the observance is the day whose aparahna the tithi covers (the longer one if two).
+     * A death in an Adhika month is observed in the Adhika month when one occurs, otherwise
+     * in the regular month of the same name. Returns null if nothing falls within `maxDays`.
+     */
+    function findNextShraddha(deathDate, fromDate, maxDays) {
+        const death = getDay(deathDate);
+        const from = getDay(fromDate || new Date()).date;
+        const limit = maxDays || 400;
+
+        const matches = (month) => month.index === death.month.index && (death.month.adhika || !month.adhika);
+
+        // Start at the beginning of the current lunar month so a month already under way is judged whole.
+        let cursor = new Date(getDay(from).month.start.getTime());
+        cursor = getDay(cursor).date;
+        const last = new Date(from.getFullYear(), from.getMonth(), from.getDate() + limit);
+
+        // Lunar month of a day, taken at the middle of its aparahna
+        const monthOf = (day) => getLunarMonthAt(new Date((day.aparahna.start.getTime() + day.aparahna.end.getTime()) / 2));
+
+        let group = [];
+        let groupKey = null;
+        const flush = () => {
+            if (group.length === 0) return null;
+            const pick = chooseShraddhaDay(group, death.tithi);
+            group = [];
+            return pick.day.date >= from ? pick : null;
+        };
+
+        while (cursor <= last) {
+            const day = getDay(cursor);
+            const month = monthOf(day);
+            const key = month.start.getTime();
+            if (key !== groupKey) {
+                const pick = flush();
+                if (pick) return buildShraddhaResult(death, pick);
+                groupKey = key;
+            }
+            if (matches(month)) group.push(Object.assign({}, day, { month }));
+            cursor = new Date(cursor.getFullYear(), cursor.getMonth(), cursor.getDate() + 1);
+        }
+        // A matching month still open at the limit is read to its end so its days are judged whole
+        while (group.length > 0) {
+            const day = getDay(cursor);
+            const month = monthOf(day);
+            if (month.start.getTime() !== groupKey) break;
+            group.push(Object.assign({}, day, { month }));
+            cursor = new Date(cursor.getFullYear(), cursor.getMonth(), cursor.getDate() + 1);
+        }
+        const pick = flush();
+        if (pick && pick.day.date <= last) return buildShraddhaResult(death, pick);
+        return null;
+    }
+
+    function buildShraddhaResult(death, pick) {
+        return {
+            date: pick.day.date,
+            coverage: pick.coverage,
+            month: pick.day.month,
+            deathTithi: Object.assign({ month: death.month }, describeTithi(death.tithi)),
+            label: formatDay(Object.assign({ month: pick.day.month }, describeTithi(death.tithi)))
+        };
+    }
+
+    // Expose API
+    window.Panchanga = {
+        setLocation,
+        getDay,
+        getTithiAt,
+        getLunarMonthAt,
+        formatDay,
+        findNextShraddha,
+        TITHI_NAMES,
+        MONTH_NAMES
+    };
+})();
@@ -0,0 +1,197 @@
+/**
+ * Places Logic (places.js)
+ * Builds a gazetteer from places.json: duplicate spellings of the same place
+ * ("NELLIPATLA" / "Nellipatla", several "Bangalore" IDs) are merged into one
+ * canonical place, places are arranged in a hierarchy (village, taluk,
+ * district, state, country) and optional coordinates are kept.
+ *
+ * Every places.json entry needs only `place`. Optional fields:
+ * - type: one of PLACE_TYPES
+ * - parent_id: ID of the enclosing place (e.g. a village's taluk)
+ * - lat, lng: decimal degrees
+ * - same_as: ID of a place this entry is another spelling of
+ * Without parent_id, a comma-separated name ("Bidar, Karnataka") is read as
+ * place, enclosing place.
+ */
+
+(function() {
+    const PLACE_TYPES = ['village', 'town', 'city', 'taluk', 'district', 'state', 'country'];
+    const DERIVED_PREFIX = '~'; // IDs of places created for the enclosing part of a comma-separated name
+
+    // Comparison key: case, spacing, punctuation and doubled letters are ignored
+    function placeKey(name) {
+        return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '').replace(/(.)\1+/g, '$1');
+    }
+
+    function splitName(name) {
+        const parts = String(name || '').split(',').map(s => s.trim()).filter(Boolean);
+        return { leaf: parts[0] || '', rest: parts.slice(1).join(', ') };
+    }
+
+    function toCoordinate(value, limit) {
+        if (value === '' || value == null) return null;
+        const n = Number(value);
+        return isFinite(n) && Math.abs(n) <= limit ? n : null;
+    }
+
+    // Spelling shown for a merged place: mixed case over ALL CAPS, then the most used
+    function preferredSpelling(spellings) {
+        const counts = new Map();
+        spellings.forEach(s => counts.set(s, (counts.get(s) || 0) + 1));
+        const isAllCaps = (s) => s === s.toUpperCase() && s !== s.toLowerCase();
+        return Array.from(counts.entries()).sort((a, b) =>
+            (isAllCaps(a[0]) - isAllCaps(b[0])) || (b[1] - a[1])
+        )[0][0];
+    }
+
+    /**
+     * Builds the gazetteer.
+     * @param {Object} places - places.json map of place_id -> { place, type?, parent_id?, lat?, lng?, same_as? }.
+     * @returns {Object} Gazetteer with `places` (Map of canonical id -> { id, name, ids, type, parentId, lat, lng })
+     *   and the lookups resolve, get, name, label, path and children.
+     */
+    function build(places) {
+        const raw = places && typeof places === 'object' ? places : {};
+        const entries = new Map();
+
+        const addEntry = (id, record) => {
+            const { leaf, rest } = splitName(record.place);
+            if (!leaf) return;
+            entries.set(id, {
+                id,
+                leaf,
+                leafKey: placeKey(leaf),
+                parentId: record.parent_id && raw[record.parent_id] ? record.parent_id : '',
+                parentName: record.parent_id ? '' : rest,
+                type: PLACE_TYPES.includes(String(record.type || '').toLowerCase()) ? String(record.type).toLowerCase() : '',
+                lat: toCoordinate(record.lat, 90),
+                lng: toCoordinate(record.lng, 180),
+                sameAs: record.same_as && raw[record.same_as] ? record.same_as : ''
+            });
+        };
+
+        Object.keys(raw).forEach(id => addEntry(id, raw[id] || {}));
+
+        // Enclosing places named only inside a comma-separated name
+        const derivedId = (name) => {
+            const id = DERIVED_PREFIX + placeKey(name);
+            if (!entries.has(id)) addEntry(id, { place: name });
+            return id;
+        };
+        Array.from(entries.values()).forEach(function link(e) {
+            if (!e.parentName) return;
+            e.parentId = derivedId(e.parentName);
+            link(entries.get(e.parentId));
+        });
+
+        // Same leaf name means the same place, unless the entries sit in different enclosing places
+        const parentKeyOf = (e) => (e.parentId && entries.has(e.parentId) ? entries.get(e.parentId).leafKey : '');
+        const groupOf = new Map();
+        const byLeaf = new Map();
+        entries.forEach(e => {
+            if (!byLeaf.has(e.leafKey)) byLeaf.set(e.leafKey, []);
+            byLeaf.get(e.leafKey).push(e);
+        });
+        byLeaf.forEach((list, leafKey) => {
+            const parentKeys = new Set(list.map(parentKeyOf).filter(Boolean));
+            list.forEach(e => {
+                groupOf.set(e.id, parentKeys.size <= 1 ? leafKey : leafKey + '|' + parentKeyOf(e));
+            });
+        });
+
+        // Union the groups, then apply explicit same_as links
+        const root = new Map();
+        const find = (id) => {
+            let r = id;
+            while (root.get(r) !== r) r = root.get(r);
+            root.set(id, r);
+            return r;
+        };
+        entries.forEach(e => root.set(e.id, e.id));
+        const firstInGroup = new Map();
+        entries.forEach(e => {
+            const g = groupOf.get(e.id);
+            if (firstInGroup.has(g)) root.set(find(e.id), find(firstInGroup.get(g)));
+            else firstInGroup.set(g, e.id);
+        });
+        entries.forEach(e => {
+            if (e.sameAs) root.set(find(e.id), find(e.sameAs));
+        });
+
+        const members = new Map();
+        entries.forEach(e => {
+            const r = find(e.id);
+            if (!members.has(r)) members.set(r, []);
+            members.get(r).push(e);
+        });
+
+        // Canonical id: the lowest places.json id that is not a same_as alias; derived ids only when nothing else exists
+        const canonicalOf = new Map();
+        const result = new Map();
+        const rank = (e) => (e.id.startsWith(DERIVED_PREFIX) ? 2 : e.sameAs ? 1 : 0);
+        members.forEach(list => {
+            const sorted = list.slice().sort((a, b) => (rank(a) - rank(b)) || a.id.localeCompare(b.id));
+            const ids = sorted.map(e => e.id);
+            const id = ids[0];
+            ids.forEach(member => canonicalOf.set(member, id));
+            const withCoordinates = list.find(e => e.lat != null && e.lng != null);
+            const named = list.filter(e => !e.sameAs);
+            result.set(id, {
+                id,
+                name: preferredSpelling((named.length ? named : list).map(e => e.leaf)),
+                ids: ids.filter(member => !member.startsWith(DERIVED_PREFIX)),
+                type: (list.find(e => e.type) || {}).type || '',
+                parentId: '',
+                lat: withCoordinates ? withCoordinates.lat : null,
+                lng: withCoordinates ? withCoordinates.lng : null
+            });
+        });
+        members.forEach(list => {
+            const place = result.get(canonicalOf.get(list[0].id));
+            const withParent = list.find(e => e.parentId && canonicalOf.get(e.parentId) !== place.id);
+            if (withParent) place.parentId = canonicalOf.get(withParent.parentId);
+        });
+
+        const resolve = (id) => canonicalOf.get(id) || '';
+        const get = (id) => result.get(resolve(id)) || null;
+
+        // Innermost place first; stops on a parent loop
+        const path = (id) => {
+            const list = [];
+            const seen = new Set();
+            let place = get(id);
+            while (place && !seen.has(place.id)) {
+                seen.add(place.id);
+                list.push(place);
+                place = place.parentId ? result.get(place.parentId) : null;
+            }
+            return list;
+        };
+
+        const childrenOf = new Map();
+        result.forEach(place => {
+            const chain = path(place.id);
+            const parent = chain.length > 1 && !chain[chain.length - 1].parentId ? place.parentId : '';
+            if (!childrenOf.has(parent)) childrenOf.set(parent, []);
+            childrenOf.get(parent).push(place);
+        });
+
+        return {
+            places: result,
+            resolve,
+            get,
+            name: (id) => (get(id) || {}).name || '',
+            label: (id) => path(id).map(p => p.name).join(', '),
+            path,
+            // Top-level places for '' (or no argument)
+            children: (id) => (childrenOf.get(id ? resolve(id) : '') || []).slice()
+        };
+    }
+
+    // Expose API
+    window.Places = {
+        build,
+        placeKey,
+        PLACE_TYPES
+    };
+})();
@@ -0,0 +1,384 @@
+/**
+ * QR Code Logic (qrcode.js)
+ * Self-contained QR code encoder (ISO/IEC 18004, byte mode, versions 1-40)
+ * that renders to SVG. Works offline; used for profile links in the person
+ * modal and for printable QR name cards of a branch.
+ */
+
+(function() {
+    const EC_LEVELS = { L: 0, M: 1, Q: 2, H: 3 }; // Table row for each level
+    const FORMAT_BITS = [1, 0, 3, 2]; // Format-information value for L, M, Q, H
+
+    // Error correction codewords per block, by level then version (index 0 unused)
+    const ECC_CODEWORDS_PER_BLOCK = [
+        [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+        [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+    ];
+    // Number of error correction blocks, by level then version
+    const NUM_ERROR_CORRECTION_BLOCKS = [
+        [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+        [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+        [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+        [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+    ];
+
+    function toUtf8Bytes(text) {
+        const bytes = [];
+        const str = String(text == null ? '' : text);
+        for (let i = 0; i < str.length; i++) {
+            let c = str.codePointAt(i);
+            if (c > 0xFFFF) i++; // Surrogate pair
+            if (c < 0x80) {
+                bytes.push(c);
+            } else if (c < 0x800) {
+                bytes.push(0xC0 | (c >> 6), 0x80 | (c & 0x3F));
+            } else if (c < 0x10000) {
+                bytes.push(0xE0 | (c >> 12), 0x80 | ((c >> 6) & 0x3F), 0x80 | (c & 0x3F));
+            } else {
+                bytes.push(0xF0 | (c >> 18), 0x80 | ((c >> 12) & 0x3F), 0x80 | ((c >> 6) & 0x3F), 0x80 | (c & 0x3F));
+            }
+        }
+        return bytes;
+    }
+
+    function getBit(value, i) {
+        return ((value >>> i) & 1) !== 0;
+    }
+
+    // Modules available for data and error correction in a version
+    function getNumRawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const numAlign = Math.floor(version / 7) + 2;
+            result -= (25 * numAlign - 10) * numAlign - 55;
+            if (version >= 7) result -= 36;
+        }
+        return result;
+    }
+
+    function getNumDataCodewords(version, level) {
+        return Math.floor(getNumRawDataModules(version) / 8) -
+            ECC_CODEWORDS_PER_BLOCK[level][version] * NUM_ERROR_CORRECTION_BLOCKS[level][version];
+    }
+
+    // --- Reed-Solomon over GF(256), polynomial 0x11D ---
+
+    function gfMultiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+
+    function reedSolomonDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = gfMultiply(result[j], root);
+                if (j + 1 < result.length) result[j] ^= result[j + 1];
+            }
+            root = gfMultiply(root, 0x02);
+        }
+        return result;
+    }
+
+    function reedSolomonRemainder(data, divisor) {
+        const result = divisor.map(() => 0);
+        data.forEach(b => {
+            const factor = b ^ result.shift();
+            result.push(0);
+            divisor.forEach((coef, i) => { result[i] ^= gfMultiply(coef, factor); });
+        });
+        return result;
+    }
+
+    // Splits data into blocks, appends error correction and interleaves the result
+    function addEccAndInterleave(data, version, level) {
+        const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[level][version];
+        const blockEccLen = ECC_CODEWORDS_PER_BLOCK[level][version];
+        const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+        const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+        const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+
+        const divisor = reedSolomonDivisor(blockEccLen);
+        const blocks = [];
+        for (let i = 0, k = 0; i < numBlocks; i++) {
+            const dat = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+            k += dat.length;
+            const ecc = reedSolomonRemainder(dat, divisor);
+            if (i < numShortBlocks) dat.push(0); // Placeholder, skipped below
+            blocks.push(dat.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) result.push(block[i]);
+            });
+        }
+        return result;
+    }
+
+    // --- Matrix ---
+
+    function alignmentPositions(version, size) {
+        if (version === 1) return [];
+        const numAlign = Math.floor(version / 7) + 2;
+        const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+        const result = [6];
+        for (let pos = size - 7; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+        return result;
+    }
+
+    function createMatrix(version, level, codewords) {
+        const size = version * 4 + 17;
+        const modules = [];
+        const isFunction = [];
+        for (let i = 0; i < size; i++) {
+            modules.push(new Array(size).fill(false));
+            isFunction.push(new Array(size).fill(false));
+        }
+        const setFunction = (x, y, dark) => {
+            modules[y][x] = dark;
+            isFunction[y][x] = true;
+        };
+
+        // Timing patterns
+        for (let i = 0; i < size; i++) {
+            setFunction(6, i, i % 2 === 0);
+            setFunction(i, 6, i % 2 === 0);
+        }
+
+        // Finder patterns with separators
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    const dist = Math.max(Math.abs(dx), Math.abs(dy));
+                    if (x >= 0 && x < size && y >= 0 && y < size) setFunction(x, y, dist !== 2 && dist !== 4);
+                }
+            }
+        });
+
+        // Alignment patterns, except where they would overlap a finder
+        const positions = alignmentPositions(version, size);
+        const n = positions.length;
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < n; j++) {
+                if ((i === 0 && j === 0) || (i === 0 && j === n - 1) || (i === n - 1 && j === 0)) continue;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        setFunction(positions[i] + dx, positions[j] + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            }
+        }
+
+        const drawFormatBits = (mask) => {
+            const data = FORMAT_BITS[level] << 3 | mask;
+            let rem = data;
+            for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+            const bits = (data << 10 | rem) ^ 0x5412;
+
+            for (let i = 0; i <= 5; i++) setFunction(8, i, getBit(bits, i));
+            setFunction(8, 7, getBit(bits, 6));
+            setFunction(8, 8, getBit(bits, 7));
+            setFunction(7, 8, getBit(bits, 8));
+            for (let i = 9; i < 15; i++) setFunction(14 - i, 8, getBit(bits, i));
+
+            for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, getBit(bits, i));
+            for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, getBit(bits, i));
+            setFunction(8, size - 8, true); // Always dark
+        };
+        drawFormatBits(0); // Reserves the area; redrawn once the mask is chosen
+
+        if (version >= 7) {
+            let rem = version;
+            for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+            const bits = version << 12 | rem;
+            for (let i = 0; i < 18; i++) {
+                const a = size - 11 + i % 3;
+                const b = Math.floor(i / 3);
+                setFunction(a, b, getBit(bits, i));
+                setFunction(b, a, getBit(bits, i));
+            }
+        }
+
+        // Data in two-module columns, zigzagging up and down from the right edge
+        let bitIndex = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5; // Skip the vertical timing pattern
+            for (let vert = 0; vert < size; vert++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vert : vert;
+                    if (!isFunction[y][x] && bitIndex < codewords.length * 8) {
+                        modules[y][x] = getBit(codewords[bitIndex >>> 3], 7 - (bitIndex & 7));
+                        bitIndex++;
+                    }
+                }
+            }
+        }
+
+        const applyMask = (mask) => {
+            for (let y = 0; y < size; y++) {
+                for (let x = 0; x < size; x++) {
+                    let invert;
+                    switch (mask) {
+                        case 0: invert = (x + y) % 2 === 0; break;
+                        case 1: invert = y % 2 === 0; break;
+                        case 2: invert = x % 3 === 0; break;
+                        case 3: invert = (x + y) % 3 === 0; break;
+                        case 4: invert = (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0; break;
+                        case 5: invert = x * y % 2 + x * y % 3 === 0; break;
+                        case 6: invert = (x * y % 2 + x * y % 3) % 2 === 0; break;
+                        default: invert = ((x + y) % 2 + x * y % 3) % 2 === 0;
+                    }
+                    if (!isFunction[y][x] && invert) modules[y][x] = !modules[y][x];
+                }
+            }
+        };
+
+        // Mask with the lowest penalty; applying a mask twice undoes it
+        let bestMask = 0;
+        let minPenalty = Infinity;
+        for (let mask = 0; mask < 8; mask++) {
+            applyMask(mask);
+            drawFormatBits(mask);
+            const penalty = penaltyScore(modules);
+            if (penalty < minPenalty) {
+                bestMask = mask;
+                minPenalty = penalty;
+            }
+            applyMask(mask);
+        }
+        applyMask(bestMask);
+        drawFormatBits(bestMask);
+
+        return { modules, mask: bestMask };
+    }
+
+    // Penalty rules N1-N4 of the standard, used to pick the mask
+    function penaltyScore(modules) {
+        const size = modules.length;
+        let result = 0;
+        const finderLike = [[true, false, true, true, true, false, true, false, false, false, false],
+            [false, false, false, false, true, false, true, true, true, false, true]];
+
+        const scanLine = (get) => {
+            let runColor = get(0);
+            let runLength = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && get(i) === runColor) {
+                    runLength++;
+                    continue;
+                }
+                if (runLength >= 5) result += 3 + (runLength - 5);
+                if (i < size) {
+                    runColor = get(i);
+                    runLength = 1;
+                }
+            }
+            for (let i = 0; i + 11 <= size; i++) {
+                finderLike.forEach(pattern => {
+                    if (pattern.every((dark, k) => get(i + k) === dark)) result += 40;
+                });
+            }
+        };
+        for (let y = 0; y < size; y++) scanLine((x) => modules[y][x]);
+        for (let x = 0; x < size; x++) scanLine((y) => modules[y][x]);
+
+        let dark = 0;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) dark++;
+                if (x + 1 < size && y + 1 < size) {
+                    const c = modules[y][x];
+                    if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) result += 3;
+                }
+            }
+        }
+        const total = size * size;
+        result += Math.max(0, Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+        return result;
+    }
+
+    /**
+     * Encodes text (as UTF-8 bytes) in the smallest version that fits.
+     * @param {string} text
+     * @param {Object} [options] - { ecLevel: 'L' | 'M' | 'Q' | 'H' (default 'M') }.
+     * @returns {{version: number, size: number, mask: number, modules: boolean[][]}} modules[y][x], true = dark.
+     */
+    function generate(text, options) {
+        const levelName = String((options && options.ecLevel) || 'M').toUpperCase();
+        const level = EC_LEVELS.hasOwnProperty(levelName) ? EC_LEVELS[levelName] : EC_LEVELS.M;
+        const bytes = toUtf8Bytes(text);
+
+        let version = 1;
+        let capacityBits = 0;
+        for (; version <= 40; version++) {
+            capacityBits = getNumDataCodewords(version, level) * 8;
+            const countBits = version <= 9 ? 8 : 16;
+            if (4 + countBits + bytes.length * 8 <= capacityBits) break;
+        }
+        if (version > 40) throw new Error('Text is too long for a QR code.');
+
+        // Byte mode segment, terminator and padding
+        const bits = [];
+        const push = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+        push(0x4, 4);
+        push(bytes.length, version <= 9 ? 8 : 16);
+        bytes.forEach(b => push(b, 8));
+        push(0, Math.min(4, capacityBits - bits.length));
+        push(0, (8 - bits.length % 8) % 8);
+        for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) push(pad, 8);
+
+        const data = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            data.push(bits.slice(i, i + 8).reduce((acc, bit) => (acc << 1) | bit, 0));
+        }
+
+        const { modules, mask } = createMatrix(version, level, addEccAndInterleave(data, version, level));
+        return { version, size: modules.length, mask, modules };
+    }
+
+    /**
+     * SVG markup for a QR code.
+     * @param {string} text
+     * @param {Object} [options] - { ecLevel, moduleSize (px, default 4), margin (modules, default 4),
+     *   color (default '#000'), background (default '#fff') }.
+     */
+    function toSvg(text, options) {
+        const opts = options || {};
+        const qr = generate(text, opts);
+        const margin = opts.margin != null ? opts.margin : 4;
+        const full = qr.size + 2 * margin;
+        const pixels = full * (opts.moduleSize || 4);
+        const path = [];
+        qr.modules.forEach((row, y) => {
+            row.forEach((dark, x) => {
+                if (dark) path.push(`M${x + margin},${y + margin}h1v1h-1z`);
+            });
+        });
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${full} ${full}" width="${pixels}" height="${pixels}" shape-rendering="crispEdges">` +
+            `<rect width="${full}" height="${full}" fill="${opts.background || '#fff'}"/>` +
+            `<path d="${path.join('')}" fill="${opts.color || '#000'}"/>` +
+            `</svg>`;
+    }
+
+    // Expose API
+    window.QRCode = {
+        generate,
+        toSvg
+    };
+})();
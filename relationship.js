@@ -51,6 +51,154 @@ function getSiblings(id) {
     return Array.from(siblings);
 }
 
+/**
+ * Splits siblings into full and half (paternal/maternal) siblings.
+ * A sibling is only "half" when both of them have the other parent recorded
+ * and it differs; a missing parent is not treated as evidence of a half relation.
+ */
+function getSiblingGroups(id) {
+    const groups = { full: [], paternalHalf: [], maternalHalf: [] };
+    const person = getPerson(id);
+    if (!person) return groups;
+
+    getSiblings(id).forEach(sibId => {
+        const sib = getPerson(sibId);
+        if (!sib) return;
+        const sameFather = !!person.fid && sib.fid === person.fid;
+        const sameMother = !!person.mid && sib.mid === person.mid;
+        const fatherDiffers = !!person.fid && !!sib.fid && sib.fid !== person.fid;
+        const motherDiffers = !!person.mid && !!sib.mid && sib.mid !== person.mid;
+
+        if (sameFather && motherDiffers) groups.paternalHalf.push(sibId);
+        else if (sameMother && fatherDiffers) groups.maternalHalf.push(sibId);
+        else groups.full.push(sibId);
+    });
+    return groups;
+}
+
+/**
+ * Returns the other spouses of a person's father and mother.
+ * Only used when both parents are recorded, otherwise the "other" spouse
+ * may simply be the unrecorded parent.
+ */
+function getStepParents(id) {
+    const p = getPerson(id);
+    if (!p || !p.fid || !p.mid) return [];
+    const result = [];
+    const seen = new Set([p.fid, p.mid]);
+
+    [p.fid, p.mid].forEach(parentId => {
+        const parent = getPerson(parentId);
+        if (!parent || !parent.pids) return;
+        parent.pids.forEach(spId => {
+            if (seen.has(spId) || !getPerson(spId)) return;
+            seen.add(spId);
+            const g = getGender(spId);
+            result.push({ id: spId, role: g === 'M' ? 'Stepfather' : (g === 'F' ? 'Stepmother' : 'Step-parent') });
+        });
+    });
+    return result;
+}
+
+// True when `childId` has a recorded parent other than `parentId`, and it is not `excludeId`.
+function hasOtherRecordedParent(childId, parentId, excludeId) {
+    const child = getPerson(childId);
+    if (!child) return false;
+    const other = child.fid === parentId ? child.mid : child.fid;
+    return !!other && other !== excludeId;
+}
+
+/**
+ * Returns the children of a person's spouses that are not their own children.
+ */
+function getStepChildren(id) {
+    const p = getPerson(id);
+    if (!p || !p.pids) return [];
+    const own = new Set(getChildrenIds(id));
+    const result = [];
+
+    p.pids.forEach(spId => {
+        getChildrenIds(spId).forEach(cid => {
+            if (own.has(cid) || result.includes(cid)) return;
+            if (hasOtherRecordedParent(cid, spId, id)) result.push(cid);
+        });
+    });
+    return result;
+}
+
+/**
+ * Returns the children of a person's step-parents who share no parent with them.
+ */
+function getStepSiblings(id) {
+    const p = getPerson(id);
+    if (!p) return [];
+    const related = new Set(getSiblings(id));
+    related.add(id);
+    const result = [];
+
+    getStepParents(id).forEach(sp => {
+        getChildrenIds(sp.id).forEach(cid => {
+            if (related.has(cid) || result.includes(cid)) return;
+            const child = getPerson(cid);
+            if (!child || child.fid === p.fid || child.mid === p.mid) return;
+            if (hasOtherRecordedParent(cid, sp.id, '')) result.push(cid);
+        });
+    });
+    return result;
+}
+
+// --- Marriage Helpers ---
+
+/**
+ * Returns the marriage record ({ spouse_id, family_id, date, place_id, place })
+ * between a person and one of their spouses, or null.
+ */
+function getMarriage(personId, spouseId) {
+    const p = getPerson(personId);
+    if (!p || !Array.isArray(p.marriages)) return null;
+    return p.marriages.find(m => m.spouse_id === spouseId) || null;
+}
+
+/**
+ * Whole years of marriage, counted until today, the divorce date or the
+ * first death of the couple, whichever comes first.
+ */
+function getYearsMarried(personId, marriage) {
+    if (!marriage || !marriage.date || !window.DateUtils) return null;
+    const start = window.DateUtils.parse(marriage.date);
+    if (!start || isNaN(start.getTime())) return null;
+
+    const endCandidates = [new Date()];
+    const p = getPerson(personId);
+    const spouse = getPerson(marriage.spouse_id);
+    [p, spouse].forEach(x => {
+        const death = x && x.death_date ? window.DateUtils.parse(x.death_date) : null;
+        if (death && !isNaN(death.getTime())) endCandidates.push(death);
+    });
+    const divorce = p && Array.isArray(p.divorces) ? p.divorces.find(d => d && d.spouse_id === marriage.spouse_id) : null;
+    const divorceDate = divorce ? window.DateUtils.parse(divorce.divorce_date || divorce.date || '') : null;
+    if (divorceDate && !isNaN(divorceDate.getTime())) endCandidates.push(divorceDate);
+
+    const end = new Date(Math.min(...endCandidates.map(d => d.getTime())));
+    let years = end.getFullYear() - start.getFullYear();
+    if (end.getMonth() < start.getMonth() || (end.getMonth() === start.getMonth() && end.getDate() < start.getDate())) years--;
+    return years >= 0 ? years : null;
+}
+
+/**
+ * Plain-text marriage summary, e.g. "12-MAY-1980, Bangalore (44 years)".
+ * Returns "" when neither a date nor a place is recorded.
+ */
+function formatMarriage(personId, marriage) {
+    if (!marriage) return "";
+    const parts = [];
+    if (marriage.date) parts.push(window.DateUtils ? window.DateUtils.formatDisplay(marriage.date) : marriage.date);
+    if (marriage.place) parts.push(marriage.place);
+    if (parts.length === 0) return "";
+    const years = getYearsMarried(personId, marriage);
+    return parts.join(", ") + (years != null ? ` (${years} ${years === 1 ? 'year' : 'years'})` : "");
+}
+
 function getParents(id) {
     const p = getPerson(id);
     if (!p) return [];
@@ -104,7 +252,7 @@ function getRelationshipCode(homeId, targetId) {
 
         if (curr.id === targetId) {
             return { 
-                code: normalizeCode(curr.code), 
+                code: refineStepHalfCode(normalizeCode(curr.code), homeId, targetId), 
                 path: curr.path 
             };
         }
@@ -187,6 +335,25 @@ function normalizeCode(raw) {
     return code;
 }
 
+/**
+ * Replaces the BFS code with a half/step code when the target is a direct
+ * half-sibling, step-parent, step-child or step-sibling of the home person.
+ * The BFS path alone cannot tell these apart: a half-brother is reached as "B",
+ * and a step-sibling may be reached as "FWS" or through a half-sibling as "BZ".
+ */
+function refineStepHalfCode(code, homeId, targetId) {
+    const g = getGender(targetId);
+    if (g !== 'M' && g !== 'F') return code;
+
+    const groups = getSiblingGroups(homeId);
+    if (groups.paternalHalf.includes(targetId)) return g === 'M' ? 'HALF_B_F' : 'HALF_Z_F';
+    if (groups.maternalHalf.includes(targetId)) return g === 'M' ? 'HALF_B_M' : 'HALF_Z_M';
+    if (getStepParents(homeId).some(sp => sp.id === targetId)) return g === 'M' ? 'STEP_F' : 'STEP_M';
+    if (getStepChildren(homeId).includes(targetId)) return g === 'M' ? 'STEP_S' : 'STEP_D';
+    if (getStepSiblings(homeId).includes(targetId)) return g === 'M' ? 'STEP_B' : 'STEP_Z';
+    return code;
+}
+
 /**
  * Helper to expand abbreviation codes into readable strings.
  * e.g., SSWB -> Son's-Son's-Wife's-Brother
@@ -195,6 +362,15 @@ function expandCode(code) {
     if (!code) return "";
     if (code === 'SELF') return "Self";
 
+    const stepHalfNames = {
+        'HALF_B_F': "Half-brother (same father)", 'HALF_Z_F': "Half-sister (same father)",
+        'HALF_B_M': "Half-brother (same mother)", 'HALF_Z_M': "Half-sister (same mother)",
+        'STEP_F': "Stepfather", 'STEP_M': "Stepmother",
+        'STEP_B': "Stepbrother", 'STEP_Z': "Stepsister",
+        'STEP_S': "Stepson", 'STEP_D': "Stepdaughter"
+    };
+    if (stepHalfNames[code]) return stepHalfNames[code];
+
     const map = {
         'F': "Father", 'M': "Mother",
         'S': "Son", 'D': "Daughter",
@@ -361,227 +537,164 @@ function findRelationship(id1, id2) {
 // REPORT GENERATION LOGIC
 // =================================================================================
 
-function generateRelationshipReport(customHomeId) {
+/**
+ * Report model (see reports.js) for the close-family report around a person.
+ * Returns null when the person is not loaded.
+ */
+function buildRelationshipReportModel(customHomeId) {
     const id = customHomeId || getHomeId();
     const p = getPerson(id);
-    if (!p) return "<p style='text-align:center; padding:20px; color:red;'>Home person not found or data not loaded yet.</p>";
+    if (!p) return null;
 
-    let html = `<div style="padding: 20px; max-width: 800px; margin: 0 auto; font-family: 'Segoe UI', sans-serif;">`;
-    
-    html += `<div style="text-align: center; margin-bottom: 10px;"><img src="logo.png" style="width: 80px; height: auto; border: none;"></div>`;
-    html += `<h2 style="color: #4A90E2; border-bottom: 2px solid #eee; padding-bottom: 10px; text-align: center;">Relationship Report</h2>`;
-    html += `<p style="color: #666; text-align: center;">Centered on: <strong>${escapeHtml(p.name)}</strong> (${p.id})</p>`;
-
-    // 1. SELF
-    html += renderSection("SELF", [{ id: p.id, name: p.name }], id);
-
-    // 2. PARENTS
-    const parents = getParents(id).map(x => ({ ...x, name: safeName(x.id) }));
-    html += renderSection("PARENTS", parents, id);
-
-    // 3. GRANDPARENTS
-    const gps = getGrandParents(id).map(x => ({ ...x, name: safeName(x.id) }));
-    html += renderSection("GRANDPARENTS", gps, id);
-
-    // 4. SIBLINGS
-    const siblings = getSiblings(id).map(sid => ({ id: sid, name: safeName(sid) }));
-    html += renderSection("SIBLINGS", siblings, id);
-
-    // 5. SIBLINGS CHILDREN
-    if (siblings.length > 0) {
-        let sibChildrenList = [];
-        siblings.forEach(sib => {
-            const kids = getChildrenIds(sib.id);
-            if (kids.length > 0) {
-                sibChildrenList.push({ 
-                    header: `Children of ${escapeHtml(sib.name)}`, 
-                    items: kids.map(k => ({ id: k, name: safeName(k) })) 
-                });
-            }
-        });
-        html += renderComplexSection("SIBLINGS' CHILDREN", sibChildrenList, id);
-    }
-
-    // 6. CHILDREN
-    const children = getChildrenIds(id).map(cid => ({ id: cid, name: safeName(cid) }));
-    html += renderSection("CHILDREN", children, id);
-
-    // 7. GRANDCHILDREN
-    if (children.length > 0) {
-        let grandChildrenList = [];
-        children.forEach(child => {
-            const kids = getChildrenIds(child.id);
-            if (kids.length > 0) {
-                grandChildrenList.push({ 
-                    header: `Children of ${escapeHtml(child.name)}`, 
-                    items: kids.map(k => ({ id: k, name: safeName(k) })) 
-                });
-            }
-        });
-        html += renderComplexSection("GRANDCHILDREN", grandChildrenList, id);
-    }
+    const sections = [];
+    const toItems = (ids) => ids.map(pid => ({ id: pid, name: safeName(pid), relation: findRelationship(id, pid) }));
+    const addSection = (title, ids, level, extra) => {
+        if (ids.length > 0) sections.push({ title, level: level || 1, items: toItems(ids), ...extra });
+    };
+    // "Children of X" sub-groups for each person in `ids` who has children
+    const addChildGroups = (title, ids, level) => {
+        const withKids = ids.filter(pid => getChildrenIds(pid).length > 0);
+        if (withKids.length === 0) return;
+        sections.push({ title, level, items: [] });
+        withKids.forEach(pid => addSection(`Children of ${safeName(pid)}`, getChildrenIds(pid), level + 1));
+    };
 
-    // 8. SPOUSE SIDE
-    if (p.pids && p.pids.length > 0) {
-        let spouseSideHtml = `<h3 style="background: #f0f7ff; padding: 10px; border-left: 4px solid #E91E63; margin-top: 30px; color: #333;">SPOUSE SIDE</h3>`;
-        
-        p.pids.forEach(pid => {
-            const spouse = getPerson(pid);
-            if (!spouse) return;
-            
-            const spouseRel = findRelationship(id, pid);
-            spouseSideHtml += `<div style="margin-left: 15px; margin-bottom: 25px; border-bottom: 1px dashed #ccc; padding-bottom: 15px;">`;
-            spouseSideHtml += `<h4 style="color: #E91E63; margin-bottom: 10px;">Spouse: ${escapeHtml(spouse.name)} — ${spouseRel}</h4>`;
-
-            // Spouse Parents
-            const sParents = getParents(pid).map(x => ({ ...x, name: safeName(x.id) }));
-            spouseSideHtml += renderSubList("Parents", sParents, id);
-
-            // Spouse Grandparents
-            const sGps = getGrandParents(pid).map(x => ({ ...x, name: safeName(x.id) }));
-            spouseSideHtml += renderSubList("Grandparents", sGps, id);
-
-            // Spouse Siblings
-            const sSibs = getSiblings(pid).map(sid => ({ id: sid, name: safeName(sid) }));
-            spouseSideHtml += renderSubList("Siblings", sSibs, id);
-
-            // Spouse Siblings Children
-            if (sSibs.length > 0) {
-                let sSibKidsHtml = "";
-                sSibs.forEach(sib => {
-                    const kids = getChildrenIds(sib.id);
-                    if (kids.length > 0) {
-                        sSibKidsHtml += `<div style="margin-left: 20px; font-size: 14px; color: #555;"><em>Children of ${escapeHtml(sib.name)}:</em></div>`;
-                        sSibKidsHtml += `<ul style="margin-top: 5px; margin-bottom: 10px;">`;
-                        kids.forEach(k => {
-                            let relation = findRelationship(id, k);
-                            sSibKidsHtml += `<li style="margin-bottom: 4px;">
-                                <strong>${escapeHtml(safeName(k))}</strong> 
-                                <span style="color:#E91E63; font-size:13px;"> — ${relation}</span>
-                            </li>`;
-                        });
-                        sSibKidsHtml += `</ul>`;
-                    }
-                });
-                if (sSibKidsHtml) {
-                    spouseSideHtml += `<div style="font-weight: bold; margin-top: 10px; color: #444;">Siblings' Children:</div>`;
-                    spouseSideHtml += sSibKidsHtml;
-                }
-            }
-            
-            spouseSideHtml += `</div>`;
+    // 1. SELF, PARENTS, GRANDPARENTS
+    addSection("SELF", [id]);
+    addSection("PARENTS", getParents(id).map(x => x.id));
+    addSection("STEP-PARENTS", getStepParents(id).map(x => x.id));
+    addSection("GRANDPARENTS", getGrandParents(id).map(x => x.id));
+
+    // 2. SIBLINGS (full, half and step siblings are listed separately) and their children
+    const siblingGroups = getSiblingGroups(id);
+    addSection("SIBLINGS", siblingGroups.full);
+    addSection("HALF-SIBLINGS (SAME FATHER)", siblingGroups.paternalHalf);
+    addSection("HALF-SIBLINGS (SAME MOTHER)", siblingGroups.maternalHalf);
+    addSection("STEP-SIBLINGS", getStepSiblings(id));
+    addChildGroups("SIBLINGS' CHILDREN", getSiblings(id), 1);
+
+    // 3. CHILDREN and GRANDCHILDREN
+    const children = getChildrenIds(id);
+    addSection("CHILDREN", children);
+    addSection("STEP-CHILDREN", getStepChildren(id));
+    addChildGroups("GRANDCHILDREN", children, 1);
+
+    // 4. SPOUSE SIDE
+    const spouses = (p.pids || []).filter(pid => getPerson(pid));
+    if (spouses.length > 0) {
+        sections.push({ title: "SPOUSE SIDE", level: 1, accent: true, items: [] });
+        spouses.forEach(pid => {
+            const marriageText = formatMarriage(id, getMarriage(id, pid));
+            sections.push({
+                title: `Spouse: ${safeName(pid)} — ${findRelationship(id, pid)}`,
+                level: 2,
+                accent: true,
+                note: marriageText ? `Married: ${marriageText}` : "",
+                items: []
+            });
+            const sSibGroups = getSiblingGroups(pid);
+            addSection("Parents", getParents(pid).map(x => x.id), 3);
+            addSection("Grandparents", getGrandParents(pid).map(x => x.id), 3);
+            addSection("Siblings", sSibGroups.full, 3);
+            addSection("Half-siblings", sSibGroups.paternalHalf.concat(sSibGroups.maternalHalf), 3);
+            addChildGroups("Siblings' Children", getSiblings(pid), 3);
         });
-        html += spouseSideHtml;
     }
 
-    html += `</div>`;
-    return html;
+    return {
+        kind: 'close-family',
+        title: "Relationship Report",
+        subjectLabel: "Centered on",
+        subject: { id: p.id, name: p.name },
+        sections
+    };
 }
 
-function renderSection(title, items, homeId) {
-    if (!items || items.length === 0) return "";
-    const hId = homeId || getHomeId();
-    let h = `<h3 style="background: #f9f9f9; padding: 8px; border-left: 4px solid #4A90E2; margin-top: 20px; font-size: 16px; color: #333;">${title}</h3>`;
-    h += `<ul style="list-style-type: disc; padding-left: 25px; margin-top: 5px;">`;
-    items.forEach(item => {
-        let relation = findRelationship(hId, item.id);
-        h += `<li style="margin-bottom: 4px;">
-        <strong>${escapeHtml(item.name)}</strong> 
-        <span style="color:#E91E63; font-size:13px;"> — ${relation}</span>
-        </li>`;
-    });
-    h += `</ul>`;
-    return h;
+function generateRelationshipReport(customHomeId) {
+    const model = buildRelationshipReportModel(customHomeId);
+    if (!model) return "<p style='text-align:center; padding:20px; color:red;'>Home person not found or data not loaded yet.</p>";
+    return window.ReportRenderers.html(model);
 }
 
-function generateAncestorsReport(id) {
-    const p = getPerson(id);
-    if (!p) return "<p style='text-align:center; padding:20px; color:red;'>Person not found.</p>";
+// Role by generation, e.g. "Father", "Grandmother", "Great-Great-Grandson"
+function getGenerationRole(genIndex, gender, direction) {
+    let base;
+    if (direction === 'up') base = gender === 'M' ? "father" : "mother";
+    else base = gender === 'M' ? "son" : (gender === 'F' ? "daughter" : "child");
+    if (genIndex === 1) return base.charAt(0).toUpperCase() + base.slice(1);
+    return "Great-".repeat(Math.max(0, genIndex - 2)) + "Grand" + base;
+}
 
-    let html = `<div style="padding: 20px; max-width: 800px; margin: 0 auto; font-family: 'Segoe UI', sans-serif;">`;
-    
-    html += `<div style="text-align: center; margin-bottom: 10px;"><img src="logo.png" style="width: 80px; height: auto; border: none;"></div>`;
-    html += `<h2 style="color: #4A90E2; border-bottom: 2px solid #eee; padding-bottom: 10px; text-align: center;">Ancestors Report</h2>`;
-    html += `<p style="color: #666; text-align: center;">Ancestors of: <strong>${escapeHtml(p.name)}</strong> (${p.id})</p>`;
+// Role plus the kinship term from the relationship dictionary, e.g. "Grandfather (Tata)"
+function getGenerationDisplayRole(rootId, personId, genIndex, direction) {
+    let displayRole = getGenerationRole(genIndex, getGender(personId), direction);
+    const relObj = getRelationshipCode(rootId, personId);
+    if (relObj) {
+        const dict = window.relationshipDictionary || {};
+        const extra = dict[relObj.code] ? resolveRelationName(relObj, getPerson(rootId), getPerson(personId)) : relObj.code;
+        if (extra) displayRole += ` (${extra})`;
+    }
+    return displayRole;
+}
 
-    let currentGenIds = [];
-    if (p.fid) currentGenIds.push(p.fid);
-    if (p.mid) currentGenIds.push(p.mid);
+/**
+ * Report model (see reports.js) listing a person's ancestors, one section per generation.
+ */
+function buildAncestorsReportModel(id) {
+    const p = getPerson(id);
+    if (!p) return null;
 
+    const sections = [];
+    let currentGenIds = [p.fid, p.mid].filter(Boolean);
     let genIndex = 1;
 
     while (currentGenIds.length > 0) {
         let genTitle = "";
         if (genIndex === 1) genTitle = "Parents";
         else if (genIndex === 2) genTitle = "Grandparents";
-        else if (genIndex === 3) genTitle = "Great-Grandparents";
         else genTitle = `${"Great-".repeat(genIndex - 2)}Grandparents`;
 
-        html += `<h3 style="background: #f9f9f9; padding: 8px; border-left: 4px solid #4A90E2; margin-top: 20px; font-size: 16px; color: #333;">${genTitle}</h3>`;
-        html += `<ul style="list-style-type: disc; padding-left: 25px; margin-top: 5px;">`;
-
-        let nextGenIds = [];
-        
+        const items = [];
+        const nextGenIds = [];
         currentGenIds.forEach(ancId => {
             const anc = getPerson(ancId);
-            if (anc) {
-                const g = getGender(ancId);
-                let role = "";
-                if (genIndex === 1) role = (g === 'M' ? "Father" : "Mother");
-                else if (genIndex === 2) role = (g === 'M' ? "Grandfather" : "Grandmother");
-                else {
-                    const greats = "Great-".repeat(genIndex - 2);
-                    role = greats + (g === 'M' ? "Grandfather" : "Grandmother");
-                }
-
-                let displayRole = role;
-                const relObj = getRelationshipCode(id, ancId);
-                if (relObj) {
-                    const dict = window.relationshipDictionary || {};
-                    let extra = "";
-                    if (dict[relObj.code]) {
-                        extra = resolveRelationName(relObj, getPerson(id), anc);
-                    } else {
-                        extra = relObj.code;
-                    }
-                    if (extra) displayRole += ` (${extra})`;
-                }
-
-                html += `<li style="margin-bottom: 4px;">
-                    <strong>${escapeHtml(anc.name)}</strong> 
-                    <span style="color:#E91E63; font-size:13px;"> — ${displayRole}</span>
-                </li>`;
-
-                if (anc.fid) nextGenIds.push(anc.fid);
-                if (anc.mid) nextGenIds.push(anc.mid);
-            }
+            if (!anc) return;
+            items.push({ id: ancId, name: anc.name, relation: getGenerationDisplayRole(id, ancId, genIndex, 'up') });
+            if (anc.fid) nextGenIds.push(anc.fid);
+            if (anc.mid) nextGenIds.push(anc.mid);
         });
 
-        html += `</ul>`;
+        sections.push({ title: genTitle, level: 1, items });
         currentGenIds = nextGenIds;
         genIndex++;
-        
+
         if (genIndex > 20) break; // Safety break
     }
 
-    if (genIndex === 1) {
-        html += `<p style="text-align:center; margin-top:20px; color:#666;">No ancestors recorded for this person.</p>`;
-    }
+    return {
+        kind: 'ancestors',
+        title: "Ancestors Report",
+        subjectLabel: "Ancestors of",
+        subject: { id: p.id, name: p.name },
+        sections,
+        emptyMessage: "No ancestors recorded for this person."
+    };
+}
 
-    html += `</div>`;
-    return html;
+function generateAncestorsReport(id) {
+    const model = buildAncestorsReportModel(id);
+    if (!model) return "<p style='text-align:center; padding:20px; color:red;'>Person not found.</p>";
+    return window.ReportRenderers.html(model);
 }
 
-function generateDescendantsReport(id) {
+/**
+ * Report model (see reports.js) listing a person's descendants, one section per generation.
+ */
+function buildDescendantsReportModel(id) {
     const p = getPerson(id);
-    if (!p) return "<p style='text-align:center; padding:20px; color:red;'>Person not found.</p>";
-
-    let html = `<div style="padding: 20px; max-width: 800px; margin: 0 auto; font-family: 'Segoe UI', sans-serif;">`;
-    
-    html += `<div style="text-align: center; margin-bottom: 10px;"><img src="logo.png" style="width: 80px; height: auto; border: none;"></div>`;
-    html += `<h2 style="color: #4A90E2; border-bottom: 2px solid #eee; padding-bottom: 10px; text-align: center;">Descendants Report</h2>`;
-    html += `<p style="color: #666; text-align: center;">Descendants of: <strong>${escapeHtml(p.name)}</strong> (${p.id})</p>`;
+    if (!p) return null;
 
+    const sections = [];
     let currentGenIds = getChildrenIds(id);
     let genIndex = 1;
 
@@ -589,133 +702,38 @@ function generateDescendantsReport(id) {
         let genTitle = "";
         if (genIndex === 1) genTitle = "Children";
         else if (genIndex === 2) genTitle = "Grandchildren";
-        else if (genIndex === 3) genTitle = "Great-Grandchildren";
         else genTitle = `${"Great-".repeat(genIndex - 2)}Grandchildren`;
 
-        html += `<h3 style="background: #f9f9f9; padding: 8px; border-left: 4px solid #4A90E2; margin-top: 20px; font-size: 16px; color: #333;">${genTitle}</h3>`;
-        html += `<ul style="list-style-type: disc; padding-left: 25px; margin-top: 5px;">`;
-
-        let nextGenIds = [];
-        
+        const items = [];
+        const nextGenIds = [];
         currentGenIds.forEach(descId => {
             const desc = getPerson(descId);
-            if (desc) {
-                const g = getGender(descId);
-                let role = "";
-                if (genIndex === 1) role = (g === 'M' ? "Son" : (g === 'F' ? "Daughter" : "Child"));
-                else if (genIndex === 2) role = (g === 'M' ? "Grandson" : (g === 'F' ? "Granddaughter" : "Grandchild"));
-                else {
-                    const greats = "Great-".repeat(genIndex - 2);
-                    role = greats + (g === 'M' ? "Grandson" : (g === 'F' ? "Granddaughter" : "Grandchild"));
-                }
-
-                let displayRole = role;
-                const relObj = getRelationshipCode(id, descId);
-                if (relObj) {
-                    const dict = window.relationshipDictionary || {};
-                    let extra = "";
-                    if (dict[relObj.code]) {
-                        extra = resolveRelationName(relObj, getPerson(id), desc);
-                    } else {
-                        extra = relObj.code;
-                    }
-                    if (extra) displayRole += ` (${extra})`;
-                }
-
-                html += `<li style="margin-bottom: 4px;">
-                    <strong>${escapeHtml(desc.name)}</strong> 
-                    <span style="color:#E91E63; font-size:13px;"> — ${displayRole}</span>
-                </li>`;
-
-                const kids = getChildrenIds(descId);
-                if (kids) nextGenIds.push(...kids);
-            }
+            if (!desc) return;
+            items.push({ id: descId, name: desc.name, relation: getGenerationDisplayRole(id, descId, genIndex, 'down') });
+            nextGenIds.push(...getChildrenIds(descId));
         });
 
-        html += `</ul>`;
+        sections.push({ title: genTitle, level: 1, items });
         currentGenIds = nextGenIds;
         genIndex++;
-        
-        if (genIndex > 20) break; // Safety break
-    }
-
-    if (genIndex === 1) {
-        html += `<p style="text-align:center; margin-top:20px; color:#666;">No descendants recorded for this person.</p>`;
-    }
-
-    html += `</div>`;
-    return html;
-}
-
-function generateFullDescendantsReport(id) {
-    const p = getPerson(id);
-    if (!p) return "<p style='text-align:center; padding:20px; color:red;'>Person not found.</p>";
 
-    let html = `<div style="padding: 20px; max-width: 800px; margin: 0 auto; font-family: 'Segoe UI', sans-serif;">`;
-    
-    html += `<div style="text-align: center; margin-bottom: 10px;"><img src="logo.png" style="width: 80px; height: auto; border: none;"></div>`;
-    html += `<h2 style="color: #4A90E2; border-bottom: 2px solid #eee; padding-bottom: 10px; text-align: center;">Full Descendants Report</h2>`;
-    html += `<p style="color: #666; text-align: center;">All descendants (including spouses) of: <strong>${escapeHtml(p.name)}</strong> (${p.id})</p>`;
-
-    let currentGenIds = getChildrenIds(id);
-    let genIndex = 1;
-
-    while (currentGenIds.length > 0) {
-        let genTitle = "";
-        if (genIndex === 1) genTitle = "Generation 1 (Children)";
-        else if (genIndex === 2) genTitle = "Generation 2 (Grandchildren)";
-        else genTitle = `Generation ${genIndex}`;
-
-        html += `<h3 style="background: #f9f9f9; padding: 8px; border-left: 4px solid #4A90E2; margin-top: 20px; font-size: 16px; color: #333;">${genTitle}</h3>`;
-        html += `<ul style="list-style-type: none; padding-left: 10px; margin-top: 5px;">`;
-
-        let nextGenIds = [];
-        
-        currentGenIds.forEach(descId => {
-            const desc = getPerson(descId);
-            if (desc) {
-                // Calculate relationship to root
-                let displayRole = findRelationship(id, descId);
-
-                html += `<li style="margin-bottom: 15px; padding-bottom: 10px; border-bottom: 1px dashed #eee;">
-                    <div style="font-size: 15px;">
-                        <strong>${escapeHtml(desc.name)}</strong> 
-                        <span style="color:#E91E63; font-size:13px;"> — ${displayRole}</span>
-                    </div>`;
-                
-                // Add Spouses
-                if (desc.pids && desc.pids.length > 0) {
-                    html += `<div style="margin-left: 20px; margin-top: 4px; font-size: 14px; color: #555;">`;
-                    desc.pids.forEach(pid => {
-                        const spouse = getPerson(pid);
-                        if (spouse) {
-                            let spRel = findRelationship(id, pid);
-                            html += `<div style="margin-bottom: 2px;">+ Spouse: <strong>${escapeHtml(spouse.name)}</strong> <span style="font-size:12px; color:#888;">(${spRel})</span></div>`;
-                        }
-                    });
-                    html += `</div>`;
-                }
-
-                html += `</li>`;
-
-                const kids = getChildrenIds(descId);
-                if (kids) nextGenIds.push(...kids);
-            }
-        });
-
-        html += `</ul>`;
-        currentGenIds = nextGenIds;
-        genIndex++;
-        
         if (genIndex > 20) break; // Safety break
     }
 
-    if (genIndex === 1) {
-        html += `<p style="text-align:center; margin-top:20px; color:#666;">No descendants recorded for this person.</p>`;
-    }
+    return {
+        kind: 'descendants',
+        title: "Descendants Report",
+        subjectLabel: "Descendants of",
+        subject: { id: p.id, name: p.name },
+        sections,
+        emptyMessage: "No descendants recorded for this person."
+    };
+}
 
-    html += `</div>`;
-    return html;
+function generateDescendantsReport(id) {
+    const model = buildDescendantsReportModel(id);
+    if (!model) return "<p style='text-align:center; padding:20px; color:red;'>Person not found.</p>";
+    return window.ReportRenderers.html(model);
 }
 
 function generateFullDescendantsDiagram(id) {
@@ -853,16 +871,15 @@ function generateFullDescendantsDiagram(id) {
     return html;
 }
 
-function generateFullDescendantsReport(id) {
+/**
+ * Report model (see reports.js) of all descendants, one section per generation,
+ * with each descendant's spouses and marriages.
+ */
+function buildFullDescendantsReportModel(id) {
     const p = getPerson(id);
-    if (!p) return "<p style='text-align:center; padding:20px; color:red;'>Person not found.</p>";
-
-    let html = `<div style="padding: 20px; max-width: 800px; margin: 0 auto; font-family: 'Segoe UI', sans-serif;">`;
-    
-    html += `<div style="text-align: center; margin-bottom: 10px;"><img src="logo.png" style="width: 80px; height: auto; border: none;"></div>`;
-    html += `<h2 style="color: #4A90E2; border-bottom: 2px solid #eee; padding-bottom: 10px; text-align: center;">Full Descendants Report</h2>`;
-    html += `<p style="color: #666; text-align: center;">All descendants (including spouses) of: <strong>${escapeHtml(p.name)}</strong> (${p.id})</p>`;
+    if (!p) return null;
 
+    const sections = [];
     let currentGenIds = getChildrenIds(id);
     let genIndex = 1;
 
@@ -872,56 +889,271 @@ function generateFullDescendantsReport(id) {
         else if (genIndex === 2) genTitle = "Generation 2 (Grandchildren)";
         else genTitle = `Generation ${genIndex}`;
 
-        html += `<h3 style="background: #f9f9f9; padding: 8px; border-left: 4px solid #4A90E2; margin-top: 20px; font-size: 16px; color: #333;">${genTitle}</h3>`;
-        html += `<ul style="list-style-type: none; padding-left: 10px; margin-top: 5px;">`;
-
-        let nextGenIds = [];
-        
+        const items = [];
+        const nextGenIds = [];
         currentGenIds.forEach(descId => {
             const desc = getPerson(descId);
-            if (desc) {
-                let displayRole = findRelationship(id, descId);
-
-                html += `<li style="margin-bottom: 15px; padding-bottom: 10px; border-bottom: 1px dashed #eee;">
-                    <div style="font-size: 15px;">
-                        <strong>${escapeHtml(desc.name)}</strong> 
-                        <span style="color:#E91E63; font-size:13px;"> — ${displayRole}</span>
-                    </div>`;
-                
-                if (desc.pids && desc.pids.length > 0) {
-                    html += `<div style="margin-left: 20px; margin-top: 4px; font-size: 14px; color: #555;">`;
-                    desc.pids.forEach(pid => {
-                        const spouse = getPerson(pid);
-                        if (spouse) {
-                            let spRel = findRelationship(id, pid);
-                            html += `<div style="margin-bottom: 2px;">+ Spouse: <strong>${escapeHtml(spouse.name)}</strong> <span style="font-size:12px; color:#888;">(${spRel})</span></div>`;
-                        }
-                    });
-                    html += `</div>`;
-                }
-
-                html += `</li>`;
-
-                const kids = getChildrenIds(descId);
-                if (kids) nextGenIds.push(...kids);
-            }
+            if (!desc) return;
+            const links = (desc.pids || []).filter(pid => getPerson(pid)).map(pid => {
+                const marriageText = formatMarriage(descId, getMarriage(descId, pid));
+                return {
+                    label: "Spouse",
+                    id: pid,
+                    name: safeName(pid),
+                    relation: findRelationship(id, pid),
+                    note: marriageText ? `Married ${marriageText}` : ""
+                };
+            });
+            items.push({ id: descId, name: desc.name, relation: findRelationship(id, descId), links });
+            nextGenIds.push(...getChildrenIds(descId));
         });
 
-        html += `</ul>`;
+        sections.push({ title: genTitle, level: 1, items });
         currentGenIds = nextGenIds;
         genIndex++;
-        
+
         if (genIndex > 20) break;
     }
 
-    if (genIndex === 1) {
-        html += `<p style="text-align:center; margin-top:20px; color:#666;">No descendants recorded for this person.</p>`;
+    return {
+        kind: 'full-descendants',
+        title: "Full Descendants Report",
+        subjectLabel: "All descendants (including spouses) of",
+        subject: { id: p.id, name: p.name },
+        sections,
+        emptyMessage: "No descendants recorded for this person."
+    };
+}
+
+function generateFullDescendantsReport(id) {
+    const model = buildFullDescendantsReportModel(id);
+    if (!model) return "<p style='text-align:center; padding:20px; color:red;'>Person not found.</p>";
+    return window.ReportRenderers.html(model);
+}
+
+// --- Family book helpers (shared by generateFamilyBook and its report model) ---
+
+function getFamilyBookGothraGetter(options) {
+    const opts = options || {};
+    return typeof opts.getGothra === 'function' ? opts.getGothra : (pid) => {
+        const p = getPerson(pid);
+        return p && p.jyotisha && p.jyotisha.gothra ? p.jyotisha.gothra : null;
+    };
+}
+
+/**
+ * Generations of descendants starting with the root, and the entry number of each
+ * person; a person reached twice (cousin marriage) keeps the first.
+ */
+function getFamilyBookGenerations(id) {
+    const generations = [];
+    const entryNumber = new Map();
+    let current = [id];
+    while (current.length > 0 && generations.length < 20) {
+        const gen = [];
+        current.forEach(pid => {
+            if (entryNumber.has(pid) || !getPerson(pid)) return;
+            entryNumber.set(pid, entryNumber.size + 1);
+            gen.push(pid);
+        });
+        if (gen.length === 0) break;
+        generations.push(gen);
+        current = [];
+        gen.forEach(pid => current.push(...getChildrenIds(pid)));
     }
+    return { generations, entryNumber };
+}
+
+function getFamilyBookChapterTitle(index) {
+    if (index === 0) return "The Root Ancestor";
+    if (index === 1) return "Children";
+    if (index === 2) return "Grandchildren";
+    if (index <= 4) return `${"Great-".repeat(index - 2)}Grandchildren`;
+    const n = index - 2; // 3rd, 4th, ... great-grandchildren
+    const suffix = (n % 100 >= 11 && n % 100 <= 13) ? "th" : ({ 1: "st", 2: "nd", 3: "rd" }[n % 10] || "th");
+    return `${n}${suffix} Great-Grandchildren`;
+}
+
+// "Born 03-SEP-1943, Nellipatla · Died ..." as plain text
+function getFamilyBookLifeText(p) {
+    const formatDate = (value) => (value && window.DateUtils ? window.DateUtils.formatDisplay(value) : (value || ""));
+    const parts = [];
+    if (p.Birth) parts.push(`Born ${formatDate(p.Birth)}${p.Address ? `, ${p.Address}` : ""}`);
+    else if (p.Address) parts.push(`Born in ${p.Address}`);
+    if (p.death_date) parts.push(`Died ${formatDate(p.death_date)}`);
+    else if (p.deceased) parts.push("Deceased");
+    return parts.join(" · ");
+}
+
+// "Gothra: ... · Nakshatra: ... (rashi)" as plain text
+function getFamilyBookJyotishaText(pid, getGothra) {
+    const p = getPerson(pid);
+    const j = (p && p.jyotisha) || {};
+    const parts = [];
+    const gothra = getGothra(pid);
+    if (gothra) parts.push(`Gothra: ${gothra}`);
+    if (j.nakshatra) parts.push(`Nakshatra: ${j.nakshatra}${j.rashi ? ` (${j.rashi})` : ""}`);
+    return parts.join(" · ");
+}
+
+/**
+ * Printable family book (Vamsha Vruksha booklet) for a root ancestor: a title page,
+ * one chapter per generation of descendants, a numbered entry per descendant
+ * (photo, dates, gothra/nakshatra, spouses, children, notes) and a name index.
+ * @param {string} id - Root ancestor.
+ * @param {Object} [options] - { getGothra: (id) => string|null } for inferred gothras.
+ */
+function generateFamilyBook(id, options) {
+    const root = getPerson(id);
+    if (!root) return "<p style='text-align:center; padding:20px; color:red;'>Person not found.</p>";
+
+    const getGothra = getFamilyBookGothraGetter(options);
+    const { generations, entryNumber } = getFamilyBookGenerations(id);
+    const chapterTitle = getFamilyBookChapterTitle;
+
+    const nameWithNumber = (pid) => {
+        const n = entryNumber.get(pid);
+        return `${escapeHtml(safeName(pid))}${n ? ` <span class="book-ref">[${n}]</span>` : ""}`;
+    };
+
+    const lifeLine = (p) => escapeHtml(getFamilyBookLifeText(p));
+    const jyotishaLine = (pid) => escapeHtml(getFamilyBookJyotishaText(pid, getGothra));
+
+    const index = [];
+    const renderEntry = (pid) => {
+        const p = getPerson(pid);
+        const n = entryNumber.get(pid);
+        index.push({ name: p.name, number: n, spouse: false });
+
+        const photo = (p.image_url || "").trim()
+            ? `<img class="book-photo" src="${escapeHtml(p.image_url)}" alt="">`
+            : "";
+        const parents = getParents(pid).map(x => x.id);
+        const rows = [];
+        const life = lifeLine(p);
+        if (life) rows.push(`<div>${life}</div>`);
+        const jyotisha = jyotishaLine(pid);
+        if (jyotisha) rows.push(`<div>${jyotisha}</div>`);
+        if (pid !== id && parents.length > 0) {
+            const role = getGender(pid) === 'M' ? "Son" : (getGender(pid) === 'F' ? "Daughter" : "Child");
+            rows.push(`<div>${role} of ${parents.map(nameWithNumber).join(" and ")}</div>`);
+        }
+
+        (p.pids || []).forEach(sid => {
+            const spouse = getPerson(sid);
+            if (!spouse) return;
+            if (!entryNumber.has(sid)) index.push({ name: spouse.name, number: n, spouse: true });
+            const details = [];
+            const marriageText = formatMarriage(pid, getMarriage(pid, sid));
+            if (marriageText) details.push(`married ${escapeHtml(marriageText)}`);
+            const spouseLife = lifeLine(spouse);
+            if (spouseLife) details.push(spouseLife);
+            const spouseJyotisha = jyotishaLine(sid);
+            if (spouseJyotisha) details.push(spouseJyotisha);
+            const spouseParents = getParents(sid).map(x => x.id);
+            if (!entryNumber.has(sid) && spouseParents.length > 0) details.push(`parents ${spouseParents.map(nameWithNumber).join(" and ")}`);
+            rows.push(`<div><strong>Spouse:</strong> ${nameWithNumber(sid)}${details.length ? ` (${details.join("; ")})` : ""}</div>`);
+        });
+
+        const children = getChildrenIds(pid).filter(cid => getPerson(cid));
+        if (children.length > 0) {
+            rows.push(`<div><strong>Children:</strong> ${children.map(nameWithNumber).join(", ")}</div>`);
+        }
+        if (p.note) rows.push(`<div class="book-note">${escapeHtml(p.note)}</div>`);
+
+        return `<div class="book-entry" id="book-entry-${n}">
+            ${photo}
+            <div class="book-entry-body">
+                <div class="book-entry-name"><span class="book-entry-number">${n}.</span> ${escapeHtml(p.name)} <span class="book-entry-id">${escapeHtml(pid)}</span></div>
+                ${rows.join("")}
+            </div>
+        </div>`;
+    };
+
+    const firstYear = window.DateUtils ? window.DateUtils.getYear(root.Birth || "") : null;
+    const today = window.DateUtils ? window.DateUtils.formatDisplay(new Date()) : new Date().toDateString();
+
+    let html = `<div class="family-book">`;
+    html += `<div class="book-title-page">
+        <img src="logo.png" class="book-logo" alt="">
+        <div class="book-kicker">Vamsha Vruksha</div>
+        <h1>The Family of ${escapeHtml(root.name)}</h1>
+        ${firstYear ? `<div class="book-subtitle">From ${firstYear}</div>` : ""}
+        ${jyotishaLine(id) ? `<div class="book-subtitle">${jyotishaLine(id)}</div>` : ""}
+        <div class="book-subtitle">${entryNumber.size} ${entryNumber.size === 1 ? "member" : "members"} in ${generations.length} ${generations.length === 1 ? "generation" : "generations"}</div>
+        <div class="book-compiled">Compiled on ${escapeHtml(today)}</div>
+    </div>`;
+
+    generations.forEach((gen, i) => {
+        html += `<div class="book-chapter">
+            <h2>Chapter ${i + 1}: ${chapterTitle(i)}</h2>
+            <div class="book-chapter-meta">Generation ${i + 1} · ${gen.length} ${gen.length === 1 ? "entry" : "entries"}</div>
+            ${gen.map(renderEntry).join("")}
+        </div>`;
+    });
+
+    index.sort((a, b) => a.name.localeCompare(b.name) || a.number - b.number);
+    html += `<div class="book-index">
+        <h2>Index of Names</h2>
+        <p class="book-chapter-meta">Numbers refer to entries; spouses point to the entry of their partner.</p>
+        <div class="book-index-list">
+            ${index.map(item => `<div class="book-index-item"><span>${escapeHtml(item.name)}${item.spouse ? " <em>(spouse)</em>" : ""}</span><span class="book-ref">${item.number}</span></div>`).join("")}
+        </div>
+    </div>`;
 
     html += `</div>`;
     return html;
 }
 
+/**
+ * Report model (see reports.js) of the family book: one section per chapter and
+ * one item per entry, with the entry's dates, gothra and notes, and their spouses.
+ * @param {string} id - Root ancestor.
+ * @param {Object} [options] - { getGothra: (id) => string|null } for inferred gothras.
+ */
+function buildFamilyBookModel(id, options) {
+    const root = getPerson(id);
+    if (!root) return null;
+
+    const getGothra = getFamilyBookGothraGetter(options);
+    const { generations } = getFamilyBookGenerations(id);
+
+    const sections = generations.map((gen, i) => ({
+        title: `Chapter ${i + 1}: ${getFamilyBookChapterTitle(i)}`,
+        level: 1,
+        note: `Generation ${i + 1} · ${gen.length} ${gen.length === 1 ? "entry" : "entries"}`,
+        items: gen.map(pid => {
+            const p = getPerson(pid);
+            const parents = getParents(pid).map(x => safeName(x.id));
+            const role = getGender(pid) === 'M' ? "Son" : (getGender(pid) === 'F' ? "Daughter" : "Child");
+            const links = (p.pids || []).filter(sid => getPerson(sid)).map(sid => {
+                const marriageText = formatMarriage(pid, getMarriage(pid, sid));
+                const details = [
+                    marriageText ? `married ${marriageText}` : "",
+                    getFamilyBookLifeText(getPerson(sid)),
+                    getFamilyBookJyotishaText(sid, getGothra)
+                ].filter(Boolean);
+                return { label: "Spouse", id: sid, name: safeName(sid), relation: "", note: details.join("; ") };
+            });
+            return {
+                id: pid,
+                name: p.name,
+                relation: pid !== id && parents.length > 0 ? `${role} of ${parents.join(" and ")}` : "",
+                note: [getFamilyBookLifeText(p), getFamilyBookJyotishaText(pid, getGothra), (p.note || "").trim()].filter(Boolean).join(" · "),
+                links
+            };
+        })
+    }));
+
+    return {
+        kind: 'family-book',
+        title: "Family Book",
+        subjectLabel: "The family of",
+        subject: { id: root.id, name: root.name },
+        sections
+    };
+}
+
 function generateFullDescendantsDiagram(id) {
     const p = getPerson(id);
     if (!p) return "<p style='text-align:center; padding:20px; color:red;'>Person not found.</p>";
@@ -1025,6 +1257,90 @@ function generateFullDescendantsDiagram(id) {
     return html;
 }
 
+/**
+ * Report model (see reports.js) of the descendants diagram: the tree in
+ * depth-first order, each person with their `depth` below the root and their spouses.
+ */
+function buildFullDescendantsDiagramModel(id) {
+    const p = getPerson(id);
+    if (!p) return null;
+
+    const items = [];
+    const addNode = (personId, depth) => {
+        const person = getPerson(personId);
+        if (!person) return;
+        const links = (person.pids || []).filter(pid => getPerson(pid)).map(pid => ({
+            label: "Spouse",
+            id: pid,
+            name: safeName(pid),
+            relation: findRelationship(id, pid)
+        }));
+        items.push({ id: personId, name: person.name, relation: personId === id ? "ME" : findRelationship(id, personId), depth, links });
+        getChildrenIds(personId).forEach(cid => addNode(cid, depth + 1));
+    };
+    addNode(id, 0);
+
+    return {
+        kind: 'full-descendants-diagram',
+        title: "Full Descendants Diagram",
+        subjectLabel: "Tree view for",
+        subject: { id: p.id, name: p.name },
+        sections: [{ title: "Descendants Tree", level: 1, items }]
+    };
+}
+
+/**
+ * Report model (see reports.js) of the relationship between two people:
+ * the relation itself and every person on the path from the first to the second.
+ */
+function buildRelationPathModel(id1, id2) {
+    const p1 = getPerson(id1);
+    const p2 = getPerson(id2);
+    if (!p1 || !p2) return null;
+
+    const result = getRelationshipCode(id1, id2);
+    const path = result && result.path ? result.path : [];
+    const sections = [];
+    if (path.length > 0) {
+        sections.push({ title: "RELATIONSHIP", level: 1, items: [{ id: id2, name: p2.name, relation: findRelationship(id1, id2) }] });
+        sections.push({
+            title: "PATH",
+            level: 1,
+            items: path.filter(pid => getPerson(pid)).map(pid => ({ id: pid, name: safeName(pid), relation: findRelationship(id1, pid) }))
+        });
+    }
+
+    return {
+        kind: 'relation',
+        title: "Relationship Diagram",
+        subjectLabel: "Between",
+        subject: { name: `${p1.name} (${p1.id}) and ${p2.name} (${p2.id})` },
+        sections,
+        emptyMessage: "No direct relationship path found."
+    };
+}
+
+// Report routes that buildReportModel() can describe
+const REPORT_MODEL_KINDS = ['close-family', 'ancestors', 'descendants', 'full-descendants', 'full-descendants-diagram', 'family-book', 'relation'];
+
+/**
+ * Report model for one of REPORT_MODEL_KINDS, or null when the kind is
+ * unknown or the people are not loaded.
+ * @param {Object} [options] - Passed to the family book, e.g. { getGothra }.
+ */
+function buildReportModel(kind, id, id2, options) {
+    switch (kind) {
+        case 'close-family': return buildRelationshipReportModel(id);
+        case 'ancestors': return buildAncestorsReportModel(id);
+        case 'descendants': return buildDescendantsReportModel(id);
+        case 'full-descendants': return buildFullDescendantsReportModel(id);
+        case 'full-descendants-diagram': return buildFullDescendantsDiagramModel(id);
+        case 'family-book': return buildFamilyBookModel(id, options);
+        case 'relation': return buildRelationPathModel(id, id2);
+        default: return null;
+    }
+}
+
 // =================================================================================
 // DIAGRAM GENERATION
 // =================================================================================
@@ -1333,38 +1649,3 @@ function getSiblingTerm(homeId, siblingId) {
         ? getTerm({ te: "అక్క", kn: "ಅಕ್ಕ", en: "Akka" }) 
         : getTerm({ te: "చెల్లి", kn: "ತಂಗಿ", en: "Tangi" });
 }
-
-function renderComplexSection(title, groups, homeId) {
-    if (!groups || groups.length === 0) return "";
-    const hId = homeId || getHomeId();
-    let h = `<h3 style="background: #f9f9f9; padding: 8px; border-left: 4px solid #4A90E2; margin-top: 20px; font-size: 16px; color: #333;">${title}</h3>`;
-    groups.forEach(g => {
-        h += `<div style="margin-top: 10px; font-weight: 600; color: #555; margin-left: 10px;">${g.header}</div>`;
-        h += `<ul style="list-style-type: circle; padding-left: 40px; margin-top: 5px;">`;
-        g.items.forEach(item => {
-            let relation = findRelationship(hId, item.id);
-            h += `<li style="margin-bottom: 4px;">
-            ${escapeHtml(item.name)} 
-            <span style="color:#E91E63; font-size:13px;"> — ${relation}</span>
-            </li>`;
-        });
-        h += `</ul>`;
-    });
-    return h;
-}
-
-function renderSubList(label, items, homeId) {
-    if (!items || items.length === 0) return "";
-    const hId = homeId || getHomeId();
-    let h = `<div style="font-weight: bold; margin-top: 10px; color: #444;">${label}:</div>`;
-    h += `<ul style="margin-top: 5px; margin-bottom: 10px;">`;
-    items.forEach(item => {
-        let relation = findRelationship(hId, item.id);
-        h += `<li style="margin-bottom: 4px;">
-        <strong>${escapeHtml(item.name)}</strong> 
-        <span style="color:#E91E63; font-size:13px;"> — ${relation}</span>
-        </li>`;
-    });
-    h += `</ul>`;
-    return h;
-}
@@ -0,0 +1,284 @@
+/**
+ * Report Renderers (reports.js)
+ * Turns the report models built in relationship.js (buildReportModel) into
+ * HTML for the screen, CSV for spreadsheets, Markdown, or plain text for
+ * sharing on WhatsApp.
+ *
+ * A report model is plain data:
+ * {
+ *   kind: 'ancestors',
+ *   title: 'Ancestors Report',
+ *   subjectLabel: 'Ancestors of',
+ *   subject: { id, name },           // id is optional
+ *   sections: [{
+ *     title, level,                   // level 1 (chapter) to 4 (sub-group)
+ *     accent,                         // optional: spouse-side styling in HTML
+ *     note,                           // optional line under the title
+ *     items: [{
+ *       id, name, relation,
+ *       note,                         // optional details (dates, gothra, ...)
+ *       depth,                        // optional nesting in a tree, 0 for the root
+ *       links: [{ label, id, name, relation, note }]
+ *     }]
+ *   }],
+ *   emptyMessage                      // shown when no section has items
+ * }
+ * More formats can be added with register().
+ */
+
+(function() {
+    const BULLET = '•';
+
+    function escapeHtml(text) {
+        if (text == null) return '';
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    }
+
+    // Element text only: quotes stay as typed, as in the original report markup
+    function escapeText(text) {
+        return String(text == null ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
+    function escapeMarkdown(text) {
+        return String(text == null ? '' : text).replace(/([\\`*_[\]#|<>])/g, '\\$1');
+    }
+
+    function csvCell(value) {
+        const s = String(value == null ? '' : value);
+        return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+    }
+
+    function hasItems(model) {
+        return (model.sections || []).some(s => s.items && s.items.length > 0);
+    }
+
+    function subjectText(model) {
+        const s = model.subject || {};
+        return `${s.name || ''}${s.id ? ` (${s.id})` : ''}`;
+    }
+
+    // --- HTML (on-screen and print) ---
+
+    const LIST_STYLES = {
+        1: 'list-style-type: disc; padding-left: 25px; margin-top: 5px;',
+        2: 'list-style-type: circle; padding-left: 40px; margin-top: 5px;',
+        3: 'margin-top: 5px; margin-bottom: 10px;',
+        4: 'margin-top: 5px; margin-bottom: 10px;'
+    };
+    const BLOCK_LIST_STYLE = 'list-style-type: none; padding-left: 10px; margin-top: 5px;';
+
+    /**
+     * Per report kind: `blockItems` lists every person as a block with their links
+     * (spouses) underneath; `plainNameLevels` are section levels whose names are not bold.
+     */
+    const HTML_LAYOUTS = {
+        'close-family': { plainNameLevels: [2] },
+        'full-descendants': { blockItems: true },
+        'full-descendants-diagram': { blockItems: true },
+        'family-book': { blockItems: true }
+    };
+
+    function htmlHeading(section) {
+        const title = escapeText(section.title);
+        if (section.level === 1) {
+            return section.accent
+                ? `<h3 style="background: #f0f7ff; padding: 10px; border-left: 4px solid #E91E63; margin-top: 30px; color: #333;">${title}</h3>`
+                : `<h3 style="background: #f9f9f9; padding: 8px; border-left: 4px solid #4A90E2; margin-top: 20px; font-size: 16px; color: #333;">${title}</h3>`;
+        }
+        if (section.level === 2) {
+            return section.accent
+                ? `<h4 style="color: #E91E63; margin-bottom: 10px;">${title}</h4>`
+                : `<div style="margin-top: 10px; font-weight: 600; color: #555; margin-left: 10px;">${title}</div>`;
+        }
+        if (section.level === 3) {
+            return `<div style="font-weight: bold; margin-top: 10px; color: #444;">${title}:</div>`;
+        }
+        return `<div style="margin-left: 20px; font-size: 14px; color: #555;"><em>${title}:</em></div>`;
+    }
+
+    function htmlRelation(item) {
+        return item.relation ? ` <span style="color:#E91E63; font-size:13px;"> — ${escapeHtml(item.relation)}</span>` : '';
+    }
+
+    function htmlNote(item) {
+        return item.note ? `<div style="font-size: 13px; color: #666;">${escapeHtml(item.note)}</div>` : '';
+    }
+
+    function htmlIndent(item) {
+        return item.depth ? ` margin-left: ${item.depth * 20}px;` : '';
+    }
+
+    function htmlItem(item, plainName) {
+        const name = plainName ? escapeHtml(item.name) : `<strong>${escapeHtml(item.name)}</strong>`;
+        return `<li style="margin-bottom: 4px;${htmlIndent(item)}">${name}${htmlRelation(item)}${htmlNote(item)}</li>`;
+    }
+
+    function htmlBlockItem(item) {
+        const links = (item.links || []).map(link =>
+            `<div style="margin-bottom: 2px;">+ ${escapeHtml(link.label)}: <strong>${escapeHtml(link.name)}</strong>` +
+            (link.relation ? ` <span style="font-size:12px; color:#888;">(${escapeHtml(link.relation)})</span>` : '') +
+            (link.note ? ` <span style="font-size:12px; color:#555;">· ${escapeHtml(link.note)}</span>` : '') +
+            `</div>`
+        ).join('');
+        return `<li style="margin-bottom: 15px; padding-bottom: 10px; border-bottom: 1px dashed #eee;${htmlIndent(item)}">
+            <div style="font-size: 15px;"><strong>${escapeHtml(item.name)}</strong>${htmlRelation(item)}</div>` +
+            htmlNote(item) +
+            (links ? `<div style="margin-left: 20px; margin-top: 4px; font-size: 14px; color: #555;">${links}</div>` : '') +
+            `</li>`;
+    }
+
+    function html(model) {
+        let out = `<div style="padding: 20px; max-width: 800px; margin: 0 auto; font-family: 'Segoe UI', sans-serif;">`;
+        out += `<div style="text-align: center; margin-bottom: 10px;"><img src="logo.png" style="width: 80px; height: auto; border: none;"></div>`;
+        out += `<h2 style="color: #4A90E2; border-bottom: 2px solid #eee; padding-bottom: 10px; text-align: center;">${escapeHtml(model.title)}</h2>`;
+        if (model.subject) {
+            const s = model.subject;
+            out += `<p style="color: #666; text-align: center;">${escapeHtml(model.subjectLabel)}: <strong>${escapeHtml(s.name)}</strong>${s.id ? ` (${escapeHtml(s.id)})` : ''}</p>`;
+        }
+
+        const layout = HTML_LAYOUTS[model.kind] || {};
+        const plainNameLevels = layout.plainNameLevels || [];
+        // An accented level-2 section (a spouse) boxes the sections below it
+        let boxOpen = false;
+        const closeBox = () => {
+            if (boxOpen) out += `</div>`;
+            boxOpen = false;
+        };
+
+        (model.sections || []).forEach(section => {
+            if (section.level <= 2) closeBox();
+            if (section.level === 2 && section.accent) {
+                out += `<div style="margin-left: 15px; margin-bottom: 25px; border-bottom: 1px dashed #ccc; padding-bottom: 15px;">`;
+                boxOpen = true;
+            }
+            out += htmlHeading(section);
+            if (section.note) out += `<div style="margin: -5px 0 10px; font-size: 14px; color: #555;">${escapeHtml(section.note)}</div>`;
+            if (!section.items || section.items.length === 0) return;
+            if (layout.blockItems) {
+                out += `<ul style="${BLOCK_LIST_STYLE}">${section.items.map(htmlBlockItem).join('')}</ul>`;
+            } else {
+                const plainName = plainNameLevels.includes(section.level);
+                out += `<ul style="${LIST_STYLES[section.level] || LIST_STYLES[1]}">${section.items.map(item => htmlItem(item, plainName)).join('')}</ul>`;
+            }
+        });
+        closeBox();
+
+        if (!hasItems(model) && model.emptyMessage) {
+            out += `<p style="text-align:center; margin-top:20px; color:#666;">${escapeHtml(model.emptyMessage)}</p>`;
+        }
+
+        out += `</div>`;
+        return out;
+    }
+
+    // --- CSV (one row per person; spouses and other links get their own rows) ---
+
+    function csv(model) {
+        const rows = [['Section', 'Name', 'ID', 'Relation', 'Details']];
+        const path = [];
+        (model.sections || []).forEach(section => {
+            path.length = Math.max(0, section.level - 1);
+            path.push(section.title);
+            const sectionName = path.filter(Boolean).join(' > ');
+            (section.items || []).forEach(item => {
+                const depth = item.depth != null ? `Generation ${item.depth}` : '';
+                rows.push([sectionName, item.name, item.id, item.relation, [section.note, depth, item.note].filter(Boolean).join('; ')]);
+                (item.links || []).forEach(link => {
+                    rows.push([sectionName, link.name, link.id, link.relation, [`${link.label} of ${item.name}`, link.note].filter(Boolean).join('; ')]);
+                });
+            });
+        });
+        // BOM so spreadsheet apps read Kannada and Telugu terms as UTF-8
+        return '\uFEFF' + rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+    }
+
+    // --- Markdown ---
+
+    function markdown(model) {
+        const lines = [`# ${escapeMarkdown(model.title)}`, ''];
+        if (model.subject) lines.push(`**${escapeMarkdown(model.subjectLabel)}:** ${escapeMarkdown(subjectText(model))}`, '');
+
+        (model.sections || []).forEach(section => {
+            lines.push(`${'#'.repeat(Math.min(section.level + 1, 6))} ${escapeMarkdown(section.title)}`, '');
+            if (section.note) lines.push(`_${escapeMarkdown(section.note)}_`, '');
+            if (!section.items || section.items.length === 0) return;
+            section.items.forEach(item => {
+                const indent = '  '.repeat(item.depth || 0);
+                lines.push(`${indent}- **${escapeMarkdown(item.name)}**${item.relation ? ` — ${escapeMarkdown(item.relation)}` : ''}`);
+                if (item.note) lines.push(`${indent}  ${escapeMarkdown(item.note)}`);
+                (item.links || []).forEach(link => {
+                    lines.push(`${indent}  - ${escapeMarkdown(link.label)}: **${escapeMarkdown(link.name)}**` +
+                        (link.relation ? ` (${escapeMarkdown(link.relation)})` : '') +
+                        (link.note ? ` · ${escapeMarkdown(link.note)}` : ''));
+                });
+            });
+            lines.push('');
+        });
+
+        if (!hasItems(model) && model.emptyMessage) lines.push(escapeMarkdown(model.emptyMessage), '');
+        return lines.join('\n').replace(/\n+$/, '\n');
+    }
+
+    // --- WhatsApp text (*bold* and _italic_ are WhatsApp formatting) ---
+
+    function whatsapp(model) {
+        const lines = [`*${model.title}*`];
+        if (model.subject) lines.push(`${model.subjectLabel}: ${subjectText(model)}`);
+
+        (model.sections || []).forEach(section => {
+            if (section.level <= 2) lines.push('');
+            if (section.level === 1) lines.push(`*${section.title}*`);
+            else if (section.level === 2) lines.push(`_${section.title}_`);
+            else lines.push(`${section.title}:`);
+            if (section.note) lines.push(section.note);
+            (section.items || []).forEach(item => {
+                const indent = '   '.repeat(item.depth || 0);
+                lines.push(`${indent}${BULLET} ${item.name}${item.relation ? ` — ${item.relation}` : ''}`);
+                if (item.note) lines.push(`${indent}   ${item.note}`);
+                (item.links || []).forEach(link => {
+                    lines.push(`${indent}   + ${link.label}: ${link.name}${link.relation ? ` (${link.relation})` : ''}${link.note ? ` · ${link.note}` : ''}`);
+                });
+            });
+        });
+
+        if (!hasItems(model) && model.emptyMessage) lines.push('', model.emptyMessage);
+        return lines.join('\n');
+    }
+
+    const renderers = { html, csv, markdown, whatsapp };
+
+    /**
+     * Adds or replaces a renderer.
+     * @param {string} format - Format name, e.g. 'csv'.
+     * @param {Function} renderFn - (model) => string.
+     */
+    function register(format, renderFn) {
+        if (typeof renderFn !== 'function') throw new Error(`Renderer for "${format}" must be a function.`);
+        renderers[format] = renderFn;
+    }
+
+    function render(model, format) {
+        const renderFn = renderers[format];
+        if (!renderFn) throw new Error(`Unknown report format: ${format}`);
+        return renderFn(model);
+    }
+
+    // Expose API
+    window.ReportRenderers = {
+        html,
+        csv,
+        markdown,
+        whatsapp,
+        register,
+        render,
+        formats: () => Object.keys(renderers)
+    };
+})();
@@ -0,0 +1,181 @@
+/**
+ * Search Logic (search.js)
+ * Shared name search for every person picker. Names are matched three ways,
+ * best first: as typed ("rao" in "RAGHAVENDRA RAO"), by the start of a name
+ * with common spelling variants of Indian names ignored (aa/a, ee/i, oo/u,
+ * sh/s, th/t, dh/d, bh/b, v/w, double letters), and by the start of a name
+ * with a few typos allowed. Matches without typos come first (then those with
+ * the fewest); among equals, people closer to the home person (steps through
+ * parents, children and spouses) are listed first.
+ */
+
+(function() {
+    // Typos allowed for a query word of this many letters
+    function allowedTypos(length) {
+        if (length <= 4) return 0;
+        if (length <= 7) return 1;
+        return 2;
+    }
+
+    /**
+     * Phonetic key of one word, e.g. "VENKATESHA" -> "venkatesa", "Sreenivas" -> "srinivas".
+     */
+    function phoneticKey(word) {
+        return String(word || '').toLowerCase()
+            .replace(/[^a-z0-9]/g, '')
+            .replace(/ph/g, 'f')
+            .replace(/w/g, 'v')
+            .replace(/q/g, 'k')
+            .replace(/ck/g, 'k')
+            .replace(/x/g, 'ks')
+            .replace(/ee/g, 'i')
+            .replace(/oo/g, 'u')
+            .replace(/([bcdgjkpstv])h/g, '$1') // Aspirates: sh, th, dh, bh, kh ...
+            .replace(/(.)\1+/g, '$1')          // Double letters, including aa
+            .replace(/([aeiou])h$/, '$1');     // Ramaiah / Ramaia
+    }
+
+    function words(text) {
+        return String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+    }
+
+    /**
+     * Fewest edits (insert, delete, substitute, swap adjacent letters) that turn
+     * `pattern` into the start of `text`; stops early once `limit` is exceeded.
+     */
+    function prefixDistance(pattern, text, limit) {
+        const m = pattern.length;
+        const t = text.slice(0, m + limit);
+        const n = t.length;
+        let prevPrev = null;
+        let prev = [];
+        for (let j = 0; j <= n; j++) prev.push(j);
+        for (let i = 1; i <= m; i++) {
+            const row = [i];
+            let rowMin = i;
+            for (let j = 1; j <= n; j++) {
+                const cost = pattern[i - 1] === t[j - 1] ? 0 : 1;
+                let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+                if (prevPrev && j > 1 && pattern[i - 1] === t[j - 2] && pattern[i - 2] === t[j - 1]) {
+                    d = Math.min(d, prevPrev[j - 2] + 1);
+                }
+                row.push(d);
+                if (d < rowMin) rowMin = d;
+            }
+            if (rowMin > limit) return limit + 1;
+            prevPrev = prev;
+            prev = row;
+        }
+        return Math.min(...prev); // Any length of text may follow
+    }
+
+    /**
+     * Builds a search index.
+     * @param {Object} options - { people: Array, peopleMap, childrenMap, getHomeId: () => string }.
+     */
+    function createIndex(options) {
+        const opts = options || {};
+        const people = opts.people || [];
+        const peopleMap = opts.peopleMap || new Map();
+        const childrenMap = opts.childrenMap || new Map();
+
+        const entries = people.map(person => {
+            const nameWords = words(person.name);
+            return {
+                person,
+                name: String(person.name || '').toLowerCase(),
+                id: String(person.id || '').toLowerCase(),
+                keys: nameWords.map(phoneticKey).filter(Boolean)
+            };
+        });
+
+        // Steps from the home person through parents, children and spouses
+        let distanceHomeId = null;
+        let distances = new Map();
+        const getDistances = () => {
+            const homeId = typeof opts.getHomeId === 'function' ? opts.getHomeId() : null;
+            if (homeId === distanceHomeId) return distances;
+            distanceHomeId = homeId;
+            distances = new Map();
+            if (!homeId || !peopleMap.has(homeId)) return distances;
+            distances.set(homeId, 0);
+            let frontier = [homeId];
+            while (frontier.length > 0) {
+                const next = [];
+                frontier.forEach(id => {
+                    const p = peopleMap.get(id);
+                    if (!p) return;
+                    const d = distances.get(id) + 1;
+                    [p.fid, p.mid, ...(p.pids || []), ...(childrenMap.get(id) || [])].forEach(rel => {
+                        if (rel && !distances.has(rel) && peopleMap.has(rel)) {
+                            distances.set(rel, d);
+                            next.push(rel);
+                        }
+                    });
+                });
+                frontier = next;
+            }
+            return distances;
+        };
+
+        // Lower is better; null when the word does not match
+        const wordScore = (entry, raw, key) => {
+            if (entry.name.includes(raw) || entry.id === raw) return 0;
+            if (!key) return null;
+            if (entry.keys.some(k => k.startsWith(key))) return 1;
+            const limit = /[0-9]/.test(raw) ? 0 : allowedTypos(raw.length); // IDs must be exact
+            if (limit === 0) return null;
+            let best = limit + 1;
+            for (const k of entry.keys) {
+                best = Math.min(best, prefixDistance(key, k, limit));
+                if (best === 1) break;
+            }
+            return best <= limit ? 1 + 2 * best : null;
+        };
+
+        /**
+         * People matching the query, best first.
+         * @param {string} query - Free text; every word must match.
+         * @param {Object} [searchOptions] - { limit (default 20) }.
+         * @returns {Array} Person objects.
+         */
+        function search(query, searchOptions) {
+            const limit = (searchOptions && searchOptions.limit) || 20;
+            const rawWords = words(query);
+            if (rawWords.length === 0) return [];
+            const queryWords = rawWords.map(raw => ({ raw, key: phoneticKey(raw) }));
+
+            const results = [];
+            entries.forEach(entry => {
+                let score = 0;
+                let typos = false;
+                for (const w of queryWords) {
+                    const s = wordScore(entry, w.raw, w.key);
+                    if (s === null) return;
+                    score += s;
+                    if (s > 1) typos = true;
+                }
+                results.push({ entry, score, typos });
+            });
+
+            const dist = getDistances();
+            const distanceOf = (entry) => (dist.has(entry.person.id) ? dist.get(entry.person.id) : Infinity);
+            const typoRank = (r) => (r.typos ? r.score : 0);
+            results.sort((a, b) =>
+                (typoRank(a) - typoRank(b)) ||
+                (distanceOf(a.entry) - distanceOf(b.entry)) ||
+                (a.score - b.score) ||
+                a.entry.name.localeCompare(b.entry.name)
+            );
+            return results.slice(0, limit).map(r => r.entry.person);
+        }
+
+        return { search };
+    }
+
+    // Expose API
+    window.FamilySearch = {
+        createIndex,
+        phoneticKey
+    };
+})();
@@ -0,0 +1,280 @@
+/**
+ * Statistics Logic (stats.js)
+ * Demographic figures for the loaded family (generations, living and deceased,
+ * gender split, lifespans, ages at marriage, age pyramid and the most common
+ * names, places, gothras and nakshatras), with small SVG charts that need no
+ * network access.
+ */
+
+(function() {
+    const YEAR_MS = 365.2425 * 24 * 60 * 60 * 1000;
+    const PYRAMID_STEP = 10;
+    const PYRAMID_TOP = 90; // Last band is 90+
+    const COLORS = { M: '#4A90E2', F: '#E91E63', U: '#9E9E9E', bar: '#4A90E2', living: '#43A047', deceased: '#757575' };
+
+    function escapeXml(str) {
+        return String(str == null ? '' : str)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function parseDate(value) {
+        const raw = String(value || '').trim();
+        if (!raw || !window.DateUtils) return null;
+        const d = window.DateUtils.parse(raw);
+        return d && !isNaN(d.getTime()) ? d : null;
+    }
+
+    function yearsBetween(from, to) {
+        return (to - from) / YEAR_MS;
+    }
+
+    function average(values) {
+        if (values.length === 0) return { average: null, count: 0 };
+        return { average: values.reduce((a, b) => a + b, 0) / values.length, count: values.length };
+    }
+
+    // Counts values case-insensitively, keeping the most frequent spelling as the label
+    function topValues(values, limit) {
+        const counts = new Map();
+        values.forEach(value => {
+            const label = String(value || '').trim();
+            if (!label) return;
+            const key = label.toLowerCase();
+            if (!counts.has(key)) counts.set(key, { count: 0, spellings: new Map() });
+            const entry = counts.get(key);
+            entry.count++;
+            entry.spellings.set(label, (entry.spellings.get(label) || 0) + 1);
+        });
+        return Array.from(counts.values())
+            .map(entry => ({
+                label: Array.from(entry.spellings.entries()).sort((a, b) => b[1] - a[1])[0][0],
+                count: entry.count
+            }))
+            .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label))
+            .slice(0, limit || 10);
+    }
+
+    function givenName(p) {
+        let name = String(p.name || '').trim();
+        const surname = String(p.surname || '').trim();
+        if (surname && name.toUpperCase().endsWith(' ' + surname.toUpperCase())) {
+            name = name.slice(0, name.length - surname.length).trim();
+        }
+        return (name.split(/\s+/)[0] || '').toUpperCase();
+    }
+
+    /**
+     * Number of generations: the longest father/mother chain. Cheap enough for the dashboard.
+     * @param {Map} [peopleMap] - Defaults to window.peopleMap.
+     */
+    function countGenerations(peopleMap) {
+        const people = peopleMap || window.peopleMap || new Map();
+        const depth = new Map();
+        const depthOf = (id, visiting) => {
+            if (depth.has(id)) return depth.get(id);
+            const p = people.get(id);
+            if (!p || visiting.has(id)) return 0;
+            visiting.add(id);
+            const d = 1 + Math.max(p.fid ? depthOf(p.fid, visiting) : 0, p.mid ? depthOf(p.mid, visiting) : 0);
+            visiting.delete(id);
+            depth.set(id, d);
+            return d;
+        };
+        let generations = 0;
+        people.forEach(p => { generations = Math.max(generations, depthOf(p.id, new Set())); });
+        return generations;
+    }
+
+    /**
+     * Computes the statistics.
+     * @param {Object} [options] - { peopleMap, genderMap (default window.*), getGothra: (id) => string|null,
+     *   getBirthPlace: (person) => string, today: Date }.
+     */
+    function compute(options) {
+        const opts = options || {};
+        const people = opts.peopleMap || window.peopleMap || new Map();
+        const genders = opts.genderMap || window.genderMap || new Map();
+        const today = opts.today || new Date();
+        const getGothra = opts.getGothra || ((id) => {
+            const p = people.get(id);
+            return p && p.jyotisha ? p.jyotisha.gothra : null;
+        });
+        const getBirthPlace = opts.getBirthPlace || ((p) => p.Address);
+
+        const list = Array.from(people.values());
+        const isDeceased = (p) => p.deceased === true || String(p.deceased || '').toLowerCase() === 'true' || !!String(p.death_date || p.Death || '').trim();
+
+        const gender = { M: 0, F: 0, U: 0 };
+        list.forEach(p => {
+            const g = genders.get(p.id);
+            gender[g === 'M' || g === 'F' ? g : 'U']++;
+        });
+
+        const deceasedCount = list.filter(isDeceased).length;
+
+        const lifespans = [];
+        list.forEach(p => {
+            if (!isDeceased(p)) return;
+            const birth = parseDate(p.Birth);
+            const death = parseDate(p.death_date || p.Death);
+            if (!birth || !death || death < birth) return;
+            lifespans.push(yearsBetween(birth, death));
+        });
+
+        const marriageAges = { M: [], F: [] };
+        const seenFamilies = new Set();
+        list.forEach(p => {
+            (p.marriages || []).forEach(m => {
+                const married = parseDate(m.date);
+                if (!married || seenFamilies.has(m.family_id)) return;
+                seenFamilies.add(m.family_id);
+                [p.id, m.spouse_id].forEach(id => {
+                    const person = people.get(id);
+                    const birth = person ? parseDate(person.Birth) : null;
+                    const g = genders.get(id);
+                    if (!birth || married < birth || (g !== 'M' && g !== 'F')) return;
+                    marriageAges[g].push(yearsBetween(birth, married));
+                });
+            });
+        });
+
+        const bands = [];
+        for (let from = 0; from <= PYRAMID_TOP; from += PYRAMID_STEP) {
+            bands.push({ label: from === PYRAMID_TOP ? `${from}+` : `${from}-${from + PYRAMID_STEP - 1}`, M: 0, F: 0, U: 0 });
+        }
+        let livingWithAge = 0;
+        list.forEach(p => {
+            if (isDeceased(p)) return;
+            const birth = parseDate(p.Birth);
+            if (!birth || birth > today) return;
+            const age = Math.floor(yearsBetween(birth, today));
+            const band = bands[Math.min(Math.floor(age / PYRAMID_STEP), bands.length - 1)];
+            const g = genders.get(p.id);
+            band[g === 'M' || g === 'F' ? g : 'U']++;
+            livingWithAge++;
+        });
+
+        const nakshatraName = (value) => {
+            if (!value) return '';
+            if (window.Jyotisha) {
+                const index = window.Jyotisha.normalizeNakshatra(value);
+                if (index) return window.Jyotisha.NAKSHATRA_NAMES[index];
+            }
+            return value;
+        };
+
+        return {
+            total: list.length,
+            generations: countGenerations(people),
+            living: list.length - deceasedCount,
+            deceased: deceasedCount,
+            gender,
+            lifespan: average(lifespans),
+            marriageAge: { men: average(marriageAges.M), women: average(marriageAges.F) },
+            pyramid: { bands, count: livingWithAge },
+            top: {
+                givenNames: topValues(list.map(givenName)),
+                birthPlaces: topValues(list.map(getBirthPlace)),
+                gothras: topValues(list.map(p => getGothra(p.id))),
+                nakshatras: topValues(list.map(p => nakshatraName(p.jyotisha && p.jyotisha.nakshatra)))
+            }
+        };
+    }
+
+    /**
+     * Horizontal bar chart of [{ label, count }].
+     */
+    function barChart(items, options) {
+        const opts = options || {};
+        const rowHeight = 24;
+        const labelWidth = opts.labelWidth || 140;
+        const barWidth = 220;
+        const width = labelWidth + barWidth + 50;
+        const height = Math.max(1, items.length) * rowHeight + 4;
+        const max = Math.max(1, ...items.map(i => i.count));
+
+        const rows = items.map((item, i) => {
+            const y = i * rowHeight + 2;
+            const w = Math.max(2, Math.round(item.count / max * barWidth));
+            const label = item.label.length > 20 ? item.label.slice(0, 19) + '…' : item.label;
+            return `<text x="${labelWidth - 8}" y="${y + 16}" font-family="Arial, sans-serif" font-size="12" fill="#444" text-anchor="end">${escapeXml(label)}</text>` +
+                `<rect x="${labelWidth}" y="${y + 4}" width="${w}" height="${rowHeight - 8}" rx="3" fill="${opts.color || COLORS.bar}"/>` +
+                `<text x="${labelWidth + w + 6}" y="${y + 16}" font-family="Arial, sans-serif" font-size="12" fill="#666">${item.count}</text>`;
+        }).join('');
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}">${rows}</svg>`;
+    }
+
+    /**
+     * A single stacked bar of [{ label, count, color }] with a legend underneath.
+     */
+    function splitBar(segments) {
+        const width = 400;
+        const total = segments.reduce((a, s) => a + s.count, 0) || 1;
+        let x = 0;
+        const rects = segments.map(s => {
+            const w = s.count / total * width;
+            const rect = `<rect x="${x.toFixed(2)}" y="0" width="${w.toFixed(2)}" height="24" fill="${s.color}"/>`;
+            x += w;
+            return rect;
+        }).join('');
+        let lx = 0;
+        const legend = segments.map(s => {
+            const text = `${s.label}: ${s.count} (${Math.round(s.count / total * 100)}%)`;
+            const item = `<rect x="${lx}" y="34" width="12" height="12" rx="2" fill="${s.color}"/>` +
+                `<text x="${lx + 16}" y="45" font-family="Arial, sans-serif" font-size="12" fill="#444">${escapeXml(text)}</text>`;
+            lx += 16 + text.length * 6.5 + 14;
+            return item;
+        }).join('');
+        const fullWidth = Math.max(width, Math.ceil(lx));
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${fullWidth} 52" width="${fullWidth}" height="52">${rects}${legend}</svg>`;
+    }
+
+    /**
+     * Age pyramid: men to the left and women to the right of the centre line.
+     * People of unknown gender are counted in a grey column on the right, shown only when there are any.
+     */
+    function pyramidChart(bands) {
+        const rowHeight = 22;
+        const half = 160;
+        const labelWidth = 50;
+        const hasUnknown = bands.some(b => b.U > 0);
+        const width = 2 * half + labelWidth + 60 + (hasUnknown ? 60 : 0);
+        const unknownX = width - 6;
+        const center = 30 + half;
+        const height = bands.length * rowHeight + 30;
+        const max = Math.max(1, ...bands.map(b => Math.max(b.M, b.F)));
+
+        const rows = bands.slice().reverse().map((band, i) => {
+            const y = i * rowHeight;
+            const wm = band.M / max * half;
+            const wf = band.F / max * half;
+            return `<rect x="${(center - wm).toFixed(2)}" y="${y + 3}" width="${wm.toFixed(2)}" height="${rowHeight - 6}" fill="${COLORS.M}"/>` +
+                `<rect x="${center + labelWidth}" y="${y + 3}" width="${wf.toFixed(2)}" height="${rowHeight - 6}" fill="${COLORS.F}"/>` +
+                `<text x="${center + labelWidth / 2}" y="${y + 15}" font-family="Arial, sans-serif" font-size="11" fill="#444" text-anchor="middle">${escapeXml(band.label)}</text>` +
+                (band.M ? `<text x="${(center - wm - 4).toFixed(2)}" y="${y + 15}" font-family="Arial, sans-serif" font-size="11" fill="#666" text-anchor="end">${band.M}</text>` : '') +
+                (band.F ? `<text x="${(center + labelWidth + wf + 4).toFixed(2)}" y="${y + 15}" font-family="Arial, sans-serif" font-size="11" fill="#666">${band.F}</text>` : '') +
+                (band.U ? `<text x="${unknownX}" y="${y + 15}" font-family="Arial, sans-serif" font-size="11" fill="${COLORS.U}" text-anchor="end">${band.U}</text>` : '');
+        }).join('');
+
+        const legendY = bands.length * rowHeight + 20;
+        const legend = `<text x="${center - 6}" y="${legendY}" font-family="Arial, sans-serif" font-size="12" fill="${COLORS.M}" text-anchor="end">Men</text>` +
+            `<text x="${center + labelWidth + 6}" y="${legendY}" font-family="Arial, sans-serif" font-size="12" fill="${COLORS.F}">Women</text>` +
+            (hasUnknown ? `<text x="${unknownX}" y="${legendY}" font-family="Arial, sans-serif" font-size="12" fill="${COLORS.U}" text-anchor="end">Unknown</text>` : '');
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}">${rows}${legend}</svg>`;
+    }
+
+    // Expose API
+    window.FamilyStats = {
+        compute,
+        countGenerations,
+        barChart,
+        splitBar,
+        pyramidChart,
+        COLORS
+    };
+})();
@@ -15,7 +15,7 @@
  * =====================================================================================
  */
 
-const APP_VERSION = 'v1.0.2';
+const APP_VERSION = 'v1.0.40';
 // Generate a unique cache name based on the service worker's path (folder name)
 // This allows multiple instances of the app to run on the same domain without cache conflicts.
 const PATH_KEY = self.location.pathname.replace(/[^a-zA-Z0-9]/g, '-');
@@ -33,7 +33,20 @@ const URLS_TO_CACHE = [
     './app_icons/ftree.jpg',
     './logo.png',
     './dateUtils.js',
-    './relationship.js'
+    './reports.js',
+    './relationship.js',
+    './jyotisha.js',
+    './ephemeris.js',
+    './panchanga.js',
+    './compatibility.js',
+    './gothra.js',
+    './fanchart.js',
+    './stats.js',
+    './places.js',
+    './qrcode.js',
+    './search.js',
+    './gedcom.js',
+    './integrity.js'
 ];
 
 // =================================================================================